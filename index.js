@@ -1,1860 +1,7363 @@
-//*[rtf.js]******************************[http://code.google.com/p/obremsdk/]*
-//
-// JavaScript: Rich Text Format (RTF) Processing
-// Version 0.12
-//
-// RTF is a lot like HTML, text that has mark-up which is also text.  Instead
-// of tags, it uses the concept of control words.  Rather than nested tags,
-// it has blocks enclosed in braces.
-//
-// This module has been designed with three layers of functionality which
-// turns out to correspond with what the RTF Specification 1.3 said of RTF
-// Readers:
-//
-//      1. Low-Level / Tokenizing: At the lowest level is the concept of breaking
-//      an RTF string into tokens, stored as 32-bit integers.  Functions are
-//      provided to get higher-level data using the token, original string, and
-//      index where the token was found.
-//
-//      2. Parsing: Next is the RtfParser object which generically traverses the
-//      RTF control words and blocks.  A map of destination handlers is maintained
-//      for acting on the information in a more meaningful way.
-//
-//      3. Handlers: The destination handlers here will put data into a high-
-//      level 'doc' object as well as convert to HTML.
-//
-//-[RTF Tokens]---------------------------------------------------------------
-//
-// Tokens are represented as 32-bit integers.  Most information can be extra-
-// cted from this number, but missing is the position of the token in the
-// source string and a reference to that string itself.  Thus those three
-// parameters are necessary for some functions, but many others require only
-// the token itself.  A lot of the functions don't even bother calling
-// functions, but rather calculate the values themselves.
-//
-// A token is made up of multiple numeric parts which are packed tightly to-
-// gether using bit-level operations (shifting, masking, etc.).  These bits
-// have the following separation from left (most-significant) to right
-// (least-significant):
-//
-//  31                 15     11     8          0 <-- shift position
-// [1] [0000000000000000] [1111] [000] [11111111]
-// has val:16             skp:4  typ:3 len:8
-//
-// As a C/C++ struct, this would look like so:
-//
-//      struct t_rtf_token
-//      {
-//              unsigned char len;
-//              unsigned typ : 3;
-//              unsigned skp : 4;
-//              unsigned val : 16;
-//              unsigned has : 1;
-//      };
-//
-// These parts are defined as follows:
-//
-//      len: Length of the entire token.  Data tokens can only be 255 characters
-//      because this is limited to 8 bits.  Zero-length tokens are possible for
-//      higher-level purposes, but are never returned from GetRtfTk().
-//
-//      typ: Type of the token which determines how GetRtfTxt() and GetRtfVal()
-//      will react:
-//
-//              0x0: Lexically incorrect data; generally ignored.
-//              0x1: Data.
-//              0x2: Start new destination ({).
-//              0x3: End current destination (}).
-//              0x4: Ignorable destination marker (\*).
-//              0x5: Symbol.
-//              0x6: Control word.
-//              0x7: Character (value == character value).
-//
-//      skp: Amount of characters to skip to get to the end of a control word,
-//      usually to the start of its numeric value.  Add 2 to the bit value, thus
-//      the possible values are 2 to 17.
-//
-//      val: Numeric value + 32,768 (subtract that number to get actual, signed
-//      value).  This isn't stored at the last 16 bits, because if it was the last
-//      bit MAY be interpreted as the sign (yes for JScript on Win32, no for
-//      JScript on Win64).  This could be detected, but at the cost of processing
-//      power.
-//
-//      has: HAS a numeric value, otherwise GetRtfVal() will return NaN.
-//
-//-[History]------------------------------------------------------------------
-// 2007-09-24 by NeilO .... v0.12: Made part of ObremSDK.
-// 2007-01-28 by NeilO .... Created.
-//
-// (C)opyright 2007++ by Neil C. Obremski;                     New BSD License
-//***********************[http://www.opensource.org/licenses/bsd-license.php]*
-
-//----------------------------------------------------------------------------
-//----------------------------------------------------------------------------
-// Low-Level RTF Functions
-//
-// * NewRtfTk()
-// * GetRtfTk()
-// * RtfTkLen()
-// * RtfTkTxt()
-// * RtfTkChr()
-// * RtfTkCtl()
-// * RtfTkVal()
-// * RtfSkipB()
-// * RtfConst()
-// * RtfPkgOb()
-//
-//----------------------------------------------------------------------------
-//----------------------------------------------------------------------------
-
-//_[NewRtfTk()]_______________________________________________________________
-//
-// Creates a new token and returns the result.  Throws an exception on
-// failure.  This function isn't used so much as it exists to illustrate how
-// tokens are represented.
-//
-// See "RTF Tokens" in header comment for more details.
-//
-// typ .................... [ in] Type; 0=invalid, 1=data, 2=push, 3=pop,
-//                                                      4=ignorable, 5=symbol, 6=control, 7=character.
-// len .................... [ in] Length; valid values are 0 to 255.  This is
-//                                                      fixed for types 2, 3, and 4.
-// val .................... [ in] Value; 16-bit signed integer with valid
-//                                                      range of -32,768 to 32,767.  If this is null (or
-//                                                      undefined) then no value is set and the 'has' bit
-//                                                      is set to 0 instead of 1.
-// skp .................... [ in] Skip this number of characters to get to the
-//                                                      end of the control word portion (usually to get to
-//                                                      the value); valid range is 2 (default) to 17.
-//
-function NewRtfTk(typ, len, val, skp)
-{
-        // - -
-        // validate type
-        //
-        typ = parseInt(typ);
-        if (isNaN(typ))
-        {
-                throw Error("NewRtfTk: Missing or invalid type");
-        }
-
-        // - -
-        // validate length
-        //
-        len = parseInt(len);
-        if (isNaN(len))
-        {
-                if (2 === typ || 3 === typ)
-                        len = 1;
-                else if (4 === typ)
-                        len = 2;
-                else
-                        throw Error("NewRtfTk: Missing length (typ=" + typ + ")");
-        }
-
-        // - -
-        // validate value
-        //
-        var has = 1;
-        val = parseInt(val);
-        if (isNaN(val))
-        {
-                has = 0;
-                val = 0;
-        }
-        else if (val < -32768 || val > 32767)
-        {
-                throw Error("NewRtfTk: Value " + val +
-                        " out of range (-32,768 to 32,767)");
-        }
-
-        // - -
-        // validate skip
-        //
-        skp = parseInt(skp);
-        if (isNaN(skp))
-        {
-                skp = 0;
-        }
-        else if (skp < 2 || skp > 17)
-        {
-                throw Error("NewRtfTk: Skip amount " + skp +
-                        " out of range (2 to 17)");
-        }
-        else
-        {
-                // stored in 4 bits, it must be in 0 to 15 range
-                skp -= 2;
-        }
-
-        // - -
-        // form and return token as 32-bit integer
-        //
-        return (has << 31) | (val << 15) | (skp << 11) | (typ << 8) | len;
-
-} // NewRtfTk()
-
-//_[GetRtfTk()]_______________________________________________________________
-//
-// Parses the next token in a string and returns it.  Since tokens are never
-// longer than 255 characters, this can be used on a partially-loaded RTF
-// string.
-//
-// s ...................... [ in] RTF string.
-// i ...................... [ in] Starting position.
-//
-function GetRtfTk(s, i)
-{
-        var c = s.charCodeAt(i);
-
-        // { open brace
-        if (123 === c)
-        {
-                // NewRtfTk(RtfConst().PUSH);
-                return 513;
-        }
-        // } close brace
-        else if (125 === c)
-        {
-                // NewRtfTk(RtfConst().POP);
-                return 769; 
-        }
-        // \ back slash: control word / special character
-        else if (92 === c)
-        {
-                var len = 1;
-                for (c = s.charCodeAt(++i);
-                        c >= 97 && c <= 122;
-                        c = s.charCodeAt(++i))
-                {
-                        len++;
-                }
-
-                // only read one character, either it's special or invalid
-                if (1 === len)
-                {
-                        // * asterisk == ignorable destination marker
-                        if (42 === c)
-                        {
-                                // NewRtfTk(RtfConst().IGNORABLE);
-                                return 1026;
-                        }
-
-                        // ' apostrophe == symbol with 2-digit hex value
-                        if (39 === c)
-                        {
-                                // invalid (not enough characters left in string)
-                                if (i + 2 > s.length)
-                                        return (s.length - i) + 2;
-
-                                var d1 = s.charCodeAt(++i);
-                                var d2 = s.charCodeAt(++i);
-                                
-                                if (d1 >= 0x30 && d1 <= 0x39)           // 0-9
-                                        d1 -= 0x30;
-                                else if (d1 >= 0x41 && d1 <= 0x46)      // A-F
-                                        d1 -= 0x37;
-                                else if (d1 >= 0x61 && d1 <= 0x66)      // a-f
-                                        d1 -= 0x57;
-                                else
-                                        return 4; // invalid hex (left digit)
-
-                                if (d2 >= 0x30 && d2 <= 0x39)           // 0-9
-                                        d2 -= 0x30;
-                                else if (d2 >= 0x41 && d2 <= 0x46)      // A-F
-                                        d2 -= 0x37;
-                                else if (d2 >= 0x61 && d2 <= 0x66)      // a-f
-                                        d2 -= 0x57;
-                                else
-                                        return 4; // invalid hex (right digit)
-
-                                // NewRtfTk(RtfConst().CHARACTER, 4, (d1 << 4) | d2);
-                                return (1 << 31) | (d1 << 19) | (d2 << 15) | 1796;
-                        }
-
-                        if
-                        (
-                                c != 92 &&      // \ backslash
-                                c != 45 &&      // - dash
-                                c != 58 &&      // : colon
-                                c != 95 &&      // _ underscore
-                                c < 123 && c > 126      // { | } ~
-                        )
-                        {
-                                // NewRtfTk(RtfConst().INVALID, 2);
-                                return 2;
-                        }
-
-                        // NewRtfTk(RtfConst().SYMBOL, 2, c);
-                        return (1 << 31) | ((c+32768) << 15) | 1282;
-                }
-
-                // digits possibly preceded by a hyphen
-                if (45 === c || (c >= 48 && c <= 57))
-                {
-                        var skp = len;
-                        var vi = i;     // start index of value
-
-                        for (c = s.charCodeAt(++i); i < s.length; c = s.charCodeAt(++i))
-                        {
-                                len++;
-                                if (45 !== c && (c < 48 || c > 57))
-                                {
-                                        // space terminator (absorbed into control word token)
-                                        if (32 === c)
-                                                len++;
-                                        break;
-                                }
-                        }
-
-                        // slice is used, not substr, because an explicit index is passed
-                        // rather than a length
-                        var val = parseInt(s.slice(vi, i));
-
-                        // add 32768 to make any value unsigned
-                        val += 32768;
-                        
-                        // NewRtfTk(RtfConst().CONTROL, len, val, skp);
-                        var tk = (1 << 31) | (val << 15) | ((skp-2) << 11) | 1536 | len;
-                        return tk;
-                }
-                // space terminator (absorbed into control word token)
-                else if (32 === c)
-                {
-                        len++;
-
-                        // NewRtfTk(RtfConst().CONTROL, len, null, len - 1);
-                        return ((len-3) << 11) | 1536 | len;
-                }
-
-                // NewRtfTk(RtfConst().CONTROL, len, null, len);
-                return ((len-2) << 11) | 1536 | len;
-        }
-        // CRLF's (logged as symbol in case it's wanted)
-        else if (10 === c || 13 === c)
-        {
-                var len = 1;
-                for (c = s.charCodeAt(++i); i < s.length; c = s.charCodeAt(++i))
-                {
-                        if (10 !== c && 13 !== c)
-                                break;
-                        len++;
-                        if (255 === len)
-                                break;
-                }
-
-                // NewRtfTk(RtfConst().CONTROL, len, 13);
-                return (1 << 31) | 1074169088 | len;
-        }
-
-        // data
-        var len = 1;
-        for (c = s.charCodeAt(++i); i < s.length; c = s.charCodeAt(++i))
-        {
-                if (92 === c || 123 === c || 125 === c || 13 === c || 10 === c)
-                        break;
-                len++;
-                if (255 === len)
-                        break;
-        }
-
-        // NewRtfTk(RtfConst().DATA, len);
-        return (256 | len);
-
-} // GetRtfTk()
-
-//_[RtfTkTyp()]_______________________________________________________________
-//
-// Returns the type of the token.
-//
-// t ...................... [ in] Token; see "RTF Tokens".
-//
-function RtfTkTyp(t)
-{
-        return (t >> 8) & 0x7;
-}
-
-//_[RtfTkLen()]_______________________________________________________________
-//
-// Returns the length of the token from its starting position.
-//
-// t ...................... [ in] Token; see "RTF Tokens".
-//
-function RtfTkLen(t)
-{
-        return (t & 0xFF);
-}
-
-//_[RtfTkTxt()]_______________________________________________________________
-//
-// Returns the text of the ENTIRE token.  If only the control word is desired,
-// from that token type, then use RtfTkCtl().
-//
-// t ...................... [ in] Token; see "RTF Tokens".
-// s ...................... [ in] Source string.
-// i ...................... [ in] Starting index where token was found.
-//
-function RtfTkTxt(t, s, i)
-{
-        return s.substr(i, t & 0xFF);
-}
-
-//_[RtfTkChr()]_______________________________________________________________
-//
-// Returns a string with a length of 1, for character tokens or symbols.
-//
-// t ...................... [ in] Token; see "RTF Tokens".
-// s ...................... [ in] Source string.
-// i ...................... [ in] Starting index where token was found.
-//
-function RtfTkChr(t, s, i)
-{
-        if (1792 !== (t & 0x700) && 1280 !== (t & 0x700))
-                return null;
-
-        return String.fromCharCode(((t >> 15) & 0xFFFF) - 32768);
-}
-
-//_[RtfTkCtl()]_______________________________________________________________
-//
-// Returns the control word portion of the token (e.g. without numeric value
-// or preceding backslash).  Returns null if the token is not a control word.
-//
-// t ...................... [ in] Token; see "RTF Tokens".
-// s ...................... [ in] Source string.
-// i ...................... [ in] Starting index where token was found.
-//
-function RtfTkCtl(t, s, i)
-{
-        if (1536 !== (t & 0x700))
-                return null;
-
-        return s.substr(1 + i, 1 + ((t >> 11) & 0xF));
-}
-
-//_[RtfTkVal()]_______________________________________________________________
-//
-// Returns the numeric value of the token or NaN if it doesn't have one.
-// Symbols return their character index.
-//
-// t ...................... [ in] Token; see "RTF Tokens".
-//
-function RtfTkVal(t)
-{
-        if (0 === (t >> 31))
-                return NaN;
-
-        return ((t >> 15) & 0xFFFF) - 32768;
-}
-
-//_[RtfSkipB()]_______________________________________________________________
-//
-// Skip a block ({ ... }) of RTF tokens.  Returns the position PAST the
-// closing brace.
-//
-// s ...................... [ in] Source string.
-// i ...................... [ in] Starting index.
-// bc ..................... [ in] Brace Count; defaults to zero (0).
-//
-function RtfSkipB(s, i, bc)
-{
-        if (null == bc)
-                bc = 0;
-
-        var ps = i;
-        var tl = 0;
-
-        for (var ps = i; ps < s.length; ps += tl)
-        {
-                var tk = GetRtfTk(s, ps);
-                var tl = tk & 0xFF;
-                var ty = (tk >> 8) & 0x7;
-
-                if (2 === ty)
-                {
-                        bc++;
-                }
-                else if (3 === ty)
-                {
-                        if (0 === bc)
-                        {
-                                ps += tl;
-                                break;
-                        }
-                        else
-                        {
-                                bc--;
-                        }
-                }
-        }
-
-        return ps;
-
-} // RtfSkipB()
-
-//_[RtfConst()]_______________________________________________________________
-//
-// Returns an object of known RTF constants.
-//
-function RtfConst()
-{
-        if (null != RtfConst.dic)
-                return RtfConst.dic;
-
-        RtfConst.dic =
-        {
-                //
-                // token types
-                //
-                INVALID                                         : 0,
-                DATA                                            : 1,
-                PUSH                                            : 2,
-                POP                                                     : 3,
-                IGNORABLE                                       : 4,
-                SYMBOL                                          : 5,
-                CONTROL                                         : 6,
-                CHARACTER                                       : 7,
-
-                //
-                // \fcharset (Character set)
-                //
-                ANSI_CHARSET                            : 0,
-                SYMBOL_CHARSET                          : 2,
-                SHIFTJIS_CHARSET                        : 128,
-                GREEK_CHARSET                           : 161,
-                TURKISH_CHARSET                         : 162,
-                HEBREW_CHARSET                          : 177,
-                ARABICSIMPLIFIED_CHARSET        : 178,
-                ARABICTRADITIONAL_CHARSET       : 179,
-                ARABICUSER_CHARSET                      : 180,
-                HEBREWUSER_CHARSET                      : 181,
-                CYRILLIC_CHARSET                        : 204,
-                EASTERNEUROPE_CHARSET           : 238,
-                PC437_CHARSET                           : 254,
-                OEM_CHARSET                                     : 255,
-                
-                //
-                // \fprq (pitch)
-                //
-                PitchDefault                            : 0,
-                PitchFixed                                      : 1,
-                PitchVariable                           : 2
-        };
-
-        return RtfConst.dic;
-
-} // RtfConst()
-
-//_[RtfPkgOb()]_______________________________________________________________
-//
-// Parses an embedded object (\objdata) where the class is "Package"
-// (\objclass); returns an object representing the package.  Currently this
-// has the following members:
-//
-//      * label: The label for the entire package.
-//      * size: The size of the package (not very useful once parsed).
-//      * items[]: An array of files within the package.  Each item has the
-//              properties 'name', 'path' (filename w/ path), and possibly 'data'
-//              which is the file data as a string.
-//
-// IMPORTANT: This function is currently brittle on purpose, because I'm
-// parsing based on tests done in reverse engineering attempts.  It's entirely
-// possible that some of the assumptions here are wrong and I'd like to find
-// those out.
-//
-// txt .................... [ in] RTF source string.
-// beg .................... [ in] Beginning index of package data.
-// end .................... [ in] Ending index of package data (one-past).
-//
-function RtfPkgOb(txt, beg, end)
-{
-        var pkg = { };
-        var i = beg;
-        var c = null;
-        var n = null;
-
-        // first 4 bytes should be: 01 05 00 00
-        n = be4_();
-        if (0x01050000 !== n)
-                throw Error("Expected: 01 05 00 00; Instead: " + n.toString(16));
-
-        // second 4 bytes should be: 02 00 00 00
-        n = le4_();
-        if (2 !== n)
-                throw Error("Expected: 02 00 00 00 (2); Instead: " + n);
-
-        // progid length
-        pkg.progid = bstr_(true);
-        trace("RtfPkgOb:ProgID = \"" + pkg.progid + "\"");
-
-        if (0 != le4_() || 0 != le4_())
-                throw Error("Expected two zero numbers!");
-
-        pkg.totalsz = le4_();
-        trace("RtfPkgOb:Total Size = " + pkg.totalsz);
-
-        // should be at least 2 bytes, no more than 1 megabyte
-        if (pkg.totalsz < 2 || pkg.totalsz > 1048576)
-                throw Error("RtfPkgOb: Invalid Size " + pkg.totalsz);
-
-        // Byte Counter
-        var bc = 0;
-
-        //
-        // read string table
-        //
-        
-        pkg.strings = new Array(le2_());
-        bc += 2;
-        dtrace("RtfPkgOb:Strings.length = " + pkg.strings.length);
-        if (pkg.strings.length < 2 || pkg.strings.length > 10)
-                throw Error("RtfPkgOb:Invalid Strings.length (" +
-                        pkg.strings.length + ")");
-
-        for (var si = 0; si < pkg.strings.length; si++)
-        {
-                pkg.strings[si] = str_();
-                bc += pkg.strings[si].length;
-                bc ++;
-                trace("RtfPkgOb:Strings[" + si + "] = \"" + pkg.strings[si] + "\"");
-        }
-        pkg.label = pkg.strings[0];
-
-        // string table ends with two zeros
-        bc += 2;
-        if (0 != le2_())
-                throw Error("RtfPkgOb:Expected Double-Zero's After Strings");
-
-        //
-        // read OLE type (1 == linked, 3 == static)
-        //
-        pkg.oletype = le2_();
-        bc += 2;
-        trace("RtfPkgOb:OLE Type = " + pkg.oletype);
-        if (1 !== pkg.oletype && 3 !== pkg.oletype)
-                throw Error("RtfPkgOb: Unsupported OLE Type (" + pkg.oletype + ")");
-
-        //
-        // if static then read through the strings and their data
-        // (bc == byte counter)
-        //
-        var trm = null;
-        if (3 === pkg.oletype)
-        {
-                pkg.items = [ ];
-                while (i < end)
-                {
-                        dtrace((pkg.items.length) + ". (" + bc + " / " +
-                                pkg.totalsz + ")");
-
-                        // read path
-                        var item = { path : bstr_(true) };
-                        bc += item.path.length;
-                        bc += 5;
-                        dtrace("Path=" + item.path);
-
-                        // read data
-                        item.data = bstr_(false);
-                        bc += item.data.length;
-                        bc += 4;
-
-                        // add to list (name calculated later)
-                        pkg.items.push(item);
-
-                        // if at the end ... break for terminator check
-                        if (bc == pkg.totalsz - 2)
-                                break;
-
-                } // while (read static OLE objects)
-        }
-        else if (1 === pkg.oletype)
-        {
-                pkg.items = new Array(le2_());
-                bc += 2;
-                dtrace("Items Length == " + pkg.items.length);
-
-                for (var si = 0; si < pkg.items.length; si++)
-                {
-                        var item = { path : str_() };
-                        trace("Item Path [" + si + "]: " + item.path);
-                        bc += item.path.length;
-                        bc ++;
-                        
-                        if (item.path.indexOf("~") >= 0)
-                        {
-                                trace("Reset Item Path to " + pkg.label);
-                                item.path = pkg.label;
-                        }
-                        pkg.items[si] = item;
-                }
-
-                if (bc != pkg.totalsz - 2)
-                        throw Error("RtfPkgOb: Wasted Data (" + (pkg.totalsz - 2 - bc) + ")");
-        }
-
-        // check terminator
-        var trm = le2_();
-        if (0 != trm)
-                throw Error("RtfPkgOb: Invalid Terminator (" + trm + ")");
-
-        //
-        // create items' name property ...
-        //
-        for (var j = 0; j < pkg.items.length; j++)
-        {
-                var item = pkg.items[j];
-                var si = item.path.lastIndexOf("\\");
-                if (si > 0)
-                        item.name = item.path.substr(si + 1);
-                else
-                        item.name = item.path;
-        }
-
-        return pkg;
-
-        // - - - end of function / private methods follow - - -
-
-        // read 4-byte big endian integer
-        function be4_()
-        {
-                return (hx_() << 28) | (hx_() << 24) | (hx_() << 20) | (hx_() << 16) |
-                        (hx_() << 12) | (hx_() <<  8) | (hx_() <<  4) | hx_();
-        }
-
-        // read 4-byte little endian integer
-        function le4_()
-        {
-                return (hx_() << 4) | (hx_()) | (hx_() << 12) | (hx_() <<  8) |
-                        (hx_() << 20) | (hx_() << 16) | (hx_() << 28) | (hx_() << 24);
-        }
-
-        // read 2-byte little endian integer
-        function le2_()
-        {
-                return (hx_() << 4) | (hx_()) | (hx_() << 12) | (hx_() <<  8);
-        }
-
-        // read binary string that is preceded by a 4-byte length
-        // (zt == zero terminated?)
-        function bstr_(zt)
-        {
-                var len = le4_();
-                dtrace("Len: " + len + " (" + i + ", " + end + ")");
-
-                if (i + len > end)
-                        throw Error("RtfPkgOb/bstr_: Out of Data");
-
-                var a = [ ];
-                var cnt = 0;
-                var hs = [ ];
-
-                while (i < end)
-                {
-                        var c = (hx_() << 4) | hx_();
-
-                        a.push(c);
-                        cnt++;
-                        if (cnt >= len)
-                                break;
-                        if (a.length > 500)
-                        {
-                                hs.push(String.fromCharCode.apply(null, a));
-                                a = [ ];
-                        }
-                }
-                if (a.length > 0)
-                {
-                        hs.push(String.fromCharCode.apply(null, a));
-                        a = [ ];
-                }
-
-                var s = hs.join("");
-                if (true === zt)
-                {
-                        if (0 !== s.charCodeAt(s.length - 1))
-                                throw Error("RtfPkgOb/bstr_: Unterminated String (" +
-                                        s.charCodeAt(s.length - 1) + ")");
-                        s = s.substr(0, s.length - 1);
-                }
-
-                return s;
-        }
-
-        // read string that is zero (null) terminated w/ no length prefix
-        function str_()
-        {
-                var a = [ ];
-                var hs = [ ];
-
-                while (i < end)
-                {
-                        var c = (hx_() << 4) | hx_();
-                        if (0 == c)
-                                break;
-                        a.push(c);
-                        if (a.length > 500)
-                        {
-                                hs.push(String.fromCharCode.apply(null, a));
-                                a = [ ];
-                        }
-                }
-                if (a.length > 0)
-                {
-                        hs.push(String.fromCharCode.apply(null, a));
-                        a = [ ];
-                }
-
-                return hs.join("");
-        }
-
-        // read hex character
-        function hx_()
-        {
-                // read character, skipping white space
-                do
-                {
-                        c = txt.charCodeAt(i++);
-                } while (32 === c || 13 === c || 10 === c);
-
-                if (c >= 0x30 && c <= 0x39)
-                        return c - 0x30;
-                if (c >= 0x41 && c <= 0x5A)
-                        return c - 0x37;
-                if (c >= 0x61 && c <= 0x7A)
-                        return c - 0x57;
-                if (i >= end)
-                        throw Error("RtfPkgObj/hx_: Out of Data");
-
-                throw Error("RtfPkgOb/hx_: Unexpected Code (" + c + "): '" +
-                        txt.charAt(i-1) + "' @ " + i + " / " + end);
-        }
-
-} // RtfPkgOb()
-
-//----------------------------------------------------------------------------
-//----------------------------------------------------------------------------
-// RtfParser Object
-//
-// Quick feature list:
-// * Keeps track of stack
-// * Skips ignore-able, unhandled destinations
-// * Calls functions based on their mapping to destination names/paths
-//
-//----------------------------------------------------------------------------
-//----------------------------------------------------------------------------
-
-//_[RtfParser()]______________________________________________________________
-//
-// text ................... [ in] Rich text formatted string.
-// strict ................. [ in] Enable strict format-checking handlers?
-//                                                      (reserved; currently does nothing)
-// nohandle ............... [ in] Do NOT enable basic destination handlers?
-//
-function RtfParser(text, strict, nohandle)
-{
-        var pt = RtfParser.prototype;
-        if (true !== pt.__PtInit)
-        {
-                pt.Template             = RtfParser__Template;
-                pt.HandleDest   = RtfParser__HandleDest;
-                pt.Handlers             = RtfParser__Handlers;
-                pt.Document             = RtfParser__Document;
-
-                pt.HandlePcData = RtfParser__HandlePcData;
-                pt.HandleIgnore = function(){};
-
-                pt.__PtInit = true;
-        }
-
-        if (null == text)
-                throw Error("RtfParser: Missing source RTF string");
-
-        this.txt        = text; // source text
-        this.pos        = 0;    // position in source text
-        this.doc        = { };  // document object
-        this.stk        = [ ];  // parsing stack
-        this.frm        = { };  // current stack frame
-
-        // destination handler collections
-        //      dhd: dictionary where keys are either names or paths
-        //      dhr: list of regular expressions, every other is handler reference
-        this.dhd        = { };
-        this.dhr        = [ ];
-
-        // destination handler cache
-        this.dhc        = { };
-        this._chit      = 0; // cache hits
-        this._cmis      = 0; // cache misses
-
-        // enable basic handlers
-        if (true !== nohandle)
-        {
-                this.HandleDest(";rtf", HandleMeta);
-                this.HandleDest(";rtf;fonttbl", HandleFontTable);
-                this.HandleDest(";rtf;fonttbl;f", HandleFontTable);
-                this.HandleDest(";rtf;colortbl", HandleColorTable);
-        }
-
-        return; // constructor finished; methods follow - - -
-
-        //_[RtfParser::Template()]________________________________________________
-        //
-        // Template destination handler function.
-        //
-        // t .................. [ in] Token.
-        // s .................. [ in] Source string.
-        // i .................. [ in] Index of token in source string.
-        // o .................. [ in] Current stack frame.
-        //
-        function RtfParser__Template(t, s, i, o)
-        {
-                // do not return any value, this version ignores return values but a
-                // future one might do something with them
-        }
-
-        //_[RtfParser::HandleDest()]______________________________________________
-        //
-        // Maps a destination to a handler function.  Destinations can be specif-
-        // ied in three ways: a regular expression which will match against the
-        // full path, a single name, or a full path.  Since control words are
-        // always lower-case, case is not an issue.  Full paths are specified
-        // using semi-colons, i.e. ";rtf;fonttbl".  Note there is no trailing
-        // semi-colon.
-        //
-        // dest ............... [ in] Destination (String or RegExp).
-        // handler ............ [ in] Handler function; see RtfParser::Template()
-        //                                              for an example.
-        //
-        function RtfParser__HandleDest(dest, handler)
-        {
-                // clear cache
-                this.dhc = { };
-                this._chit = 0;
-                this._cmis = 0;
-
-                var i = null;
-
-                if (RegExp === dest.constructor)
-                {
-                        // disallow duplicating the same regexp+handler
-                        var sDest = dest.toString();
-                        for (i = 0; i < this.dhr.length; i += 2)
-                                if (this.dhr[i+1] === handler &&
-                                        this.dhr[i].toString() === sDest)
-                                        break;
-
-                        if (i == this.dhr.length)
-                        {
-                                this.dhr.push(dest);
-                                this.dhr.push(handler);
-                        }
-                }
-                else if (String === dest.constructor)
-                {
-                        var list = this.dhd[dest];
-                        if (null == list)
-                        {
-                                list = this.dhd[dest] = [ handler ];
-                        }
-                        else
-                        {
-                                for (i = 0; i < list.length; i++)
-                                        if (list[i] === handler)
-                                                break;
-
-                                if (i == list.length)
-                                {
-                                        list.push(handler);
-                                }
-                        }
-                }
-                else
-                {
-                        throw Error("RtfParser::HandleDest: Invalid destination param");
-                }
-
-        } // RtfParser::HandleDest()
-
-        //_[RtfParser::Handlers()]________________________________________________
-        //
-        // Returns the list of handlers for the specified destination.
-        //
-        function RtfParser__Handlers(tok, txt, pos, name, path)
-        {
-                // if a list has already been built for this exact stack path ...
-                // (hasOwnProperty is used, because 'null' might be set)
-                if (this.dhc.hasOwnProperty(path))
-                {
-                        this._chit++;
-                        return this.dhc[path];
-                }
-
-                // missed cache, have to build up list from three sources
-                this._cmis++;
-                var dh = [ ];
-
-                // source 1: by name (fonttbl)
-                var a = this.dhd[name];
-                if (null != a)
-                        dh = dh.concat(a);
-
-                // source 2: by path (;rtf;fonttbl)
-                a = this.dhd[path];
-                if (null != a)
-                        dh = dh.concat(a);
-
-                // source 3: regular expressions (/*tbl$/)
-                var j = null;
-                for (var i = 0; i < this.dhr.length; i += 2)
-                {
-                        var fnc = this.dhr[i+1];
-
-                        // prevent duplicating function references
-                        for (j = 0; j < dh.length; j++)
-                                if (dh[j] === fnc)
-                                        break;
-                        if (j < dh.length)
-                                continue;
-
-                        var re = this.dhr[i];
-                        if (re.test(path))
-                                dh.push(fnc);
-                }
-
-                // never return a zero-length array; use null to indicate no handlers
-                if (0 === dh.length)
-                        return (this.dhc[path] = null);
-
-                return (this.dhc[path] = dh);
-
-        } // RtfParser::Handlers()
-
-        //_[RtfParser::Document()]________________________________________________
-        //
-        // Returns the parsed document; that is, if it hasn't already been parsed
-        // then this blocks until it IS parsed.
-        //
-        // incomplete ......... [ in] Allow returning of incomplete document?  By
-        //                                              default this function will block until parsing is
-        //                                              complete.
-        //
-        function RtfParser__Document(incomplete)
-        {
-                // return immediately if 'incomplete' is set OR parsing is complete
-                if (true === incomplete || this.pos === this.txt.length)
-                        return this.doc;
-
-                //
-                // main loop
-                //
-                var tok, len, typ;
-                for ( ; this.pos < this.txt.length; this.pos += len)
-                {
-                        tok = GetRtfTk(this.txt, this.pos);
-                        len = tok & 0xFF;
-                        typ = (tok >> 8) & 0x7;
-
-                        // - -
-                        // open brace, push new destination
-                        //
-                        if (2 === typ)
-                        {
-                                var btk = tok;
-                                var bps = this.pos;
-
-                                // read token immediately following open brace
-                                this.pos += len;
-                                tok = GetRtfTk(this.txt, this.pos);
-                                len = tok & 0xFF;
-                                typ = (tok >> 8) & 0x7;
-
-                                // ignorable destination marker
-                                var ign = false;
-                                if (4 === typ)
-                                {
-                                        ign = true;
-
-                                        // read token PAST marker
-                                        this.pos += len;
-                                        tok = GetRtfTk(this.txt, this.pos);
-                                        len = tok & 0xFF;
-                                        typ = (tok >> 8) & 0x7;
-                                }
-
-                                // token MUST be control word
-                                if (6 !== typ)
-                                        throw Error("RtfParser: No control after open brace!");
-
-                                // create new stack frame with stuff we know about (handlers
-                                // should be careful about using ANY three-character var name)
-                                var nfr =
-                                {
-                                        tok : tok,
-                                        pos : this.pos,
-                                        ctl : RtfTkCtl(tok, this.txt, this.pos),
-                                        doc : this.doc,
-                                        stk : this.stk
-                                };
-                                
-                                // determine stack path, e.g. the names of all destinations
-                                // joined into one string and separated by semi-colons
-                                if (0 === this.stk.length)
-                                        nfr.pth = ";" + nfr.ctl;
-                                else
-                                        nfr.pth = this.stk[this.stk.length-1].pth + ";" + nfr.ctl;
-
-                                // get list of handlers for this destination
-                                nfr._dh = this.Handlers(tok, this.txt, this.pos, nfr.ctl, nfr.pth);
-
-                                // if no handlers found ...
-                                if (null == nfr._dh)
-                                {
-                                        // unrecognized, non-ignorable destination
-                                        if (true !== ign)
-                                                throw Error("RtfParser: Unhandled Destination \"" +
-                                                        nfr.ctl + "\" (" + nfr.pth + ")");
-
-                                        // ignore destination by skipping its block
-                                        this.pos = RtfSkipB(this.txt, this.pos);
-
-                                        // clear length so iteration doesn't increment 'this.pos'
-                                        len = 0;
-                                }
-                                // else (handler(s) found) ...
-                                else
-                                {
-                                        // push our new frame
-                                        this.frm = nfr;
-                                        this.stk.push(nfr);
-
-                                        // call each handler to let them know they're being pushed
-                                        for (var i = 0; i < nfr._dh.length; i++)
-                                                nfr._dh[i](btk, this.txt, bps, nfr);
-                                }
-                        }
-                        // - -
-                        // close brace, pop current destination
-                        //
-                        else if (3 === typ)
-                        {
-                                // this check also prevents a null 'this.frm' from beind used
-                                if (0 === this.stk.length)
-                                        throw Error("RtfParser: Too many closing braces!");
-
-                                // call current destination handlers to let them know they're
-                                // about to be popped
-                                for (var i = 0; i < this.frm._dh.length; i++)
-                                        this.frm._dh[i](tok, this.txt, this.pos, this.frm);
-
-                                this.stk.pop();
-                                if (0 === this.stk.length)
-                                        this.frm = null;
-                                else
-                                        this.frm = this.stk[this.stk.length - 1];
-                        }
-                        // - -
-                        // invalid, text, symbol, control, or character
-                        //
-                        // pass these types to current destination handler(s)
-                        //
-                        else
-                        {
-                                // call current destination handlers with this token
-                                if (null != this.frm)
-                                {
-                                        for (var i = 0; i < this.frm._dh.length; i++)
-                                                this.frm._dh[i](tok, this.txt, this.pos, this.frm);
-                                }
-                                else
-                                {
-                                        // ignored, unprocessed token ... this only happens when
-                                        // there are tokens at the "global" level (e.g. before
-                                        // {\rtf and after final }).  Usually this is for white-
-                                        // space, but I don't think we really care.
-                                }
-                        }
-
-                } // for (main loop)
-        
-                return this.doc;
-
-        } // RtfParser::Document()
-
-        //------------------------------------------------------------------------
-        //------------------------------------------------------------------------
-        // Generic Handlers
-        //
-        // * HandlePcData()
-        //
-        //------------------------------------------------------------------------
-        //------------------------------------------------------------------------
-
-        //_[RtfParser::HandlePcData()]____________________________________________
-        //
-        // Used for destinations which are simply a #PCDATA text string.  A
-        // property of the same name is created on the previous stack frame.
-        //
-        function RtfParser__HandlePcData(t, s, i, o)
-        {
-                if (513 === t)
-                {
-                        o.dat = [ ];
-                        return;
-                }
-                else if (769 === t)
-                {
-                        // previous stack frame
-                        var pfrm = o.stk[o.stk.length-2];
-                        pfrm[o.ctl] = o.dat.join("");
-                        dtrace("#PCDATA " + o.ctl + "=\"" + pfrm[o.ctl] + "\"");
-                        return;
-                }
-
-                var typ = RtfTkTyp(t);
-                if (1 !== typ)
-                        throw Error("RtfParser: Unexpected type (" + typ + ") in \"" +
-                                o.ctl + "\" #PCDATA");
-
-                o.dat.push(RtfTkTxt(t, s, i));
-
-        } // RtfParser::HandlePcData()
-
-        //------------------------------------------------------------------------
-        //------------------------------------------------------------------------
-        // Basic Handlers
-        //
-        // * HandleMeta()
-        // * HandleFontTable()
-        // * HandleColorTable()
-        //
-        //------------------------------------------------------------------------
-        //------------------------------------------------------------------------
-
-        //_[HandleMeta()]_________________________________________________________
-        //
-        // Gets RTF meta data.
-        //
-        function HandleMeta(t, s, i, o)
-        {
-                if (513 === t)
-                {
-                        o.doc.ver = RtfTkVal(o.tok);
-                        return;
-                }
-
-                var ctl = RtfTkCtl(t, s, i);
-                switch (ctl)
-                {
-                        // ansi/mac/pc/pca: Character Set
-                        case "ansi":
-                        case "mac":
-                        case "pc":
-                        case "pca":
-                                o.doc.charset = ctl;
-                                break;
-
-                        // ansicpg: ANSI Code Page
-                        case "ansicpg":
-                                o.doc.codepage = RtfTkVal(t);
-                                break;
-
-                        // deff: Default Font (index into fonts[])
-                        case "deff":
-                                o.doc.deff = RtfTkVal(t);
-                                break;
-                }
-
-        } // HandleMeta()
-
-        //_[HandleFontTable()]____________________________________________________
-        //
-        // Interprets RTF font table into a 'fonts' list on the document object.
-        // Each font object generally has at least a "name" member.
-        //
-        function HandleFontTable(t, s, i, o)
-        {
-                var val = null, ctl = null;
-                if (513 === t)
-                {
-                        if (null == o.doc.fonts)
-                                o.doc.fonts = [ ];
-
-                        ctl = RtfTkCtl(o.tok, s, o.pos);
-                        val = RtfTkVal(o.tok);
-                }
-                else
-                {
-                        ctl = RtfTkCtl(t, s, i);
-                        val = RtfTkVal(t);
-                }
-
-                var typ = (t >> 8) & 0x7;
-                if (1 === typ)
-                {
-                        var txt = RtfTkTxt(t, s, i);
-                        o.font.name = txt;
-                        if (";" == o.font.name.charAt(o.font.name.length-1))
-                                o.font.name = o.font.name.substr(0, o.font.name.length-1);
-                        return;
-                }
-
-                switch (ctl)
-                {
-                        // f: New Font
-                        case "f":
-                                o.font = o.doc.fonts[val] = new Object;
-                                break;
-
-                        case "fnil":
-                        case "froman":
-                        case "fswiss":
-                        case "fmodern":
-                        case "fscript":
-                        case "fdecor":
-                        case "ftech":
-                        case "fbidi":
-                                o.font.family = ctl.substr(1);
-                                break;
-
-                        case "fcharset":
-                                o.font.charset = val;
-                                break;
-
-                        case "fprq":
-                                o.font.pitch = val;
-                                break;
-
-                        case "ftnil":
-                        case "fttruetype":
-                                o.font.type = ctl.substr(2);
-                                break;
-
-                        case "cpg":
-                                o.font.codepage = val;
-                                break;
-                }
-
-        } // HandleFontTable()
-
-        //_[HandleColorTable()]___________________________________________________
-        //
-        // Interprets RTF color table into a 'colors' list on the document object.
-        // Each color object has the members 'r', 'g', and 'b'.
-        //
-        function HandleColorTable(t, s, i, o)
-        {
-                if (513 === t)
-                {
-                        if (null == o.doc.colors)
-                        {
-                                o.color = { r : 0, g : 0, b : 0 };
-                                o.doc.colors = [ o.color ];
-                        }
-                                
-                        return;
-                }
-                else if (769 === t)
-                {
-                        // closing
-                        return;
-                }
-
-                var typ = (t >> 8) & 0x7;
-                if (1 === typ)
-                {
-                        var txt = RtfTkTxt(t, s, i);
-                        if (";" == txt)
-                        {
-                                o.color = { r : 0, g : 0, b : 0 };
-                                o.doc.colors.push(o.color);
-                        }
-                        return;
-                }
-                else if (6 !== typ)
-                {
-                        return;
-                }
-
-                var ctl = RtfTkCtl(t, s, i);
-                var val = RtfTkVal(t);
-                if ("red" == ctl)
-                {
-                        o.color.r = val;
-                }
-                else if ("green" == ctl)
-                {
-                        o.color.g = val;
-                }
-                else if ("blue" == ctl)
-                {
-                        o.color.b = val;
-                }
-                else
-                {
-                        throw Error("Unrecognized token in color table: " +
-                                RtfTkTxt(t, s, i));
-                }
-
-        } // HandleColorTable()
-
-} // RtfParser()
-//*[rtf2html.js]*************************[http://code.google.com/p/obremsdk/]*
-//
-// JavaScript: RTF to HTML Conversion
-// Version 0.12
-//
-// Utilizes RtfParser found in rtf.js module.
-//
-//-[History]------------------------------------------------------------------
-// 2007-09-24 by NeilO .... v0.12: Made part of ObremSDK.
-// 2007-03-04 by NeilO .... Created.
-//
-// (C)opyright 2007++ by Neil C. Obremski;                     New BSD License
-//***********************[http://www.opensource.org/licenses/bsd-license.php]*
-
-//_[Rtf2Html()]_______________________________________________________________
-//
-// Highest-level conversion function and easiest to use.  Just call and you'll
-// be returned a string of HTML text.
-//
-// txt .................... [ in] Rich text formatted (RTF) string.
-// baseurl ................ [ in] Base URL for hyperlinks.
-// out .................... [ in] Output object; will contain files to be
-//                                                      written out.
-// ver .................... [ in] Version.  Currently only 2 is supported.
-//
-
-// CUSTOMIZATION HERE. THE FOLLOWING FUNCTION WAS ORIGINALLY DECLARED AS:
-// function Rtf2Html(txt, baseurl, out, ver)
-module.exports = function(txt, baseurl, out, ver)
-{
-        var parser = new RtfParser(txt);
-
-        if (null == ver)
-                ver = 2;
-        if (2 != ver)
-                throw Error("HTML version " + ver + " not supported");
-
-        parser.HandleDest(";rtf", Main_);
-        parser.HandleDest("pn", Bullets_);
-        parser.HandleDest("pntxtb", parser.HandleIgnore);
-        parser.HandleDest("pntext", parser.HandleIgnore);
-        parser.HandleDest(";rtf;object", Pkg_);
-        parser.HandleDest(";rtf;listtext", ListText_);
-        parser.HandleDest(";rtf;object;objclass", parser.HandlePcData);
-        parser.HandleDest(";rtf;object;objdata", PkgData_);
-        parser.HandleDest(";rtf;object;result", parser.HandleIgnore);
-        parser.HandleDest(";rtf;rtlch", Main_);
-        parser.HandleDest(";rtf;fonttbl;fbiminor", parser.HandleIgnore);
-        parser.HandleDest(";rtf;fonttbl;fhiminor", parser.HandleIgnore);
-        parser.HandleDest(";rtf;fonttbl;fdbminor", parser.HandleIgnore);
-        parser.HandleDest(";rtf;fonttbl;flominor", parser.HandleIgnore);
-        parser.HandleDest(";rtf;fonttbl;fbimajor", parser.HandleIgnore);
-        parser.HandleDest(";rtf;fonttbl;fhimajor", parser.HandleIgnore);
-        parser.HandleDest(";rtf;fonttbl;fdbmajor", parser.HandleIgnore);
-        parser.HandleDest(";rtf;fonttbl;flomajor", parser.HandleIgnore);
-        parser.HandleDest(";rtf;mmath", parser.HandleIgnore);
-        parser.HandleDest(";rtf;info;vern", parser.HandleIgnore);
-        parser.HandleDest(";rtf;info;author", parser.HandleIgnore);
-        parser.HandleDest(";rtf;info;nofpages", parser.HandleIgnore);
-        parser.HandleDest(";rtf;info;nofwords", parser.HandleIgnore);
-        parser.HandleDest(";rtf;info;nofcharsws", parser.HandleIgnore);
-        parser.HandleDest(";rtf;info;nofchars", parser.HandleIgnore);
-        parser.HandleDest(";rtf;info;edmins", parser.HandleIgnore);
-        parser.HandleDest(";rtf;info;version", parser.HandleIgnore);
-        parser.HandleDest(";rtf;info;revtim", parser.HandleIgnore);
-        parser.HandleDest(";rtf;info;creatim", parser.HandleIgnore);
-        parser.HandleDest(";rtf;info;operator", parser.HandleIgnore);
-        parser.HandleDest(";rtf;info", parser.HandleIgnore);
-        parser.HandleDest(";rtf;stylesheet", parser.HandleIgnore);
-        parser.HandleDest(";rtf;stylesheet;s", parser.HandleIgnore);
-        parser.HandleDest(";rtf;stylesheet;ql", parser.HandleIgnore);
-        parser.HandleDest(";rtf;object;result;pict", parser.HandleIgnore);
-
-        parser.Document(true).baseurl = baseurl;
-        parser.Document(true).outo = out;
-
-        return parser.Document().html;
-
-        //-[Main_()]--------------------------------------------------------------
-        //
-        function Main_(t, s, i, o)
-        {
-                if (513 === t)
-                {
-                        o.newpara = true;
-                        // create string-builder for HTML in this destination
-                        o.html = o.doc.sbhtml = [ ];
-                }
-                else if (769 === t)
-                {
-                        EndPara_();
-
-                        // build string and set it on main document
-                        o.doc.html = o.doc.html || "";
-                        o.doc.html += o.html.join("");
-                }
-
-                var typ = RtfTkTyp(t);
-
-                if (1 === typ)
-                {
-                        if (null != o.par_beg)
-                        {
-                                o.html.push(o.par_beg);
-                                o.par_beg = null;
-                        }
-        
-                        if (true == o.newpara)
-                        {
-                                o.lastpari = o.html.length;
-                                o.newpara = false;
-                                Img_("LEFT");
-                        }
-                        else
-                        {
-                                Img_();
-                        }
-
-                        o.html.push(esc_(RtfTkTxt(t, s, i)));
-                        return;
-                }
-                else if (5 === typ)
-                {
-                        o.html.push(esc_(RtfTkChr(t, s, i)));
-                        return;
-                }
-
-                var ctl = RtfTkCtl(t, s, i);
-                var val = RtfTkVal(t);
-
-                switch (ctl)
-                {
-                        case "pard":
-                                EndPara_();
-                                break;
-
-                        case "tab":
-                                o.html.push("&nbsp;&nbsp;&nbsp;&nbsp;");
-                                break;
-
-                        case "li":
-                                /* Comment out as indented text isn't necessarily a blockquote.
-                                if (o.bullets)
-                                {
-                                        // ignore when bullets are on
-                                }
-                                else if (0 != val)
-                                {
-                                        if (!o.indented)
-                                        {
-                                                o.html.push("<BLOCKQUOTE>");
-                                                o.indented = true;
-                                        }
-                                }
-                                else if (o.indented)
-                                {
-                                }
-                                */
-                                break;
-
-                        case "f":
-                                /* Commented out as we have no need for font definitions
-                                o.font = o.doc.fonts[val];
-                                
-                                //WScript.Echo("Selected Font " + val);
-                                //WScript.Echo("Font Name: " + o.font.name + " (" + o.font.family + ")");
-                                
-                                if (o.font.name.match(/(courier|system|fixed)/i))
-                                {
-                                        if (!o.monofont)
-                                        {
-                                                o.monofont = true;
-                                                o.html.push("<CODE>");
-                                        }
-                                }
-                                else if (o.monofont)
-                                {
-                                        o.html.push("</CODE>");
-                                        o.monofont = false;
-                                }
-
-                                */
-                                break;
-
-                        // font size
-                        case "fs":
-
-                                if (o.chgsz < 0)
-                                {
-                                        for ( ; o.chgsz < 0; o.chgsz++)
-                                                o.html.push("</SMALL>");
-                                }
-                                else if (o.chgsz > 0)
-                                {
-                                        for ( ; o.chgsz > 0; o.chgsz--)
-                                                o.html.push("</BIG>");
-                                }                               
-
-                                switch (val >> 1)
-                                {
-                                        case 12:
-                                                o.chgsz = 1;
-                                                o.html.push("<BIG>");
-                                                break;
-                                        case 10:
-                                                break;
-                                        case 8:
-                                                o.chgsz = -1;
-                                                o.html.push("<SMALL>");
-                                                break;
-                                }
-                                break;
-                        
-                        case "line":
-                                if (o.bullets)
-                                {
-                                        if (!o.bulletline)
-                                                o.bulletline = true;
-                                }
-
-                                o.html.push("<BR>");
-                                break;
-
-                        case "par":
-                                Img_("RIGHT");
-                                o.newpara = true;
-                                if (o.bullets)
-                                {
-                                        if (o.bulletline)
-                                        {
-                                                o.html.push("<BR>");
-                                                o.bulletline = false;
-                                        }
-                                        o.html.push("</LI>");
-                                        o.par_beg = "<LI>";
-                                }
-                                else if (null == o.par_end)
-                                {
-                                        o.html.push("<BR>");
-                                }
-                                else
-                                {
-                                        o.html.push(o.par_end);
-                                        o.par_end = null;
-                                }
-                                break;
-                        
-                        case "qc":
-                                o.center = true;
-                                if (0 === val)
-                                {
-                                        o.center = false;
-                                        o.html.push("</CENTER>");
-                                }
-                                else
-                                {
-                                        o.html.push("<CENTER>");
-                                }
-                                break;
-
-                        case "b":
-                                if (0 === val)
-                                        o.html.push("</B>");
-                                else
-                                        o.html.push("<B>");
-                                break;
-                        case "i":
-                                if (0 === val)
-                                        o.html.push("</I>");
-                                else
-                                        o.html.push("<I>");
-                                break;
-                        case "strike":
-                                if (0 === val)
-                                        o.html.push("</S>");
-                                else
-                                        o.html.push("<S>");
-                                break;
-                        case "ul":
-                        case "u":
-                                if (0 === val)
-                                        o.html.push("</U>");
-                                else
-                                        o.html.push("<U>");
-                                break;
-                }
-
-                // end of main (private helpers follow)
-
-                function Img_(align)
-                {
-                        if (null != o.doc.limg)
-                        {
-                                var imgtag = "<IMG SRC=\"" + o.doc.baseurl + o.doc.limg.name +
-                                        "\" HSPACE=\"5\" VSPACE=\"5\" " +
-                                        (null == align ? "" : "ALIGN=\"" + align + "\"") + " />";
-
-                                if ("RIGHT" == align && null != o.lastpari)
-                                {
-                                        o.html.splice(o.lastpari, 0, imgtag);
-                                }
-                                else
-                                {
-                                        o.html.push(imgtag);
-                                }
-
-                                o.doc.limg = null;
-                        }
-                }
-
-                function EndPara_()
-                {
-                        Img_();
-                        if (o.center)
-                        {
-                                o.html.push("</CENTER>");
-                                o.center = false;
-                        }
-                        o.newpara = true;
-                        o.bulletline = false;
-                        o.par_beg = null;
-                        if (o.chgsz < 0)
-                        {
-                                for ( ; o.chgsz < 0; o.chgsz++)
-                                        o.html.push("</SMALL>");
-                        }
-                        else if (o.chgsz > 0)
-                        {
-                                for ( ; o.chgsz > 0; o.chgsz--)
-                                        o.html.push("</BIG>");
-                        }
-                        if (o.monofont)
-                        {
-                                o.html.push("</CODE>");
-                                o.monofont = false;
-                        }
-                        if (o.indented)
-                        {
-                                o.html.push("</BLOCKQUOTE>");
-                                o.par_end = "";
-                                o.indented = false;
-                        }
-                        if (o.bullets)
-                        {
-                                o.html.push("</UL>");
-                                o.par_end = "";
-                                o.bullets = false;
-                        }
-                }
-
-                function esc_(s)
-                {
-                        return s.replace(/&/g, '&amp;')         // ampersands
-                                        .replace(/</g, '&lt;')          // open bracket
-                                        .replace(/>/g, '&gt;')          // close bracket
-                                        .replace(/\"/g, '&quot;')       // quote
-                                        .replace(/  /g, " &nbsp;")
-                                        ;
-                }
-        }
-
-        //-[Bullets_()]-----------------------------------------------------------
-        function Bullets_(t, s, i, o)
-        {
-                if (513 === t)
-                {
-                        o.stk[o.stk.length-2].bullets = true;
-                        o.stk[o.stk.length-2].html.push("<UL><LI>");
-                }
-        }
-
-        //-[Bullets_()]-----------------------------------------------------------
-        function ListText_(t, s, i, o)
-        {
-                if (513 === t)
-                {
-                        var bullets = o.stk[o.stk.length-2].bullets;
-                        o.stk[o.stk.length-2].bullets = true;
-                        if (!bullets) {
-                                o.stk[o.stk.length-2].html.push("<UL><LI>");
-                        } else {
-                                o.stk[o.stk.length-2].html.push("</LI><LI>");
-                        }
-                }
-        }
-
-        //-[Pkg_()]---------------------------------------------------------------
-        //
-        function Pkg_(t, s, i, o)
-        {
-                if (513 === t)
-                {
-                        return;
-                }
-                else if (769 === t)
-                {
-                        return;
-                }
-
-                var ctl = RtfTkCtl(t, s, i);
-                var val = RtfTkVal(t);
-
-                switch (ctl)
-                {
-                        case null:
-                                break;
-                        case "objemb":
-                                break;
-                        case "objclass":
-                                break;
-                        case "objw":
-                                break;
-                        case "objh":
-                                break;
-                        default:
-                                WScript.Echo("Unhandled CTL: " + ctl);
-                }
-        }
-
-        //-[PkgData_()]-----------------------------------------------------------
-        //
-        function PkgData_(t, s, i, o)
-        {
-                if (769 === t)
-                {
-                        var pfrm = o.stk[o.stk.length - 2];
-
-                        // output a package
-                        if ("Package" == pfrm.objclass)
-                        {
-                                var start = o.pos + RtfTkLen(o.tok);
-                                var end = i;
-                                var pkg = RtfPkgOb(s, start, end);
-                                for (var j = 0; j < pkg.items.length; j++)
-                                {
-                                        var item = pkg.items[j];
-                                        if (null != o.doc.outo)
-                                        {
-                                                if (null == o.doc.outo.files)
-                                                        o.doc.outo.files = [ item ];
-                                                else
-                                                        o.doc.outo.files.push(item);
-                                        }
-
-                                        if (item.name.match(/\.(gif|png|jpe?g)$/i))
-                                        {
-                                                o.doc.limg = item;
-                                        }
-                                        else
-                                        {
-                                                o.doc.sbhtml.push("{<A HREF=\"" + o.doc.baseurl +
-                                                        pkg.items[j].name + "\">" + pkg.items[j].name + "</A>}");
-                                        }
-                                }
-                        }
-                }
-        }
-
-
-} // Rtf2Html
+//*[rtf.js]******************************[http://code.google.com/p/obremsdk/]*
+//
+// JavaScript: Rich Text Format (RTF) Processing
+// Version 0.12
+//
+// RTF is a lot like HTML, text that has mark-up which is also text.  Instead
+// of tags, it uses the concept of control words.  Rather than nested tags,
+// it has blocks enclosed in braces.
+//
+// This module has been designed with three layers of functionality which
+// turns out to correspond with what the RTF Specification 1.3 said of RTF
+// Readers:
+//
+//      1. Low-Level / Tokenizing: At the lowest level is the concept of breaking
+//      an RTF string into tokens, stored as 32-bit integers.  Functions are
+//      provided to get higher-level data using the token, original string, and
+//      index where the token was found.
+//
+//      2. Parsing: Next is the RtfParser object which generically traverses the
+//      RTF control words and blocks.  A map of destination handlers is maintained
+//      for acting on the information in a more meaningful way.
+//
+//      3. Handlers: The destination handlers here will put data into a high-
+//      level 'doc' object as well as convert to HTML.
+//
+//-[RTF Tokens]---------------------------------------------------------------
+//
+// Tokens are represented as 32-bit integers.  Most information can be extra-
+// cted from this number, but missing is the position of the token in the
+// source string and a reference to that string itself.  Thus those three
+// parameters are necessary for some functions, but many others require only
+// the token itself.  A lot of the functions don't even bother calling
+// functions, but rather calculate the values themselves.
+//
+// A token is made up of multiple numeric parts which are packed tightly to-
+// gether using bit-level operations (shifting, masking, etc.).  These bits
+// have the following separation from left (most-significant) to right
+// (least-significant):
+//
+//  31                 15     11     8          0 <-- shift position
+// [1] [0000000000000000] [1111] [000] [11111111]
+// has val:16             skp:4  typ:3 len:8
+//
+// As a C/C++ struct, this would look like so:
+//
+//      struct t_rtf_token
+//      {
+//              unsigned char len;
+//              unsigned typ : 3;
+//              unsigned skp : 4;
+//              unsigned val : 16;
+//              unsigned has : 1;
+//      };
+//
+// These parts are defined as follows:
+//
+//      len: Length of the entire token.  Data tokens can only be 255 characters
+//      because this is limited to 8 bits.  Zero-length tokens are possible for
+//      higher-level purposes, but are never returned from GetRtfTk().
+//
+//      typ: Type of the token which determines how GetRtfTxt() and GetRtfVal()
+//      will react:
+//
+//              0x0: Lexically incorrect data; generally ignored.
+//              0x1: Data.
+//              0x2: Start new destination ({).
+//              0x3: End current destination (}).
+//              0x4: Ignorable destination marker (\*).
+//              0x5: Symbol.
+//              0x6: Control word.
+//              0x7: Character (value == character value).
+//
+//      skp: Amount of characters to skip to get to the end of a control word,
+//      usually to the start of its numeric value.  Add 2 to the bit value, thus
+//      the possible values are 2 to 17.
+//
+//      val: Numeric value + 32,768 (subtract that number to get actual, signed
+//      value).  This isn't stored at the last 16 bits, because if it was the last
+//      bit MAY be interpreted as the sign (yes for JScript on Win32, no for
+//      JScript on Win64).  This could be detected, but at the cost of processing
+//      power.
+//
+//      has: HAS a numeric value, otherwise GetRtfVal() will return NaN.
+//
+//-[History]------------------------------------------------------------------
+// 2007-09-24 by NeilO .... v0.12: Made part of ObremSDK.
+// 2007-01-28 by NeilO .... Created.
+//
+// (C)opyright 2007++ by Neil C. Obremski;                     New BSD License
+//***********************[http://www.opensource.org/licenses/bsd-license.php]*
+
+//----------------------------------------------------------------------------
+//----------------------------------------------------------------------------
+// Low-Level RTF Functions
+//
+// * NewRtfTk()
+// * GetRtfTk()
+// * RtfTkTyp()
+// * RtfTkLen()
+// * RtfTkTxt()
+// * RtfTkChr()
+// * RtfTkCtl()
+// * RtfTkVal()
+// * RtfTkBin()
+// * RtfSkipB()
+// * RtfConst()
+// * RtfIsDst()
+// * RtfCsCpg()
+// * RtfFntCp()
+// * RtfLeadB()
+// * RtfCpStr()
+// * RtfPkgOb()
+//
+//----------------------------------------------------------------------------
+//----------------------------------------------------------------------------
+
+//_[NewRtfTk()]_______________________________________________________________
+//
+// Creates a new token and returns the result.  Throws an exception on
+// failure.  This function isn't used so much as it exists to illustrate how
+// tokens are represented.
+//
+// See "RTF Tokens" in header comment for more details.
+//
+// typ .................... [ in] Type; 0=invalid, 1=data, 2=push, 3=pop,
+//                                                      4=ignorable, 5=symbol, 6=control, 7=character.
+// len .................... [ in] Length; valid values are 0 to 255.  This is
+//                                                      fixed for types 2, 3, and 4.
+// val .................... [ in] Value; 16-bit signed integer with valid
+//                                                      range of -32,768 to 32,767.  If this is null (or
+//                                                      undefined) then no value is set and the 'has' bit
+//                                                      is set to 0 instead of 1.
+// skp .................... [ in] Skip this number of characters to get to the
+//                                                      end of the control word portion (usually to get to
+//                                                      the value); valid range is 2 (default) to 17.
+//
+function NewRtfTk(typ, len, val, skp)
+{
+        // - -
+        // validate type
+        //
+        typ = parseInt(typ);
+        if (isNaN(typ))
+        {
+                throw Error("NewRtfTk: Missing or invalid type");
+        }
+
+        // - -
+        // validate length
+        //
+        len = parseInt(len);
+        if (isNaN(len))
+        {
+                if (2 === typ || 3 === typ)
+                        len = 1;
+                else if (4 === typ)
+                        len = 2;
+                else
+                        throw Error("NewRtfTk: Missing length (typ=" + typ + ")");
+        }
+
+        // - -
+        // validate value
+        //
+        var has = 1;
+        val = parseInt(val);
+        if (isNaN(val))
+        {
+                has = 0;
+                val = 0;
+        }
+        else if (val < -32768 || val > 32767)
+        {
+                throw Error("NewRtfTk: Value " + val +
+                        " out of range (-32,768 to 32,767)");
+        }
+
+        // - -
+        // validate skip
+        //
+        skp = parseInt(skp);
+        if (isNaN(skp))
+        {
+                skp = 0;
+        }
+        else if (skp < 2 || skp > 17)
+        {
+                throw Error("NewRtfTk: Skip amount " + skp +
+                        " out of range (2 to 17)");
+        }
+        else
+        {
+                // stored in 4 bits, it must be in 0 to 15 range
+                skp -= 2;
+        }
+
+        // - -
+        // form and return token as 32-bit integer
+        //
+        return (has << 31) | (val << 15) | (skp << 11) | (typ << 8) | len;
+
+} // NewRtfTk()
+
+//_[GetRtfTk()]_______________________________________________________________
+//
+// Parses the next token in a string and returns it.  Since tokens are never
+// longer than 255 characters, this can be used on a partially-loaded RTF
+// string.
+//
+// s ...................... [ in] RTF string.
+// i ...................... [ in] Starting position.
+//
+function GetRtfTk(s, i)
+{
+        var c = s.charCodeAt(i);
+
+        // { open brace
+        if (123 === c)
+        {
+                // NewRtfTk(RtfConst().PUSH);
+                return 513;
+        }
+        // } close brace
+        else if (125 === c)
+        {
+                // NewRtfTk(RtfConst().POP);
+                return 769; 
+        }
+        // \ back slash: control word / special character
+        else if (92 === c)
+        {
+                var len = 1;
+                for (c = s.charCodeAt(++i);
+                        c >= 97 && c <= 122;
+                        c = s.charCodeAt(++i))
+                {
+                        len++;
+                }
+
+                // only read one character, either it's special or invalid
+                if (1 === len)
+                {
+                        // * asterisk == ignorable destination marker
+                        if (42 === c)
+                        {
+                                // NewRtfTk(RtfConst().IGNORABLE);
+                                return 1026;
+                        }
+
+                        // ' apostrophe == symbol with 2-digit hex value
+                        if (39 === c)
+                        {
+                                // invalid (not enough characters left in string)
+                                if (i + 2 > s.length)
+                                        return (s.length - i) + 2;
+
+                                var d1 = s.charCodeAt(++i);
+                                var d2 = s.charCodeAt(++i);
+                                
+                                if (d1 >= 0x30 && d1 <= 0x39)           // 0-9
+                                        d1 -= 0x30;
+                                else if (d1 >= 0x41 && d1 <= 0x46)      // A-F
+                                        d1 -= 0x37;
+                                else if (d1 >= 0x61 && d1 <= 0x66)      // a-f
+                                        d1 -= 0x57;
+                                else
+                                        return 4; // invalid hex (left digit)
+
+                                if (d2 >= 0x30 && d2 <= 0x39)           // 0-9
+                                        d2 -= 0x30;
+                                else if (d2 >= 0x41 && d2 <= 0x46)      // A-F
+                                        d2 -= 0x37;
+                                else if (d2 >= 0x61 && d2 <= 0x66)      // a-f
+                                        d2 -= 0x57;
+                                else
+                                        return 4; // invalid hex (right digit)
+
+                                // NewRtfTk(RtfConst().CHARACTER, 4, (d1 << 4) | d2);
+                                return (1 << 31) | ((((d1 << 4) | d2) + 32768) << 15) | 1796;
+                        }
+
+                        if
+                        (
+                                c != 92 &&      // \ backslash
+                                c != 45 &&      // - dash
+                                c != 58 &&      // : colon
+                                c != 95 &&      // _ underscore
+                                c < 123 && c > 126      // { | } ~
+                        )
+                        {
+                                // NewRtfTk(RtfConst().INVALID, 2);
+                                return 2;
+                        }
+
+                        // NewRtfTk(RtfConst().SYMBOL, 2, c);
+                        return (1 << 31) | ((c+32768) << 15) | 1282;
+                }
+
+                // digits possibly preceded by a hyphen
+                if (45 === c || (c >= 48 && c <= 57))
+                {
+                        var skp = len;
+                        var vi = i;     // start index of value
+
+                        for (c = s.charCodeAt(++i); i < s.length; c = s.charCodeAt(++i))
+                        {
+                                len++;
+                                if (45 !== c && (c < 48 || c > 57))
+                                {
+                                        // space terminator (absorbed into control word token)
+                                        if (32 === c)
+                                                len++;
+                                        break;
+                                }
+                        }
+
+                        // slice is used, not substr, because an explicit index is passed
+                        // rather than a length
+                        var val = parseInt(s.slice(vi, i));
+
+                        // add 32768 to make any value unsigned
+                        val += 32768;
+                        
+                        // NewRtfTk(RtfConst().CONTROL, len, val, skp);
+                        // (skip is capped, see RtfTkCtl() for longer control words)
+                        var tk = (1 << 31) | (val << 15) | ((Math.min(skp, 17)-2) << 11) | 1536 | len;
+                        return tk;
+                }
+                // space terminator (absorbed into control word token)
+                else if (32 === c)
+                {
+                        len++;
+
+                        // NewRtfTk(RtfConst().CONTROL, len, null, len - 1);
+                        return ((Math.min(len-1, 17)-2) << 11) | 1536 | len;
+                }
+
+                // NewRtfTk(RtfConst().CONTROL, len, null, len);
+                return ((Math.min(len, 17)-2) << 11) | 1536 | len;
+        }
+        // CRLF's (logged as symbol in case it's wanted)
+        else if (10 === c || 13 === c)
+        {
+                var len = 1;
+                for (c = s.charCodeAt(++i); i < s.length; c = s.charCodeAt(++i))
+                {
+                        if (10 !== c && 13 !== c)
+                                break;
+                        len++;
+                        if (255 === len)
+                                break;
+                }
+
+                // NewRtfTk(RtfConst().CONTROL, len, 13);
+                return (1 << 31) | 1074169088 | len;
+        }
+
+        // data
+        var len = 1;
+        for (c = s.charCodeAt(++i); i < s.length; c = s.charCodeAt(++i))
+        {
+                if (92 === c || 123 === c || 125 === c || 13 === c || 10 === c)
+                        break;
+                len++;
+                if (255 === len)
+                        break;
+        }
+
+        // NewRtfTk(RtfConst().DATA, len);
+        return (256 | len);
+
+} // GetRtfTk()
+
+//_[RtfTkTyp()]_______________________________________________________________
+//
+// Returns the type of the token.
+//
+// t ...................... [ in] Token; see "RTF Tokens".
+//
+function RtfTkTyp(t)
+{
+        return (t >> 8) & 0x7;
+}
+
+//_[RtfTkLen()]_______________________________________________________________
+//
+// Returns the length of the token from its starting position.
+//
+// t ...................... [ in] Token; see "RTF Tokens".
+//
+function RtfTkLen(t)
+{
+        return (t & 0xFF);
+}
+
+//_[RtfTkTxt()]_______________________________________________________________
+//
+// Returns the text of the ENTIRE token.  If only the control word is desired,
+// from that token type, then use RtfTkCtl().
+//
+// t ...................... [ in] Token; see "RTF Tokens".
+// s ...................... [ in] Source string.
+// i ...................... [ in] Starting index where token was found.
+//
+function RtfTkTxt(t, s, i)
+{
+        return s.substr(i, t & 0xFF);
+}
+
+//_[RtfTkChr()]_______________________________________________________________
+//
+// Returns a string with a length of 1, for character tokens or symbols.
+//
+// t ...................... [ in] Token; see "RTF Tokens".
+// s ...................... [ in] Source string.
+// i ...................... [ in] Starting index where token was found.
+//
+function RtfTkChr(t, s, i)
+{
+        if (1792 !== (t & 0x700) && 1280 !== (t & 0x700))
+                return null;
+
+        return String.fromCharCode(((t >> 15) & 0xFFFF) - 32768);
+}
+
+//_[RtfTkCtl()]_______________________________________________________________
+//
+// Returns the control word portion of the token (e.g. without numeric value
+// or preceding backslash).  Returns null if the token is not a control word.
+// Control words longer than the skip amount can hold (16 letters, e.g.
+// "listoverridetable") are read up to their last letter.
+//
+// t ...................... [ in] Token; see "RTF Tokens".
+// s ...................... [ in] Source string.
+// i ...................... [ in] Starting index where token was found.
+//
+function RtfTkCtl(t, s, i)
+{
+        if (1536 !== (t & 0x700))
+                return null;
+
+        var n = 1 + ((t >> 11) & 0xF);
+        if (16 === n)
+        {
+                for (var c = s.charCodeAt(1 + i + n); c >= 97 && c <= 122;
+                        c = s.charCodeAt(1 + i + n))
+                {
+                        n++;
+                }
+        }
+
+        return s.substr(1 + i, n);
+}
+
+//_[RtfTkVal()]_______________________________________________________________
+//
+// Returns the numeric value of the token or NaN if it doesn't have one.
+// Symbols return their character index.
+//
+// t ...................... [ in] Token; see "RTF Tokens".
+//
+function RtfTkVal(t)
+{
+        if (0 === (t >> 31))
+                return NaN;
+
+        return ((t >> 15) & 0xFFFF) - 32768;
+}
+
+//_[RtfTkBin()]_______________________________________________________________
+//
+// Returns the number of raw bytes following a \binN control word, or zero
+// for any other token.  Those bytes are not RTF and must not be tokenized.
+// The count is read from the source, as it can go past what a token holds.
+//
+// t ...................... [ in] Token; see "RTF Tokens".
+// s ...................... [ in] Source string.
+// i ...................... [ in] Starting index where token was found.
+//
+function RtfTkBin(t, s, i)
+{
+        // control word, "\bin" is 4 characters (stored as 4 - 2)
+        if (1536 !== (t & 0x700) || 2 !== ((t >> 11) & 0xF) ||
+                "bin" !== s.substr(1 + i, 3))
+                return 0;
+
+        var m = /^\d+/.exec(s.substr(4 + i, RtfTkLen(t) - 4));
+        return null == m ? 0 : +m[0];
+}
+
+//_[RtfSkipB()]_______________________________________________________________
+//
+// Skip a block ({ ... }) of RTF tokens.  Returns the position PAST the
+// closing brace.
+//
+// s ...................... [ in] Source string.
+// i ...................... [ in] Starting index.
+// bc ..................... [ in] Brace Count; defaults to zero (0).
+//
+function RtfSkipB(s, i, bc)
+{
+        if (null == bc)
+                bc = 0;
+
+        var ps = i;
+        var tl = 0;
+
+        for (var ps = i; ps < s.length; ps += tl)
+        {
+                var tk = GetRtfTk(s, ps);
+                var tl = tk & 0xFF;
+                var ty = (tk >> 8) & 0x7;
+
+                if (2 === ty)
+                {
+                        bc++;
+                }
+                else if (3 === ty)
+                {
+                        if (0 === bc)
+                        {
+                                ps += tl;
+                                break;
+                        }
+                        else
+                        {
+                                bc--;
+                        }
+                }
+                else if (6 === ty)
+                {
+                        // never look for braces inside binary data
+                        tl += RtfTkBin(tk, s, ps);
+                }
+        }
+
+        return ps;
+
+} // RtfSkipB()
+
+//_[RtfConst()]_______________________________________________________________
+//
+// Returns an object of known RTF constants.
+//
+function RtfConst()
+{
+        if (null != RtfConst.dic)
+                return RtfConst.dic;
+
+        RtfConst.dic =
+        {
+                //
+                // token types
+                //
+                INVALID                                         : 0,
+                DATA                                            : 1,
+                PUSH                                            : 2,
+                POP                                                     : 3,
+                IGNORABLE                                       : 4,
+                SYMBOL                                          : 5,
+                CONTROL                                         : 6,
+                CHARACTER                                       : 7,
+
+                //
+                // \fcharset (Character set)
+                //
+                ANSI_CHARSET                            : 0,
+                SYMBOL_CHARSET                          : 2,
+                SHIFTJIS_CHARSET                        : 128,
+                GREEK_CHARSET                           : 161,
+                TURKISH_CHARSET                         : 162,
+                HEBREW_CHARSET                          : 177,
+                ARABICSIMPLIFIED_CHARSET        : 178,
+                ARABICTRADITIONAL_CHARSET       : 179,
+                ARABICUSER_CHARSET                      : 180,
+                HEBREWUSER_CHARSET                      : 181,
+                CYRILLIC_CHARSET                        : 204,
+                EASTERNEUROPE_CHARSET           : 238,
+                PC437_CHARSET                           : 254,
+                OEM_CHARSET                                     : 255,
+                DEFAULT_CHARSET                         : 1,
+                MAC_CHARSET                                     : 77,
+                HANGUL_CHARSET                          : 129,
+                JOHAB_CHARSET                           : 130,
+                GB2312_CHARSET                          : 134,
+                CHINESEBIG5_CHARSET                     : 136,
+                VIETNAMESE_CHARSET                      : 163,
+                BALTIC_CHARSET                          : 186,
+                THAI_CHARSET                            : 222,
+                
+                //
+                // \fprq (pitch)
+                //
+                PitchDefault                            : 0,
+                PitchFixed                                      : 1,
+                PitchVariable                           : 2
+        };
+
+        return RtfConst.dic;
+
+} // RtfConst()
+
+//_[RtfIsDst()]_______________________________________________________________
+//
+// Returns true if the control word is a known destination.  Groups which
+// begin with any other control word (e.g. {\b ...}) are just groups of
+// formatting within the current destination.
+//
+// ctl .................... [ in] Control word (without backslash or value).
+//
+function RtfIsDst(ctl)
+{
+        if (null == RtfIsDst.dic)
+        {
+                RtfIsDst.dic = { };
+
+                var a = ("aftncn aftnsep aftnsepc annotation atnauthor atndate " +
+                        "atnicn atnid atnparent atnref atntime atrfend atrfstart " +
+                        "author background bkmkend bkmkstart blipuid buptim category " +
+                        "colorschememapping colortbl comment company creatim datafield " +
+                        "datastore defchp defpap do docvar dptxbxtext ebcend ebcstart " +
+                        "factoidname falt fchars ffdeftext ffentrymcr ffexitmcr " +
+                        "ffformat ffhelptext ffl ffname ffstattext field file filetbl " +
+                        "fldinst fldrslt fldtype fname fontemb fontfile fonttbl footer " +
+                        "footerf footerl footerr footnote formfield ftncn ftnsep " +
+                        "ftnsepc g generator gridtbl header headerf headerl headerr hl " +
+                        "hlfr hlinkbase hlloc hlsrc hsv htmltag info keycode keywords " +
+                        "latentstyles lchars levelnumbers leveltext lfolevel linkval " +
+                        "list listlevel listname listoverride listoverridetable " +
+                        "listpicture liststylename listtable listtext lsdlockedexcept " +
+                        "mmath manager mhtmltag nesttableprops nextfile nonesttables " +
+                        "nonshppict objalias objclass objdata object objname objsect " +
+                        "objtime oldcprops oldpprops oldsprops oldtprops oleclsid " +
+                        "operator panose password passwordhash pgp pgptbl picprop pict " +
+                        "pn pnseclvl pntext pntxta pntxtb printim private propname " +
+                        "protend protstart protusertbl pxe result revtbl revtim " +
+                        "rsidtbl rtf rxe shp shpgrp shpinst shppict shprslt shptxt sn " +
+                        "sp staticval stylesheet subject sv svb tc template themedata " +
+                        "title txe ud upr userprops wgrffmtfilter windowcaption " +
+                        "writereservation writereservhash xe xform xmlattrname " +
+                        "xmlattrvalue xmlclose xmlname xmlnstbl xmlopen").split(" ");
+
+                for (var i = 0; i < a.length; i++)
+                        RtfIsDst.dic[a[i]] = true;
+        }
+
+        return true === RtfIsDst.dic[ctl];
+
+} // RtfIsDst()
+
+//_[RtfCsCpg()]_______________________________________________________________
+//
+// Returns the code page implied by a font character set (\fcharset) or null
+// if the character set doesn't imply one (e.g. DEFAULT_CHARSET).
+//
+// cs ..................... [ in] Character set; see RtfConst().
+//
+function RtfCsCpg(cs)
+{
+        switch (cs)
+        {
+                case   0: return 1252;  // ANSI
+                case  77: return 10000; // Mac Roman
+                case 128: return 932;   // Shift-JIS
+                case 129: return 949;   // Hangul
+                case 130: return 1361;  // Johab
+                case 134: return 936;   // GB2312
+                case 136: return 950;   // Big5
+                case 161: return 1253;  // Greek
+                case 162: return 1254;  // Turkish
+                case 163: return 1258;  // Vietnamese
+                case 177: return 1255;  // Hebrew
+                case 178:
+                case 179:
+                case 180: return 1256;  // Arabic
+                case 181: return 1255;  // Hebrew (user)
+                case 186: return 1257;  // Baltic
+                case 204: return 1251;  // Cyrillic
+                case 222: return 874;   // Thai
+                case 238: return 1250;  // Eastern European
+                case 254: return 437;   // PC 437
+                case 255: return 850;   // OEM
+        }
+
+        return null;
+
+} // RtfCsCpg()
+
+//_[RtfFntCp()]_______________________________________________________________
+//
+// Returns the code page used to decode \'hh bytes written in a font.  The
+// font's own \cpg wins, then its \fcharset, and finally the document's
+// \ansicpg (or the code page implied by \mac, \pc or \pca).
+//
+// doc .................... [ in] Document object; see RtfParser.
+// f ...................... [ in] Font index; defaults to \deff.
+//
+function RtfFntCp(doc, f)
+{
+        if (null == f)
+                f = doc.deff;
+
+        var fnt = (null == doc.fonts || null == f) ? null : doc.fonts[f];
+        if (null != fnt)
+        {
+                if (null != fnt.codepage)
+                        return fnt.codepage;
+
+                var cp = RtfCsCpg(fnt.charset);
+                if (null != cp)
+                        return cp;
+        }
+
+        if (null != doc.codepage)
+                return doc.codepage;
+
+        switch (doc.charset)
+        {
+                case "mac": return 10000;
+                case "pc":  return 437;
+                case "pca": return 850;
+        }
+
+        return 1252;
+
+} // RtfFntCp()
+
+//_[RtfLeadB()]_______________________________________________________________
+//
+// Returns true if the byte is the first of a two byte sequence in the given
+// (double-byte) code page.
+//
+// cp ..................... [ in] Code page.
+// b ...................... [ in] Byte value.
+//
+function RtfLeadB(cp, b)
+{
+        switch (cp)
+        {
+                case 932:
+                        return (b >= 0x81 && b <= 0x9F) || (b >= 0xE0 && b <= 0xFC);
+                case 936:
+                case 949:
+                case 950:
+                case 1361:
+                        return b >= 0x81 && b <= 0xFE;
+        }
+
+        return false;
+
+} // RtfLeadB()
+
+//_[RtfCpStr()]_______________________________________________________________
+//
+// Decodes one character's worth of bytes (one, or two for a DBCS lead byte)
+// in the given code page and returns the resulting string.  Decoding is done
+// with TextDecoder where the runtime has it; otherwise bytes are taken as
+// Latin-1.  Results are cached per code page.
+//
+// cp ..................... [ in] Code page.
+// a ...................... [ in] Array of byte values.
+//
+function RtfCpStr(cp, a)
+{
+        if (null == RtfCpStr.dic)
+                RtfCpStr.dic = { };
+
+        var key = 1 === a.length ? a[0] : (a[0] << 8) | a[1];
+        var dic = RtfCpStr.dic[cp];
+        if (null == dic)
+        {
+                dic = RtfCpStr.dic[cp] = { dec : null };
+
+                var lbl = null;
+                if ((cp >= 1250 && cp <= 1258) || 874 === cp)
+                        lbl = "windows-" + cp;
+                else if (cp >= 28591 && cp <= 28606)
+                        lbl = "iso-8859-" + (cp - 28590);
+                else switch (cp)
+                {
+                        case 866:   lbl = "ibm866";         break;
+                        case 932:   lbl = "shift_jis";      break;
+                        case 936:   lbl = "gbk";            break;
+                        case 949:   lbl = "euc-kr";         break;
+                        case 950:   lbl = "big5";           break;
+                        case 10000: lbl = "macintosh";      break;
+                        case 10007: lbl = "x-mac-cyrillic"; break;
+                        case 20866: lbl = "koi8-r";         break;
+                        case 21866: lbl = "koi8-u";         break;
+                        case 54936: lbl = "gb18030";        break;
+                        case 65001: lbl = "utf-8";          break;
+                }
+
+                if (null != lbl && "undefined" !== typeof TextDecoder)
+                {
+                        try
+                        {
+                                dic.dec = new TextDecoder(lbl);
+                        }
+                        catch (e)
+                        {
+                                // unsupported by this runtime; fall back to Latin-1
+                        }
+                }
+        }
+
+        if (dic.hasOwnProperty(key))
+                return dic[key];
+
+        var str = null;
+        if (null != dic.dec)
+                str = dic.dec.decode(new Uint8Array(a));
+        else
+                str = String.fromCharCode.apply(null, a);
+
+        return (dic[key] = str);
+
+} // RtfCpStr()
+
+//_[RtfPkgOb()]_______________________________________________________________
+//
+// Parses an embedded object (\objdata) where the class is "Package"
+// (\objclass); returns an object representing the package.  Currently this
+// has the following members:
+//
+//      * label: The label for the entire package.
+//      * size: The size of the package (not very useful once parsed).
+//      * items[]: An array of files within the package.  Each item has the
+//              properties 'name', 'path' (filename w/ path), and possibly 'data'
+//              which is the file data as a string.
+//
+// IMPORTANT: This function is currently brittle on purpose, because I'm
+// parsing based on tests done in reverse engineering attempts.  It's entirely
+// possible that some of the assumptions here are wrong and I'd like to find
+// those out.
+//
+// txt .................... [ in] RTF source string.
+// beg .................... [ in] Beginning index of package data.
+// end .................... [ in] Ending index of package data (one-past).
+//
+function RtfPkgOb(txt, beg, end)
+{
+        var pkg = { };
+        var i = beg;
+        var c = null;
+        var n = null;
+
+        // first 4 bytes should be: 01 05 00 00
+        n = be4_();
+        if (0x01050000 !== n)
+                throw Error("Expected: 01 05 00 00; Instead: " + n.toString(16));
+
+        // second 4 bytes should be: 02 00 00 00
+        n = le4_();
+        if (2 !== n)
+                throw Error("Expected: 02 00 00 00 (2); Instead: " + n);
+
+        // progid length
+        pkg.progid = bstr_(true);
+        trace("RtfPkgOb:ProgID = \"" + pkg.progid + "\"");
+
+        if (0 != le4_() || 0 != le4_())
+                throw Error("Expected two zero numbers!");
+
+        pkg.totalsz = le4_();
+        trace("RtfPkgOb:Total Size = " + pkg.totalsz);
+
+        // should be at least 2 bytes, no more than 1 megabyte
+        if (pkg.totalsz < 2 || pkg.totalsz > 1048576)
+                throw Error("RtfPkgOb: Invalid Size " + pkg.totalsz);
+
+        // Byte Counter
+        var bc = 0;
+
+        //
+        // read string table
+        //
+        
+        pkg.strings = new Array(le2_());
+        bc += 2;
+        dtrace("RtfPkgOb:Strings.length = " + pkg.strings.length);
+        if (pkg.strings.length < 2 || pkg.strings.length > 10)
+                throw Error("RtfPkgOb:Invalid Strings.length (" +
+                        pkg.strings.length + ")");
+
+        for (var si = 0; si < pkg.strings.length; si++)
+        {
+                pkg.strings[si] = str_();
+                bc += pkg.strings[si].length;
+                bc ++;
+                trace("RtfPkgOb:Strings[" + si + "] = \"" + pkg.strings[si] + "\"");
+        }
+        pkg.label = pkg.strings[0];
+
+        // string table ends with two zeros
+        bc += 2;
+        if (0 != le2_())
+                throw Error("RtfPkgOb:Expected Double-Zero's After Strings");
+
+        //
+        // read OLE type (1 == linked, 3 == static)
+        //
+        pkg.oletype = le2_();
+        bc += 2;
+        trace("RtfPkgOb:OLE Type = " + pkg.oletype);
+        if (1 !== pkg.oletype && 3 !== pkg.oletype)
+                throw Error("RtfPkgOb: Unsupported OLE Type (" + pkg.oletype + ")");
+
+        //
+        // if static then read through the strings and their data
+        // (bc == byte counter)
+        //
+        var trm = null;
+        if (3 === pkg.oletype)
+        {
+                pkg.items = [ ];
+                while (i < end)
+                {
+                        dtrace((pkg.items.length) + ". (" + bc + " / " +
+                                pkg.totalsz + ")");
+
+                        // read path
+                        var item = { path : bstr_(true) };
+                        bc += item.path.length;
+                        bc += 5;
+                        dtrace("Path=" + item.path);
+
+                        // read data
+                        item.data = bstr_(false);
+                        bc += item.data.length;
+                        bc += 4;
+
+                        // add to list (name calculated later)
+                        pkg.items.push(item);
+
+                        // if at the end ... break for terminator check
+                        if (bc == pkg.totalsz - 2)
+                                break;
+
+                } // while (read static OLE objects)
+        }
+        else if (1 === pkg.oletype)
+        {
+                pkg.items = new Array(le2_());
+                bc += 2;
+                dtrace("Items Length == " + pkg.items.length);
+
+                for (var si = 0; si < pkg.items.length; si++)
+                {
+                        var item = { path : str_() };
+                        trace("Item Path [" + si + "]: " + item.path);
+                        bc += item.path.length;
+                        bc ++;
+                        
+                        if (item.path.indexOf("~") >= 0)
+                        {
+                                trace("Reset Item Path to " + pkg.label);
+                                item.path = pkg.label;
+                        }
+                        pkg.items[si] = item;
+                }
+
+                if (bc != pkg.totalsz - 2)
+                        throw Error("RtfPkgOb: Wasted Data (" + (pkg.totalsz - 2 - bc) + ")");
+        }
+
+        // check terminator
+        var trm = le2_();
+        if (0 != trm)
+                throw Error("RtfPkgOb: Invalid Terminator (" + trm + ")");
+
+        //
+        // create items' name property ...
+        //
+        for (var j = 0; j < pkg.items.length; j++)
+        {
+                var item = pkg.items[j];
+                var si = item.path.lastIndexOf("\\");
+                if (si > 0)
+                        item.name = item.path.substr(si + 1);
+                else
+                        item.name = item.path;
+        }
+
+        return pkg;
+
+        // - - - end of function / private methods follow - - -
+
+        // read 4-byte big endian integer
+        function be4_()
+        {
+                return (hx_() << 28) | (hx_() << 24) | (hx_() << 20) | (hx_() << 16) |
+                        (hx_() << 12) | (hx_() <<  8) | (hx_() <<  4) | hx_();
+        }
+
+        // read 4-byte little endian integer
+        function le4_()
+        {
+                return (hx_() << 4) | (hx_()) | (hx_() << 12) | (hx_() <<  8) |
+                        (hx_() << 20) | (hx_() << 16) | (hx_() << 28) | (hx_() << 24);
+        }
+
+        // read 2-byte little endian integer
+        function le2_()
+        {
+                return (hx_() << 4) | (hx_()) | (hx_() << 12) | (hx_() <<  8);
+        }
+
+        // read binary string that is preceded by a 4-byte length
+        // (zt == zero terminated?)
+        function bstr_(zt)
+        {
+                var len = le4_();
+                dtrace("Len: " + len + " (" + i + ", " + end + ")");
+
+                if (i + len > end)
+                        throw Error("RtfPkgOb/bstr_: Out of Data");
+
+                var a = [ ];
+                var cnt = 0;
+                var hs = [ ];
+
+                while (i < end)
+                {
+                        var c = (hx_() << 4) | hx_();
+
+                        a.push(c);
+                        cnt++;
+                        if (cnt >= len)
+                                break;
+                        if (a.length > 500)
+                        {
+                                hs.push(String.fromCharCode.apply(null, a));
+                                a = [ ];
+                        }
+                }
+                if (a.length > 0)
+                {
+                        hs.push(String.fromCharCode.apply(null, a));
+                        a = [ ];
+                }
+
+                var s = hs.join("");
+                if (true === zt)
+                {
+                        if (0 !== s.charCodeAt(s.length - 1))
+                                throw Error("RtfPkgOb/bstr_: Unterminated String (" +
+                                        s.charCodeAt(s.length - 1) + ")");
+                        s = s.substr(0, s.length - 1);
+                }
+
+                return s;
+        }
+
+        // read string that is zero (null) terminated w/ no length prefix
+        function str_()
+        {
+                var a = [ ];
+                var hs = [ ];
+
+                while (i < end)
+                {
+                        var c = (hx_() << 4) | hx_();
+                        if (0 == c)
+                                break;
+                        a.push(c);
+                        if (a.length > 500)
+                        {
+                                hs.push(String.fromCharCode.apply(null, a));
+                                a = [ ];
+                        }
+                }
+                if (a.length > 0)
+                {
+                        hs.push(String.fromCharCode.apply(null, a));
+                        a = [ ];
+                }
+
+                return hs.join("");
+        }
+
+        // read hex character
+        function hx_()
+        {
+                // read character, skipping white space
+                do
+                {
+                        c = txt.charCodeAt(i++);
+                } while (32 === c || 13 === c || 10 === c);
+
+                if (c >= 0x30 && c <= 0x39)
+                        return c - 0x30;
+                if (c >= 0x41 && c <= 0x5A)
+                        return c - 0x37;
+                if (c >= 0x61 && c <= 0x7A)
+                        return c - 0x57;
+                if (i >= end)
+                        throw Error("RtfPkgObj/hx_: Out of Data");
+
+                throw Error("RtfPkgOb/hx_: Unexpected Code (" + c + "): '" +
+                        txt.charAt(i-1) + "' @ " + i + " / " + end);
+        }
+
+} // RtfPkgOb()
+
+//_[trace()]__________________________________________________________________
+//
+// Debugging output used by RtfPkgOb() and RtfParser; does nothing unless
+// replaced.  dtrace() is for the more detailed output.
+//
+// msg .................... [ in] Message.
+//
+function trace(msg)
+{
+}
+
+function dtrace(msg)
+{
+}
+
+//----------------------------------------------------------------------------
+//----------------------------------------------------------------------------
+// RtfParser Object
+//
+// Quick feature list:
+// * Keeps track of stack
+// * Skips ignore-able, unhandled destinations
+// * Saves and restores group-scoped properties ('prp' on the stack frame)
+//   for groups which aren't destinations, e.g. {\b bold}
+// * Calls functions based on their mapping to destination names/paths
+// * Recovers from malformed RTF when not strict, reporting 'warnings'
+// * Parses a stream of text in chunks (Push() and End())
+// * Parses a bit at a time within a budget (Run())
+//
+//----------------------------------------------------------------------------
+//----------------------------------------------------------------------------
+
+//_[RtfParser()]______________________________________________________________
+//
+// text ................... [ in] Rich text formatted string.
+// strict ................. [ in] Throw on malformed RTF (the default)?  When
+//                                                      false, unhandled destinations are skipped,
+//                                                      stray braces are tolerated, unknown color
+//                                                      table words are ignored and each problem
+//                                                      is added to the document's 'warnings' as
+//                                                      { pos, path, reason } instead.
+// nohandle ............... [ in] Do NOT enable basic destination handlers?
+//
+function RtfParser(text, strict, nohandle)
+{
+        var pt = RtfParser.prototype;
+        if (true !== pt.__PtInit)
+        {
+                pt.Template             = RtfParser__Template;
+                pt.HandleDest   = RtfParser__HandleDest;
+                pt.Handlers             = RtfParser__Handlers;
+                pt.Document             = RtfParser__Document;
+                pt.Push                 = RtfParser__Push;
+                pt.End                  = RtfParser__End;
+                pt.Run                  = RtfParser__Run;
+
+                pt.HandlePcData = RtfParser__HandlePcData;
+                pt.HandleIgnore = function(){};
+
+                pt.__PtInit = true;
+        }
+
+        if (null == text)
+                throw Error("RtfParser: Missing source RTF string");
+
+        this.txt        = text; // source text
+        this.pos        = 0;    // position in source text
+        this.doc        = { };  // document object
+        this.stk        = [ ];  // parsing stack
+        this.frm        = { };  // current stack frame
+        this.strict     = false !== strict;
+        this.off        = 0;    // offset of 'txt' in the whole source (streams)
+        this.more       = false; // more text to come (streams)
+        this.skp        = 0;    // open braces of a group being skipped
+        this.bud        = null; // budget of tokens and time (see Run())
+
+        // destination handler collections
+        //      dhd: dictionary where keys are either names or paths
+        //      dhr: list of regular expressions, every other is handler reference
+        this.dhd        = { };
+        this.dhr        = [ ];
+
+        // destination handler cache
+        this.dhc        = { };
+        this._chit      = 0; // cache hits
+        this._cmis      = 0; // cache misses
+
+        // enable basic handlers
+        if (true !== nohandle)
+        {
+                this.HandleDest(";rtf", HandleMeta);
+                this.HandleDest(";rtf;fonttbl", HandleFontTable);
+                this.HandleDest(";rtf;fonttbl;f", HandleFontTable);
+                this.HandleDest(";rtf;colortbl", HandleColorTable);
+                this.HandleDest(/^;rtf;list(override)?table(;|$)/, HandleListTable);
+                this.HandleDest(/^;rtf;stylesheet(;|$)/, HandleStyleSheet);
+                this.HandleDest(/^;rtf;(info|userprops)(;|$)/, HandleInfo);
+        }
+
+        return; // constructor finished; methods follow - - -
+
+        //_[RtfParser::Template()]________________________________________________
+        //
+        // Template destination handler function.
+        //
+        // t .................. [ in] Token.
+        // s .................. [ in] Source string.
+        // i .................. [ in] Index of token in source string.
+        // o .................. [ in] Current stack frame.
+        //
+        // State which RTF scopes to groups, such as character formatting,
+        // belongs in the frame's 'prp' object: the parser saves it when a group
+        // that isn't a destination opens (e.g. {\b bold}) and restores it when
+        // that group closes.  A new destination starts with a copy of the
+        // enclosing destination's 'prp'.
+        //
+        function RtfParser__Template(t, s, i, o)
+        {
+                // do not return any value, this version ignores return values but a
+                // future one might do something with them
+        }
+
+        //_[RtfParser::HandleDest()]______________________________________________
+        //
+        // Maps a destination to a handler function.  Destinations can be specif-
+        // ied in three ways: a regular expression which will match against the
+        // full path, a single name, or a full path.  Since control words are
+        // always lower-case, case is not an issue.  Full paths are specified
+        // using semi-colons, i.e. ";rtf;fonttbl".  Note there is no trailing
+        // semi-colon.
+        //
+        // dest ............... [ in] Destination (String or RegExp).
+        // handler ............ [ in] Handler function; see RtfParser::Template()
+        //                                              for an example.
+        //
+        function RtfParser__HandleDest(dest, handler)
+        {
+                // clear cache
+                this.dhc = { };
+                this._chit = 0;
+                this._cmis = 0;
+
+                var i = null;
+
+                if (RegExp === dest.constructor)
+                {
+                        // disallow duplicating the same regexp+handler
+                        var sDest = dest.toString();
+                        for (i = 0; i < this.dhr.length; i += 2)
+                                if (this.dhr[i+1] === handler &&
+                                        this.dhr[i].toString() === sDest)
+                                        break;
+
+                        if (i == this.dhr.length)
+                        {
+                                this.dhr.push(dest);
+                                this.dhr.push(handler);
+                        }
+                }
+                else if (String === dest.constructor)
+                {
+                        var list = this.dhd[dest];
+                        if (null == list)
+                        {
+                                list = this.dhd[dest] = [ handler ];
+                        }
+                        else
+                        {
+                                for (i = 0; i < list.length; i++)
+                                        if (list[i] === handler)
+                                                break;
+
+                                if (i == list.length)
+                                {
+                                        list.push(handler);
+                                }
+                        }
+                }
+                else
+                {
+                        throw Error("RtfParser::HandleDest: Invalid destination param");
+                }
+
+        } // RtfParser::HandleDest()
+
+        //_[RtfParser::Handlers()]________________________________________________
+        //
+        // Returns the list of handlers for the specified destination.
+        //
+        function RtfParser__Handlers(tok, txt, pos, name, path)
+        {
+                // if a list has already been built for this exact stack path ...
+                // (hasOwnProperty is used, because 'null' might be set)
+                if (this.dhc.hasOwnProperty(path))
+                {
+                        this._chit++;
+                        return this.dhc[path];
+                }
+
+                // missed cache, have to build up list from three sources
+                this._cmis++;
+                var dh = [ ];
+
+                // source 1: by name (fonttbl)
+                var a = this.dhd[name];
+                if (null != a)
+                        dh = dh.concat(a);
+
+                // source 2: by path (;rtf;fonttbl)
+                a = this.dhd[path];
+                if (null != a)
+                        dh = dh.concat(a);
+
+                // source 3: regular expressions (/*tbl$/)
+                var j = null;
+                for (var i = 0; i < this.dhr.length; i += 2)
+                {
+                        var fnc = this.dhr[i+1];
+
+                        // prevent duplicating function references
+                        for (j = 0; j < dh.length; j++)
+                                if (dh[j] === fnc)
+                                        break;
+                        if (j < dh.length)
+                                continue;
+
+                        var re = this.dhr[i];
+                        if (re.test(path))
+                                dh.push(fnc);
+                }
+
+                // never return a zero-length array; use null to indicate no handlers
+                if (0 === dh.length)
+                        return (this.dhc[path] = null);
+
+                return (this.dhc[path] = dh);
+
+        } // RtfParser::Handlers()
+
+        //_[RtfParser::Document()]________________________________________________
+        //
+        // Returns the parsed document; that is, if it hasn't already been parsed
+        // then this blocks until it IS parsed.
+        //
+        // incomplete ......... [ in] Allow returning of incomplete document?  By
+        //                                              default this function will block until parsing is
+        //                                              complete.
+        //
+        // The document object has these members when the RTF has what they're
+        // made from (handlers may add more, e.g. Rtf2Html()'s 'html'):
+        //
+        //      ver ........... RTF version (\rtfN).
+        //      charset ....... "ansi", "mac", "pc" or "pca".
+        //      codepage ...... ANSI code page (\ansicpg).
+        //      deff .......... Default font, index into 'fonts' (\deff).
+        //      deffs ......... Default font size in half-points (\deffs).
+        //      fonts ......... Fonts by \f number: { name, family, charset, pitch,
+        //                                      type, codepage }; see HandleFontTable().
+        //      colors ........ Colors by \cf number: { r, g, b }; the first is
+        //                                      "auto".
+        //      lists ......... List definitions; see HandleListTable().
+        //      overrides ..... List overrides by \ls number.
+        //      styles ........ Styles by number; see HandleStyleSheet().
+        //      warnings ...... Problems recovered from when not strict: { pos,
+        //                                      path, reason }.
+        //
+        function RtfParser__Document(incomplete)
+        {
+                // return immediately if 'incomplete' is set OR parsing is complete
+                if (true === incomplete || this.pos === this.txt.length)
+                        return this.doc;
+
+                //
+                // main loop
+                //
+                var tok, len, typ;
+                for ( ; this.pos < this.txt.length; this.pos += len)
+                {
+                        // a stream waits for more text until it has enough for any
+                        // token and the ones read after an open brace
+                        if (this.more && this.txt.length - this.pos < 512)
+                                break;
+
+                        // out of budget; the clock is only read every 256 tokens
+                        if (null != this.bud && (0 === this.bud.cnt-- ||
+                                (0 === (this.bud.cnt & 0xFF) && Date.now() >= this.bud.due)))
+                                break;
+
+                        tok = GetRtfTk(this.txt, this.pos);
+                        len = tok & 0xFF;
+                        typ = (tok >> 8) & 0x7;
+
+                        // ... and for all of the data of \binN
+                        if (this.more && 6 === typ &&
+                                this.pos + len + RtfTkBin(tok, this.txt, this.pos) > this.txt.length)
+                                break;
+
+                        // - -
+                        // inside a group being skipped, only braces are counted
+                        //
+                        if (this.skp > 0)
+                        {
+                                if (2 === typ)
+                                        this.skp++;
+                                else if (3 === typ)
+                                        this.skp--;
+                                else if (6 === typ)
+                                        len += RtfTkBin(tok, this.txt, this.pos);
+                        }
+                        // - -
+                        // open brace, push new destination
+                        //
+                        else if (2 === typ)
+                        {
+                                var btk = tok;
+                                var bps = this.pos;
+
+                                // read token immediately following open brace
+                                this.pos += len;
+                                tok = GetRtfTk(this.txt, this.pos);
+                                len = tok & 0xFF;
+                                typ = (tok >> 8) & 0x7;
+
+                                // ignorable destination marker
+                                var ign = false;
+                                if (4 === typ)
+                                {
+                                        ign = true;
+
+                                        // read token PAST marker
+                                        this.pos += len;
+                                        tok = GetRtfTk(this.txt, this.pos);
+                                        len = tok & 0xFF;
+                                        typ = (tok >> 8) & 0x7;
+                                }
+
+                                // token MUST be control word
+                                if (6 !== typ)
+                                {
+                                        if (this.strict)
+                                                throw Error("RtfParser: No control after open brace!");
+
+                                        warn_(this, bps, "No control after open brace");
+
+                                        // treat it as a group of formatting or skip it
+                                        if (true !== ign && this.stk.length > 0)
+                                        {
+                                                this.frm.gsv.push(this.frm.prp);
+                                                this.frm.prp = clone_(this.frm.prp);
+                                        }
+                                        else
+                                        {
+                                                this.skp = 1;
+                                        }
+
+                                        len = 0;
+                                        continue;
+                                }
+
+                                // create new stack frame with stuff we know about (handlers
+                                // should be careful about using ANY three-character var name)
+                                var nfr =
+                                {
+                                        tok : tok,
+                                        pos : this.pos,
+                                        ctl : RtfTkCtl(tok, this.txt, this.pos),
+                                        doc : this.doc,
+                                        prs : this,
+                                        stk : this.stk,
+                                        prp : clone_(null == this.frm ? null : this.frm.prp),
+                                        gsv : [ ]
+                                };
+                                
+                                // determine stack path, e.g. the names of all destinations
+                                // joined into one string and separated by semi-colons
+                                if (0 === this.stk.length)
+                                        nfr.pth = ";" + nfr.ctl;
+                                else
+                                        nfr.pth = this.stk[this.stk.length-1].pth + ";" + nfr.ctl;
+
+                                // get list of handlers for this destination
+                                nfr._dh = this.Handlers(tok, this.txt, this.pos, nfr.ctl, nfr.pth);
+
+                                // if no handlers found ...
+                                if (null == nfr._dh)
+                                {
+                                        // a group of formatting (e.g. {\b ...}) rather than a
+                                        // destination: it stays in the current frame, which
+                                        // saves its group-scoped properties until the group ends
+                                        if (true !== ign && null != this.frm && !RtfIsDst(nfr.ctl))
+                                        {
+                                                this.frm.gsv.push(this.frm.prp);
+                                                this.frm.prp = clone_(this.frm.prp);
+
+                                                // clear length so the control word is read again
+                                                // and passed to the current destination handler(s)
+                                                len = 0;
+                                                continue;
+                                        }
+
+                                        // unrecognized, non-ignorable destination
+                                        if (true !== ign)
+                                        {
+                                                if (this.strict)
+                                                        throw Error("RtfParser: Unhandled Destination \"" +
+                                                                nfr.ctl + "\" (" + nfr.pth + ")");
+
+                                                warn_(this, bps, "Unhandled destination \"" + nfr.ctl + "\"",
+                                                        nfr.pth);
+                                        }
+
+                                        // ignore destination by skipping its block, from the
+                                        // control word up to and including its closing brace
+                                        this.skp = 1;
+
+                                        // clear length so the control word is read again
+                                        len = 0;
+                                }
+                                // else (handler(s) found) ...
+                                else
+                                {
+                                        // push our new frame
+                                        this.frm = nfr;
+                                        this.stk.push(nfr);
+
+                                        // call each handler to let them know they're being pushed
+                                        for (var i = 0; i < nfr._dh.length; i++)
+                                                nfr._dh[i](btk, this.txt, bps, nfr);
+                                }
+                        }
+                        // - -
+                        // close brace, pop current destination
+                        //
+                        else if (3 === typ)
+                        {
+                                // this check also prevents a null 'this.frm' from beind used
+                                if (0 === this.stk.length)
+                                {
+                                        if (this.strict)
+                                                throw Error("RtfParser: Too many closing braces!");
+
+                                        warn_(this, this.pos, "Too many closing braces");
+                                        continue;
+                                }
+
+                                // end of a formatting group; restore its saved properties
+                                if (this.frm.gsv.length > 0)
+                                {
+                                        this.frm.prp = this.frm.gsv.pop();
+                                        continue;
+                                }
+
+                                // call current destination handlers to let them know they're
+                                // about to be popped
+                                for (var i = 0; i < this.frm._dh.length; i++)
+                                        this.frm._dh[i](tok, this.txt, this.pos, this.frm);
+
+                                this.stk.pop();
+                                if (0 === this.stk.length)
+                                        this.frm = null;
+                                else
+                                        this.frm = this.stk[this.stk.length - 1];
+                        }
+                        // - -
+                        // invalid, text, symbol, control, or character
+                        //
+                        // pass these types to current destination handler(s)
+                        //
+                        else
+                        {
+                                // call current destination handlers with this token
+                                if (null != this.frm)
+                                {
+                                        for (var i = 0; i < this.frm._dh.length; i++)
+                                                this.frm._dh[i](tok, this.txt, this.pos, this.frm);
+                                }
+                                else
+                                {
+                                        // ignored, unprocessed token ... this only happens when
+                                        // there are tokens at the "global" level (e.g. before
+                                        // {\rtf and after final }).  Usually this is for white-
+                                        // space, but I don't think we really care.
+                                }
+
+                                // handlers read the raw bytes of \binN themselves; the
+                                // tokenizer must not see them
+                                if (6 === typ)
+                                        len += RtfTkBin(tok, this.txt, this.pos);
+                        }
+
+                } // for (main loop)
+
+                // more to come (a stream) or to do (see Run())
+                if (this.more || this.pos < this.txt.length)
+                        return this.doc;
+
+                // groups left open at the end are closed so that handlers still
+                // get to finish (e.g. write out their HTML)
+                if (!this.strict && this.stk.length > 0)
+                {
+                        warn_(this, this.pos, "Missing closing braces");
+
+                        while (this.stk.length > 0)
+                        {
+                                this.frm = this.stk[this.stk.length - 1];
+                                if (this.frm.gsv.length > 0)
+                                        this.frm.prp = this.frm.gsv[0];
+                                this.frm.gsv = [ ];
+
+                                for (var i = 0; i < this.frm._dh.length; i++)
+                                        this.frm._dh[i](769, this.txt, this.pos, this.frm);
+                                this.stk.pop();
+                        }
+                        this.frm = null;
+                }
+
+                return this.doc;
+
+        } // RtfParser::Document()
+
+        //_[RtfParser::Push()]____________________________________________________
+        //
+        // Adds a chunk of a stream of RTF text and parses as much of it as can
+        // be, holding on to a token which may go on in the next chunk (e.g. a
+        // control word or \'hh cut in two).  Text already parsed is dropped,
+        // so handlers must not keep positions in the source string from one
+        // call to the next; the 'pos' of the open stack frames is moved with
+        // it and may become negative.  End() finishes the document.
+        //
+        // chunk .............. [ in] Next part of the RTF text.
+        //
+        function RtfParser__Push(chunk)
+        {
+                if (this.pos > 0)
+                {
+                        for (var i = 0; i < this.stk.length; i++)
+                                this.stk[i].pos -= this.pos;
+
+                        this.off += this.pos;
+                        this.txt = this.txt.substr(this.pos);
+                        this.pos = 0;
+                }
+
+                this.txt += chunk;
+                this.more = true;
+                return this.Document();
+
+        } // RtfParser::Push()
+
+        //_[RtfParser::End()]_____________________________________________________
+        //
+        // Parses the rest of a stream (see Push()) and returns the document.
+        //
+        function RtfParser__End()
+        {
+                this.more = false;
+                return this.Document();
+
+        } // RtfParser::End()
+
+        //_[RtfParser::Run()]_____________________________________________________
+        //
+        // Parses for a while and returns true once the document is complete,
+        // so that parsing can be spread out, e.g. over turns of an event loop.
+        // Progress is then 'pos' / 'txt.length'.
+        //
+        // ms ................. [ in] Time budget in milliseconds (optional).
+        // cnt ................ [ in] Token budget (optional).
+        //
+        function RtfParser__Run(ms, cnt)
+        {
+                this.bud = { due : null == ms ? Infinity : Date.now() + ms,
+                        cnt : null == cnt ? 0x7FFFFFFF : Math.max(cnt, 1) };
+                try
+                {
+                        this.Document();
+                }
+                finally
+                {
+                        this.bud = null;
+                }
+
+                return this.pos >= this.txt.length;
+
+        } // RtfParser::Run()
+
+        //_[warn_()]______________________________________________________________
+        //
+        // Adds a recovered problem to the document's 'warnings'.
+        //
+        // prs ................ [ in] Parser (RtfParser object).
+        // pos ................ [ in] Position in the parser's 'txt'.
+        // reason ............. [ in] Description of the problem.
+        // pth ................ [ in] Stack path; defaults to the current one.
+        //
+        function warn_(prs, pos, reason, pth)
+        {
+                if (null == pth)
+                        pth = null == prs.frm || null == prs.frm.pth ? "" : prs.frm.pth;
+
+                prs.doc.warnings = prs.doc.warnings || [ ];
+                prs.doc.warnings.push({ pos : prs.off + pos, path : pth, reason : reason });
+        }
+
+        //_[clone_()]_____________________________________________________________
+        //
+        // Returns a shallow copy of a group-scoped property object.
+        //
+        function clone_(prp)
+        {
+                var cpy = { };
+                for (var k in prp)
+                        cpy[k] = prp[k];
+                return cpy;
+        }
+
+        //------------------------------------------------------------------------
+        //------------------------------------------------------------------------
+        // Generic Handlers
+        //
+        // * HandlePcData()
+        //
+        //------------------------------------------------------------------------
+        //------------------------------------------------------------------------
+
+        //_[RtfParser::HandlePcData()]____________________________________________
+        //
+        // Used for destinations which are simply a #PCDATA text string.  A
+        // property of the same name is created on the previous stack frame.
+        //
+        function RtfParser__HandlePcData(t, s, i, o)
+        {
+                if (513 === t)
+                {
+                        o.dat = [ ];
+                        return;
+                }
+                else if (769 === t)
+                {
+                        // previous stack frame
+                        var pfrm = o.stk[o.stk.length-2];
+                        pfrm[o.ctl] = o.dat.join("");
+                        dtrace("#PCDATA " + o.ctl + "=\"" + pfrm[o.ctl] + "\"");
+                        return;
+                }
+
+                var typ = RtfTkTyp(t);
+                if (1 !== typ)
+                        throw Error("RtfParser: Unexpected type (" + typ + ") in \"" +
+                                o.ctl + "\" #PCDATA");
+
+                o.dat.push(RtfTkTxt(t, s, i));
+
+        } // RtfParser::HandlePcData()
+
+        //------------------------------------------------------------------------
+        //------------------------------------------------------------------------
+        // Basic Handlers
+        //
+        // * HandleMeta()
+        // * HandleFontTable()
+        // * HandleColorTable()
+        // * HandleListTable()
+        // * HandleStyleSheet()
+        // * HandleInfo()
+        //
+        //------------------------------------------------------------------------
+        //------------------------------------------------------------------------
+
+        //_[HandleMeta()]_________________________________________________________
+        //
+        // Gets RTF meta data.
+        //
+        function HandleMeta(t, s, i, o)
+        {
+                if (513 === t)
+                {
+                        o.doc.ver = RtfTkVal(o.tok);
+                        return;
+                }
+
+                var ctl = RtfTkCtl(t, s, i);
+                switch (ctl)
+                {
+                        // ansi/mac/pc/pca: Character Set
+                        case "ansi":
+                        case "mac":
+                        case "pc":
+                        case "pca":
+                                o.doc.charset = ctl;
+                                break;
+
+                        // ansicpg: ANSI Code Page
+                        case "ansicpg":
+                                o.doc.codepage = RtfTkVal(t);
+                                break;
+
+                        // deff: Default Font (index into fonts[])
+                        case "deff":
+                                o.doc.deff = RtfTkVal(t);
+                                break;
+
+                        // deffs: Default Font Size (half-points)
+                        case "deffs":
+                                o.doc.deffs = RtfTkVal(t);
+                                break;
+                }
+
+        } // HandleMeta()
+
+        //_[HandleFontTable()]____________________________________________________
+        //
+        // Interprets RTF font table into a 'fonts' list on the document object.
+        // Each font object generally has at least a "name" member.
+        //
+        function HandleFontTable(t, s, i, o)
+        {
+                var val = null, ctl = null;
+                if (513 === t)
+                {
+                        if (null == o.doc.fonts)
+                                o.doc.fonts = [ ];
+
+                        ctl = RtfTkCtl(o.tok, s, o.pos);
+                        val = RtfTkVal(o.tok);
+                }
+                else
+                {
+                        ctl = RtfTkCtl(t, s, i);
+                        val = RtfTkVal(t);
+                }
+
+                var typ = (t >> 8) & 0x7;
+                if (1 === typ || 7 === typ)
+                {
+                        var txt = null;
+                        if (1 === typ)
+                        {
+                                txt = RtfTkTxt(t, s, i);
+                        }
+                        else
+                        {
+                                // \'hh in a font name is in the font's own code page
+                                var cp = RtfFntCp(o.doc, o.doc.fonts.indexOf(o.font));
+                                if (null != o.lead)
+                                {
+                                        txt = RtfCpStr(cp, [ o.lead, val ]);
+                                        o.lead = null;
+                                }
+                                else if (RtfLeadB(cp, val))
+                                {
+                                        o.lead = val;
+                                        return;
+                                }
+                                else
+                                {
+                                        txt = RtfCpStr(cp, [ val ]);
+                                }
+                        }
+
+                        o.font.name = (o.font.name || "") + txt;
+                        if (";" == o.font.name.charAt(o.font.name.length-1))
+                                o.font.name = o.font.name.substr(0, o.font.name.length-1);
+                        return;
+                }
+
+                switch (ctl)
+                {
+                        // f: New Font
+                        case "f":
+                                o.font = o.doc.fonts[val] = new Object;
+                                break;
+
+                        case "fnil":
+                        case "froman":
+                        case "fswiss":
+                        case "fmodern":
+                        case "fscript":
+                        case "fdecor":
+                        case "ftech":
+                        case "fbidi":
+                                o.font.family = ctl.substr(1);
+                                break;
+
+                        case "fcharset":
+                                o.font.charset = val;
+                                break;
+
+                        case "fprq":
+                                o.font.pitch = val;
+                                break;
+
+                        case "ftnil":
+                        case "fttruetype":
+                                o.font.type = ctl.substr(2);
+                                break;
+
+                        case "cpg":
+                                o.font.codepage = val;
+                                break;
+                }
+
+        } // HandleFontTable()
+
+        //_[HandleColorTable()]___________________________________________________
+        //
+        // Interprets RTF color table into a 'colors' list on the document object.
+        // Each color object has the members 'r', 'g', and 'b'.
+        //
+        function HandleColorTable(t, s, i, o)
+        {
+                if (513 === t)
+                {
+                        if (null == o.doc.colors)
+                        {
+                                o.color = { r : 0, g : 0, b : 0 };
+                                o.doc.colors = [ o.color ];
+                        }
+                                
+                        return;
+                }
+                else if (769 === t)
+                {
+                        // closing
+                        return;
+                }
+
+                var typ = (t >> 8) & 0x7;
+                if (1 === typ)
+                {
+                        var txt = RtfTkTxt(t, s, i);
+                        if (";" == txt)
+                        {
+                                o.color = { r : 0, g : 0, b : 0 };
+                                o.doc.colors.push(o.color);
+                        }
+                        return;
+                }
+                else if (6 !== typ)
+                {
+                        return;
+                }
+
+                var ctl = RtfTkCtl(t, s, i);
+                var val = RtfTkVal(t);
+                if ("red" == ctl)
+                {
+                        o.color.r = val;
+                }
+                else if ("green" == ctl)
+                {
+                        o.color.g = val;
+                }
+                else if ("blue" == ctl)
+                {
+                        o.color.b = val;
+                }
+                else if (!/^c(tint|shade|main|accent|(followed)?hyperlink|background|text)/.test(ctl))
+                {
+                        // theme colors (\ctint, \cmaindarkone etc.) only come with
+                        // the \red, \green and \blue used here
+                        if (o.prs.strict)
+                                throw Error("Unrecognized token in color table: " +
+                                        RtfTkTxt(t, s, i));
+
+                        warn_(o.prs, i, "Unrecognized token in color table: " +
+                                RtfTkTxt(t, s, i));
+                }
+
+        } // HandleColorTable()
+
+        //_[HandleListTable()]____________________________________________________
+        //
+        // Interprets the list table (\listtable) into a 'lists' array on the
+        // document object and the list override table (\listoverridetable) into
+        // an 'overrides' list indexed by \ls number.  Each list has an 'id' and
+        // 'levels'; each level has members like 'nfc' (\levelnfc), 'start'
+        // (\levelstartat), 'text' (\leveltext, where characters 0 to 8 are the
+        // placeholders for level numbers) and 'numbers' (\levelnumbers).  Each
+        // override has the 'id' of its list and possibly overriding 'levels'.
+        //
+        function HandleListTable(t, s, i, o)
+        {
+                var pfrm = o.stk[o.stk.length-2];
+                if (513 === t)
+                {
+                        switch (o.ctl)
+                        {
+                                case "listtable":
+                                        o.doc.lists = o.doc.lists || [ ];
+                                        break;
+                                case "listoverridetable":
+                                        o.doc.overrides = o.doc.overrides || [ ];
+                                        break;
+                                case "list":
+                                        o.list = { levels : [ ] };
+                                        o.doc.lists.push(o.list);
+                                        break;
+                                case "listoverride":
+                                        o.list = { levels : [ ] };
+                                        break;
+                                case "lfolevel":
+                                        o.level = { };
+                                        pfrm.list.levels.push(o.level);
+                                        break;
+                                case "listlevel":
+                                        // a level of a list or an override's level
+                                        if (null != pfrm.list)
+                                        {
+                                                o.level = { nfc : 0, start : 1 };
+                                                pfrm.list.levels.push(o.level);
+                                        }
+                                        else if (null != pfrm.level)
+                                        {
+                                                o.level = pfrm.level;
+                                        }
+                                        break;
+                                case "leveltext":
+                                case "levelnumbers":
+                                case "listname":
+                                        o.dat = [ ];
+                                        break;
+                        }
+                        return;
+                }
+                else if (769 === t)
+                {
+                        if (null == o.dat || null == pfrm.list && null == pfrm.level)
+                                return;
+
+                        var str = o.dat.join("");
+                        if (";" == str.charAt(str.length-1))
+                                str = str.substr(0, str.length-1);
+
+                        if ("listname" == o.ctl)
+                        {
+                                pfrm.list.name = str;
+                        }
+                        else if ("leveltext" == o.ctl)
+                        {
+                                // first character is the length of the text
+                                pfrm.level.text = str.substr(1, str.charCodeAt(0));
+                        }
+                        else if ("levelnumbers" == o.ctl)
+                        {
+                                pfrm.level.numbers = [ ];
+                                for (var j = 0; j < str.length; j++)
+                                        pfrm.level.numbers.push(str.charCodeAt(j));
+                        }
+                        return;
+                }
+
+                var typ = RtfTkTyp(t);
+                var val = RtfTkVal(t);
+                if (null != o.dat)
+                {
+                        if (o.ucskip > 0 && 6 !== typ)
+                        {
+                                o.ucskip--;
+                        }
+                        else if (1 === typ)
+                        {
+                                o.dat.push(RtfTkTxt(t, s, i));
+                        }
+                        else if (7 === typ)
+                        {
+                                // low values are lengths and placeholders, not text
+                                o.dat.push(val < 32 ? String.fromCharCode(val) :
+                                        RtfCpStr(RtfFntCp(o.doc), [ val ]));
+                        }
+                        else if (6 === typ && "u" == RtfTkCtl(t, s, i))
+                        {
+                                o.dat.push(String.fromCharCode(val < 0 ? val + 65536 : val));
+                                o.ucskip = 1;
+                        }
+                        return;
+                }
+                else if (6 !== typ)
+                {
+                        return;
+                }
+
+                var ctl = RtfTkCtl(t, s, i);
+                var lst = o.list;
+                var lvl = o.level;
+
+                switch (ctl)
+                {
+                        case "listid":
+                                if (null != lst)
+                                        lst.id = val;
+                                break;
+                        case "listtemplateid":
+                                if (null != lst)
+                                        lst.templateid = val;
+                                break;
+                        case "listsimple":
+                        case "listhybrid":
+                                if (null != lst)
+                                        lst[ctl.substr(4)] = true;
+                                break;
+
+                        // \ls comes last in an override
+                        case "ls":
+                                if (null != lst && "listoverride" == o.ctl)
+                                        o.doc.overrides[val] = lst;
+                                break;
+
+                        case "levelnfc":
+                                if (null != lvl)
+                                        lvl.nfc = val;
+                                break;
+                        case "levelstartat":
+                        case "listoverridestartat":
+                                if (null != lvl)
+                                        lvl.start = val;
+                                break;
+                        case "leveljc":
+                                if (null != lvl)
+                                        lvl.jc = val;
+                                break;
+                        case "levelfollow":
+                                if (null != lvl)
+                                        lvl.follow = val;
+                                break;
+                        case "levellegal":
+                        case "levelnorestart":
+                                if (null != lvl)
+                                        lvl[ctl.substr(5)] = 0 !== val;
+                                break;
+                        case "li":
+                        case "fi":
+                                if (null != lvl)
+                                        lvl[ctl] = val;
+                                break;
+                }
+
+        } // HandleListTable()
+
+        //_[HandleStyleSheet()]___________________________________________________
+        //
+        // Interprets the style sheet (\stylesheet) into a 'styles' list on the
+        // document object indexed by style number (\s, \cs, \ts or \ds; the
+        // style without one is paragraph style 0).  Each style has a 'type'
+        // ("paragraph", "character", "table" or "section"), 'name', 'basedon'
+        // (\sbasedon), 'next' (\snext) and 'additive' members.  Its formatting
+        // is kept as the control word tokens in 'tok' with their positions in
+        // 'pos' within 'src', a copy of their text, so it can be applied like
+        // formatting in the body.
+        //
+        function HandleStyleSheet(t, s, i, o)
+        {
+                var pfrm = o.stk[o.stk.length-2];
+                if (513 === t)
+                {
+                        if ("stylesheet" == o.ctl)
+                        {
+                                o.doc.styles = o.doc.styles || [ ];
+                        }
+                        else if ("stylesheet" == pfrm.ctl)
+                        {
+                                if (null == HandleStyleSheet.typ)
+                                {
+                                        HandleStyleSheet.typ = { s : "paragraph", cs : "character",
+                                                ts : "table", ds : "section" };
+                                }
+
+                                var typ = HandleStyleSheet.typ[o.ctl];
+                                o.style = { type : typ || "paragraph", name : "", tok : [ ], pos : [ ],
+                                        src : "" };
+                                o.doc.styles[null == typ ? 0 : RtfTkVal(o.tok)] = o.style;
+
+                                // the first control word of style 0 is formatting
+                                if (null == typ)
+                                        HandleStyleSheet(o.tok, s, o.pos, o);
+                        }
+                        return;
+                }
+                else if (769 === t || null == o.style)
+                {
+                        // nested destinations (\keycode, etc.) are ignored
+                        return;
+                }
+
+                var typ = RtfTkTyp(t);
+                var val = RtfTkVal(t);
+                var txt = null;
+
+                if (1 === typ)
+                {
+                        txt = RtfTkTxt(t, s, i);
+                }
+                else if (7 === typ)
+                {
+                        var cp = RtfFntCp(o.doc);
+                        if (null != o.lead)
+                        {
+                                txt = RtfCpStr(cp, [ o.lead, val ]);
+                                o.lead = null;
+                        }
+                        else if (RtfLeadB(cp, val))
+                        {
+                                o.lead = val;
+                                return;
+                        }
+                        else
+                        {
+                                txt = RtfCpStr(cp, [ val ]);
+                        }
+                }
+                else if (6 === typ)
+                {
+                        var ctl = RtfTkCtl(t, s, i);
+                        switch (ctl)
+                        {
+                                case "sbasedon":
+                                        o.style.basedon = val;
+                                        break;
+                                case "snext":
+                                        o.style.next = val;
+                                        break;
+                                case "additive":
+                                        o.style.additive = true;
+                                        break;
+                                case "u":
+                                        o.style.name += String.fromCharCode(val < 0 ? val + 65536 : val);
+                                        o.skip = 1;
+                                        break;
+
+                                // other style sheet (not formatting) words
+                                case "s":
+                                case "cs":
+                                case "ts":
+                                case "ds":
+                                case "sautoupd":
+                                case "shidden":
+                                case "slink":
+                                case "slocked":
+                                case "spersonal":
+                                case "scompose":
+                                case "sreply":
+                                case "styrsid":
+                                case "ssemihidden":
+                                case "sqformat":
+                                case "spriority":
+                                case "sunhideused":
+                                        break;
+
+                                default:
+                                        o.style.tok.push(t);
+                                        o.style.pos.push(o.style.src.length);
+                                        o.style.src += s.substr(i, RtfTkLen(t));
+                                        break;
+                        }
+                }
+
+                if (null != txt)
+                {
+                        // skip \u fallback character
+                        if (o.skip > 0)
+                        {
+                                txt = txt.substr(1);
+                                o.skip = 0;
+                        }
+
+                        o.style.name += txt;
+                        if (";" == o.style.name.charAt(o.style.name.length-1))
+                                o.style.name = o.style.name.substr(0, o.style.name.length-1);
+                }
+
+        } // HandleStyleSheet()
+
+        //_[HandleInfo()]_________________________________________________________
+        //
+        // Interprets the information group (\info) and user properties
+        // (\*\userprops) into an 'info' object on the document.  Text members
+        // are title, subject, author, manager, company, operator, category,
+        // keywords, comment, doccomm and hlinkbase; dates are created, revised,
+        // printed and backedup (Date objects in local time, as RTF has no time
+        // zone); numbers are version, vern, edmins, pages, words, chars,
+        // charsws and id.  User properties are in 'props' by name, as numbers,
+        // booleans, dates or text depending on their type (\proptype).
+        //
+        function HandleInfo(t, s, i, o)
+        {
+                if (null == HandleInfo.map)
+                {
+                        HandleInfo.map = { creatim : "created", revtim : "revised",
+                                printim : "printed", buptim : "backedup", nofpages : "pages",
+                                nofwords : "words", nofchars : "chars", nofcharsws : "charsws" };
+                        HandleInfo.num = { version : 1, vern : 1, edmins : 1, nofpages : 1,
+                                nofwords : 1, nofchars : 1, nofcharsws : 1, id : 1 };
+                        HandleInfo.tim = { yr : 1, mo : 1, dy : 1, hr : 1, min : 1, sec : 1 };
+                }
+
+                var info = o.doc.info = o.doc.info || { };
+                var pfrm = o.stk[o.stk.length-2];
+                var ctl = null;
+
+                // the groups themselves: numbers and the type of a user property
+                // may be given without a group of their own
+                if ("info" == o.ctl || "userprops" == o.ctl)
+                {
+                        if (6 !== RtfTkTyp(t))
+                                return;
+
+                        ctl = RtfTkCtl(t, s, i);
+                        if (1 === HandleInfo.num[ctl])
+                                info[HandleInfo.map[ctl] || ctl] = Num_(t, i);
+                        else if ("proptype" == ctl)
+                                o.ptype = RtfTkVal(t);
+                        return;
+                }
+                else if (513 === t)
+                {
+                        o.dat = [ ];
+                        o.tm = { };
+                        if (1 === HandleInfo.num[o.ctl] && !isNaN(RtfTkVal(o.tok)))
+                                info[HandleInfo.map[o.ctl] || o.ctl] = Num_(o.tok, o.pos);
+                        return;
+                }
+                else if (769 === t)
+                {
+                        var str = o.dat.join("");
+                        if (null != o.tm.yr)
+                        {
+                                info[HandleInfo.map[o.ctl] || o.ctl] = new Date(o.tm.yr,
+                                        (o.tm.mo || 1) - 1, o.tm.dy || 1, o.tm.hr || 0,
+                                        o.tm.min || 0, o.tm.sec || 0);
+                        }
+                        else if ("propname" == o.ctl)
+                        {
+                                pfrm.pname = str;
+                        }
+                        else if ("staticval" == o.ctl && null != pfrm.pname)
+                        {
+                                info.props = info.props || { };
+                                info.props[pfrm.pname] = Prop_(pfrm.ptype, str);
+                                pfrm.pname = null;
+                        }
+                        else if ("info" == pfrm.ctl && null == HandleInfo.num[o.ctl] &&
+                                null == HandleInfo.map[o.ctl])
+                        {
+                                info[o.ctl] = str;
+                        }
+                        else if (null != pfrm.dat)
+                        {
+                                // a group within text, e.g. {\b ...}
+                                pfrm.dat.push(str);
+                        }
+                        return;
+                }
+
+                var typ = RtfTkTyp(t);
+                var val = RtfTkVal(t);
+                var txt = null;
+
+                if (1 === typ)
+                {
+                        txt = RtfTkTxt(t, s, i);
+                }
+                else if (5 === typ && 13 !== val && 10 !== val)
+                {
+                        txt = RtfTkChr(t, s, i);
+                }
+                else if (7 === typ)
+                {
+                        var cp = RtfFntCp(o.doc);
+                        if (null != o.lead)
+                        {
+                                txt = RtfCpStr(cp, [ o.lead, val ]);
+                                o.lead = null;
+                        }
+                        else if (RtfLeadB(cp, val))
+                        {
+                                o.lead = val;
+                                return;
+                        }
+                        else
+                        {
+                                txt = RtfCpStr(cp, [ val ]);
+                        }
+                }
+                else if (6 === typ)
+                {
+                        ctl = RtfTkCtl(t, s, i);
+                        if (1 === HandleInfo.tim[ctl])
+                        {
+                                o.tm[ctl] = val;
+                        }
+                        else if ("u" == ctl)
+                        {
+                                o.dat.push(String.fromCharCode(val < 0 ? val + 65536 : val));
+                                o.skip = null == o.prp.uc ? 1 : o.prp.uc;
+                        }
+                        else if ("uc" == ctl)
+                        {
+                                o.prp.uc = val;
+                        }
+                }
+
+                if (null != txt)
+                {
+                        // skip \u fallback characters
+                        if (o.skip > 0)
+                        {
+                                var n = Math.min(o.skip, txt.length);
+                                o.skip -= n;
+                                txt = txt.substr(n);
+                        }
+                        o.dat.push(txt);
+                }
+
+                // numeric value of a control word read from its text, as counts
+                // (e.g. \nofchars) go past what a token holds
+                function Num_(tok, pos)
+                {
+                        var m = /(-?\d+) ?$/.exec(s.substr(pos, RtfTkLen(tok)));
+                        return null == m ? RtfTkVal(tok) : +m[1];
+                }
+
+                // value of a user property of the given type (\proptype)
+                function Prop_(typ, txt)
+                {
+                        switch (typ)
+                        {
+                                case 3:
+                                case 5:
+                                        return Number(txt);
+                                case 11:
+                                        return "0" != txt && "" != txt;
+                                case 64:
+                                        var d = new Date(txt);
+                                        return isNaN(d.getTime()) ? txt : d;
+                        }
+                        return txt;
+                }
+
+        } // HandleInfo()
+
+} // RtfParser()
+//*[rtf2html.js]*************************[http://code.google.com/p/obremsdk/]*
+//
+// JavaScript: RTF to HTML Conversion
+// Version 0.12
+//
+// Utilizes RtfParser found in rtf.js module.
+//
+//-[History]------------------------------------------------------------------
+// 2007-09-24 by NeilO .... v0.12: Made part of ObremSDK.
+// 2007-03-04 by NeilO .... Created.
+//
+// (C)opyright 2007++ by Neil C. Obremski;                     New BSD License
+//***********************[http://www.opensource.org/licenses/bsd-license.php]*
+
+//_[Rtf2Html()]_______________________________________________________________
+//
+// Highest-level conversion function and easiest to use.  Just call and you'll
+// be returned a string of HTML text.
+//
+// txt .................... [ in] Rich text formatted (RTF) string.
+// baseurl ................ [ in] Base URL for hyperlinks; or an options
+//                                                      object (see below) instead of this and the
+//                                                      following parameters.
+// out .................... [ in] Output object; will contain files to be
+//                                                      written out.  When given, pictures (\pict) are
+//                                                      added to its 'files' too, otherwise they are
+//                                                      inlined as data URIs (leaving out metafiles,
+//                                                      which browsers don't show).  The document's
+//                                                      'info' (title, author, dates, etc.) is put
+//                                                      in it too.
+// ver .................... [ in] HTML version; 2 (default) for HTML 2.0 tags
+//                                                      (<B>, <CENTER>, BGCOLOR, etc.) or 5 for
+//                                                      HTML5 with semantic tags (<strong>, <em>)
+//                                                      and every paragraph in a <p> block;
+//                                                      presentation is then done with styles.
+// strict ................. [ in] Throw on malformed RTF (default true)?  When
+//                                                      false, problems recovered from are put in
+//                                                      'out.warnings' (see RtfParser()).
+//
+// Options object members; all are optional:
+//
+//      flavor ........ HTML version, same as 'ver'.
+//      baseurl ....... Base URL for files written out and for hyperlinks.
+//      linkbase ...... Base URL for relative hyperlinks; defaults to 'baseurl'.
+//      out ........... Output object, same as 'out'.
+//      files ......... Put pictures and packaged files in 'out.files' (default
+//                                      true); false to inline pictures as data URIs
+//                                      while still getting the output object's
+//                                      'warnings' and 'info'.
+//      strict ........ Same as 'strict'.
+//      fonts ......... Keep font families (default true)?
+//      colors ........ Keep text and cell colors (default true)?
+//      sizes ......... Keep font sizes (default true)?
+//      images ........ "float" (default) for pictures of packages to float
+//                                      left/right of their paragraph, "inline" to leave
+//                                      them where they are or "none" to leave out all
+//                                      pictures.
+//      tab ........... HTML for \tab; default is four non-breaking spaces.
+//      paragraphs .... Put every paragraph in a block (true) or none (false);
+//                                      by default it's every one for HTML5 and ones with
+//                                      style for HTML 2.0.
+//      classprefix ... Prefix for the CSS classes of styles.
+//      renderer ...... "html" (default), "text", "markdown", "tree" (the
+//                                      document tree of Rtf2Tree()) or a renderer
+//                                      object (see HtmlRenderer()); for an array of these
+//                                      an array with the output of each is returned, all
+//                                      from a single parse.  The default 'flavor' is 5
+//                                      when this is given.
+//      hidden ........ Keep hidden text (\v) in a SPAN with "display:none"
+//                                      rather than leave it out (default false).
+//      headers ....... Render the headers and footers (\header, \footer, etc.)
+//                                      of sections as <HEADER> and <FOOTER> blocks at
+//                                      their start and end (default false); they're
+//                                      always in the document tree.
+//      chapters ...... Return an array of the output of each chapter rather
+//                                      than one for the whole document: true to split
+//                                      it at every section break (\sect), page break
+//                                      (\page, \pagebb) and "Heading 1" paragraph, or
+//                                      "section", "page", "heading" or an array of
+//                                      these for only those (see Rtf2Chapters()); any
+//                                      other value throws.
+//      meta .......... Start with <META> tags for the title, author, etc. of
+//                                      the document's info (\info), which is also put
+//                                      in 'out.info' (see RtfParser's HandleInfo()).
+//      stream ........ Return the object of Rtf2HtmlStream() instead; 'txt'
+//                                      is then the start of the RTF.
+//      async ......... Return the promise of Rtf2HtmlAsync() instead.
+//      slice ......... Rtf2HtmlAsync(): milliseconds to parse for at a time;
+//                                      default is 10 unless 'tokens' is given.
+//      tokens ........ Rtf2HtmlAsync(): number of tokens to parse at a time.
+//      signal ........ Rtf2HtmlAsync(): AbortSignal which cancels it.
+//      progress ...... Rtf2HtmlAsync(): function called after every slice with
+//                                      the part done so far, from 0 to 1.
+//
+
+// CUSTOMIZATION HERE. THE FOLLOWING FUNCTION WAS ORIGINALLY DECLARED AS:
+// function Rtf2Html(txt, baseurl, out, ver)
+module.exports = function(txt, baseurl, out, ver, strict)
+{
+        var opt = { baseurl : baseurl, out : out, flavor : ver, strict : strict };
+        if (null != baseurl && "object" === typeof baseurl)
+                opt = baseurl;
+
+        baseurl = opt.baseurl || "";
+        out = opt.out;
+        ver = opt.flavor;
+        strict = opt.strict;
+
+        var parser = new RtfParser(txt, strict);
+        var main = null; // stack frame of the main destination (;rtf)
+
+        // HTML 2.0 by default, but HTML5 when rendering other formats
+        if (null == ver)
+                ver = null == opt.renderer || "html" == opt.renderer ? 2 : 5;
+        if (2 != ver && 5 != ver)
+                throw Error("HTML version " + ver + " not supported");
+        if (null != opt.chapters && "boolean" != typeof opt.chapters)
+        {
+                [ ].concat(opt.chapters).forEach(function(at)
+                {
+                        if ("section" !== at && "page" !== at && "heading" !== at)
+                                throw Error("Unknown chapters option: " + at);
+                });
+        }
+
+        parser.HandleDest(";rtf", Main_);
+        parser.HandleDest("pn", Bullets_);
+        parser.HandleDest("pntxtb", parser.HandleIgnore);
+        parser.HandleDest("pntext", parser.HandleIgnore);
+        parser.HandleDest(";rtf;object", Pkg_);
+        parser.HandleDest(";rtf;listtext", ListText_);
+        parser.HandleDest(";rtf;object;objclass", parser.HandlePcData);
+        parser.HandleDest(";rtf;object;objdata", PkgData_);
+        parser.HandleDest(";rtf;object;result", parser.HandleIgnore);
+        parser.HandleDest(";rtf;fonttbl;fbiminor", parser.HandleIgnore);
+        parser.HandleDest(";rtf;fonttbl;fhiminor", parser.HandleIgnore);
+        parser.HandleDest(";rtf;fonttbl;fdbminor", parser.HandleIgnore);
+        parser.HandleDest(";rtf;fonttbl;flominor", parser.HandleIgnore);
+        parser.HandleDest(";rtf;fonttbl;fbimajor", parser.HandleIgnore);
+        parser.HandleDest(";rtf;fonttbl;fhimajor", parser.HandleIgnore);
+        parser.HandleDest(";rtf;fonttbl;fdbmajor", parser.HandleIgnore);
+        parser.HandleDest(";rtf;fonttbl;flomajor", parser.HandleIgnore);
+        parser.HandleDest(";rtf;mmath", parser.HandleIgnore);
+        parser.HandleDest(";rtf;object;result;pict", parser.HandleIgnore);
+        parser.HandleDest("pict", Pict_);
+        parser.HandleDest(";rtf;nesttableprops", NestProps_);
+        parser.HandleDest(";rtf;nonesttables", parser.HandleIgnore);
+        parser.HandleDest("field", Field_);
+        parser.HandleDest("footnote", Note_);
+        parser.HandleDest("header", HdrFtr_);
+        parser.HandleDest("headerl", HdrFtr_);
+        parser.HandleDest("headerr", HdrFtr_);
+        parser.HandleDest("headerf", HdrFtr_);
+        parser.HandleDest("footer", HdrFtr_);
+        parser.HandleDest("footerl", HdrFtr_);
+        parser.HandleDest("footerr", HdrFtr_);
+        parser.HandleDest("footerf", HdrFtr_);
+        parser.HandleDest("fldinst", FldInst_);
+        parser.HandleDest("fldrslt", FldRslt_);
+        parser.HandleDest("bkmkstart", Bkmk_);
+        parser.HandleDest("shppict", parser.HandleIgnore);
+        parser.HandleDest("nonshppict", parser.HandleIgnore);
+        parser.HandleDest("shp", parser.HandleIgnore);
+        parser.HandleDest("shprslt", parser.HandleIgnore);
+
+        parser.Document(true).baseurl = baseurl;
+        parser.Document(true).outo = false === opt.files ? null : out;
+
+        if (true === opt.stream)
+                return Stream_();
+        if (true === opt.async)
+                return Async_();
+
+        return Result_(parser.Document());
+
+        //-[Result_()]------------------------------------------------------------
+        //
+        // Returns the output for the parsed document.
+        //
+        function Result_(doc)
+        {
+                if (null != out && null != doc.warnings)
+                        out.warnings = doc.warnings;
+                if (null != out && null != doc.info)
+                        out.info = doc.info;
+                if (null == doc.events)
+                        return doc.html;
+
+                // one interpretation, rendered once per renderer
+                var rnds = opt.renderer instanceof Array ? opt.renderer : [ opt.renderer || "html" ];
+                var res = [ ];
+                for (var j = 0; j < rnds.length; j++)
+                        res.push(Render_(doc.events, rnds[j]));
+
+                doc.html = res[0];
+                return opt.renderer instanceof Array ? res : res[0];
+        }
+
+        //-[Async_()]-------------------------------------------------------------
+        //
+        // Returns the promise of Rtf2HtmlAsync(): the document is parsed a time
+        // slice (or a number of tokens) at a time, giving the event loop a turn
+        // in between, until it's done or 'opt.signal' is aborted.
+        //
+        function Async_()
+        {
+                var sig = opt.signal;
+                var next = "function" === typeof setImmediate ? setImmediate :
+                        function(fnc) { setTimeout(fnc, 0); };
+
+                return new Promise(function(resolve, reject)
+                {
+                        Step_();
+
+                        function Step_()
+                        {
+                                if (null != sig && sig.aborted)
+                                {
+                                        var err = sig.reason;
+                                        if (null == err)
+                                        {
+                                                err = Error("Conversion aborted");
+                                                err.name = "AbortError";
+                                        }
+                                        return reject(err);
+                                }
+
+                                try
+                                {
+                                        var done = parser.Run(null == opt.slice && null == opt.tokens ?
+                                                10 : opt.slice, opt.tokens);
+                                        if (null != opt.progress)
+                                                opt.progress(done ? 1 : parser.pos / parser.txt.length);
+                                        if (done)
+                                                return resolve(Result_(parser.Document()));
+                                }
+                                catch (e)
+                                {
+                                        return reject(e);
+                                }
+
+                                next(Step_);
+                        }
+                });
+        }
+
+        //-[Main_()]--------------------------------------------------------------
+        //
+        function Main_(t, s, i, o)
+        {
+                if (513 === t)
+                {
+                        // group-scoped properties which are character formatting
+                        // (reset by \plain)
+                        if (null == Main_.chp)
+                        {
+                                Main_.chp = { b : 1, i : 1, strike : 1, ul : 1, fs : 1,
+                                        f : 1, cf : 1, cb : 1, hl : 1, cs : 1, uls : 1,
+                                        striked : 1, sup : 1, up : 1, caps : 1, scaps : 1,
+                                        outl : 1, shad : 1, v : 1 };
+
+                                // underline styles (CSS text-decoration-style)
+                                Main_.uls = { uld : "dotted", uldash : "dashed",
+                                        uldashd : "dashed", uldashdd : "dashed", uldb : "double",
+                                        ulwave : "wavy", ulhwave : "wavy", ululdbwave : "wavy",
+                                        ulw : "words" };
+
+                                // note numbering (\ftnn*, \aftnn*) as a \levelnfc
+                                Main_.nfc = { ar : 0, ruc : 1, rlc : 2, auc : 3, alc : 4,
+                                        chi : "chi" };
+                        }
+
+                        // notes have their own (see Note_())
+                        if (null == main)
+                                main = o;
+                        o.newpara = true;
+                        // paragraph properties (reset by \pard)
+                        o.pap = { };
+                        // create string-builder for HTML in this destination
+                        o.html = o.doc.sbhtml = o.body = [ ];
+
+                        // table nesting level of the current paragraph (\itap), the
+                        // open tables and row definitions (\trowd) per level
+                        o.itap = 0;
+                        o.tbls = [ ];
+                        o.rdefs = { };
+
+                        // open lists, item numbers and list definitions per \ls
+                        o.lsts = [ ];
+                        o.lcnt = { };
+                        o.ldefs = { };
+
+                        // the document's first section (see Sect_())
+                        if (o === main)
+                                Sect_();
+                }
+                else if (769 === t)
+                {
+                        EndPara_();
+                        ListEnd_(0);
+                        Level_(0);
+
+                        // a note's events are kept until the end (see Note_())
+                        if (o !== main)
+                                return;
+                        SectEnd_();
+                        NoteList_("footnote");
+                        NoteList_("endnote");
+
+                        // set output events on main document; for HTML5 the
+                        // document's default font is set on a wrapping block
+                        // (whose start a stream may have written out already)
+                        var dflt = null == o.div ? Dflt_(o.doc) : o.div;
+                        if (5 == ver && null != dflt && "" != dflt)
+                        {
+                                if (null == o.div)
+                                        o.body.unshift(Tag_("DIV", { STYLE : dflt }));
+                                o.body.push(End_("DIV"));
+                        }
+                        if (null == o.div)
+                                o.body.unshift.apply(o.body, Meta_(o.doc));
+                        o.doc.events = (o.doc.events || [ ]).concat(o.body);
+                }
+                else if ("object" === typeof t)
+                {
+                        // inline content of another destination (e.g. a picture's
+                        // <IMG>) comes as an output event rather than a token
+                        Inline_();
+                        Pend_();
+                        Fmt_(o);
+                        o.html.push(t);
+                        return;
+                }
+
+                var typ = RtfTkTyp(t);
+
+                if (1 === typ)
+                {
+                        var txt = RtfTkTxt(t, s, i);
+
+                        // trail byte of a DBCS character written as plain text
+                        if (null != o.lead)
+                        {
+                                Byte_(txt.charCodeAt(0));
+                                txt = txt.substr(1);
+                        }
+
+                        // skip \u fallback characters
+                        if (o.prp.ucskip > 0)
+                        {
+                                var n = Math.min(o.prp.ucskip, txt.length);
+                                o.prp.ucskip -= n;
+                                txt = txt.substr(n);
+                        }
+
+                        if (txt.length > 0)
+                                Text_(txt);
+                        return;
+                }
+                else if (5 === typ && 13 === RtfTkVal(t))
+                {
+                        // line breaks in the source aren't characters (so not
+                        // even white space in the HTML); they may even fall
+                        // between the two bytes of a DBCS character
+                        return;
+                }
+                else if (5 === typ || 7 === typ)
+                {
+                        if (null != o.lead && 5 === typ)
+                        {
+                                Byte_(RtfTkVal(t));
+                        }
+                        else if (o.prp.ucskip > 0)
+                        {
+                                o.prp.ucskip--;
+                        }
+                        else if (7 === typ)
+                        {
+                                Byte_(RtfTkVal(t));
+                        }
+                        else
+                        {
+                                Text_(RtfTkChr(t, s, i));
+                        }
+                        return;
+                }
+
+                // a lead byte without its trail byte is dropped
+                o.lead = null;
+
+                var ctl = RtfTkCtl(t, s, i);
+                var val = RtfTkVal(t);
+
+                switch (ctl)
+                {
+                        case "pard":
+                                EndPara_();
+                                o.itap = 0;
+                                o.ls = 0;
+                                o.ilvl = 0;
+                                o.pap = { };
+                                StyleEnd_();
+                                break;
+
+                        // list (override) and level of the paragraph
+                        case "ls":
+                                o.ls = val;
+                                break;
+                        case "ilvl":
+                                o.ilvl = val;
+                                break;
+
+                        case "tab":
+                                Level_(o.itap);
+                                Text_("\t");
+                                break;
+
+                        // - -
+                        // tables: paragraphs in a table and where cells/rows end
+                        //
+                        case "intbl":
+                                if (0 === o.itap)
+                                        o.itap = 1;
+                                break;
+                        case "itap":
+                                o.itap = val;
+                                break;
+                        case "cell":
+                                Cell_(1);
+                                break;
+                        case "nestcell":
+                                Cell_(Math.max(o.itap, 2));
+                                break;
+                        case "row":
+                                Row_(1);
+                                break;
+                        case "nestrow":
+                                Row_(Math.max(o.itap, 2));
+                                break;
+
+                        // - -
+                        // table row definition; nested rows are defined in
+                        // \nesttableprops (see NestProps_)
+                        //
+                        case "trowd":
+                                o.rdef = o.rdefs[o.nest ? o.itap : 1] =
+                                        { left : 0, cells : [ ], cell : { } };
+                                break;
+                        case "trleft":
+                                if (null != o.rdef)
+                                        o.rdef.left = val;
+                                break;
+                        case "trqc":
+                        case "trqr":
+                                if (null != o.rdef)
+                                        o.rdef.align = "trqc" == ctl ? "CENTER" : "RIGHT";
+                                break;
+                        case "cellx":
+                                if (null != o.rdef)
+                                {
+                                        o.rdef.cell.right = val;
+                                        o.rdef.cells.push(o.rdef.cell);
+                                        o.rdef.cell = { };
+                                        o.rdef.side = null;
+                                }
+                                break;
+                        case "clmgf":
+                        case "clmrg":
+                        case "clvmgf":
+                        case "clvmrg":
+                                if (null != o.rdef)
+                                        o.rdef.cell[ctl.substr(2)] = true;
+                                break;
+                        case "clvertalt":
+                        case "clvertalc":
+                        case "clvertalb":
+                                if (null != o.rdef)
+                                        o.rdef.cell.valign = { t : "TOP", c : "MIDDLE",
+                                                b : "BOTTOM" }[ctl.charAt(8)];
+                                break;
+                        case "clcbpat":
+                                if (null != o.rdef)
+                                        o.rdef.cell.bg = val;
+                                break;
+                        case "clbrdrt":
+                        case "clbrdrl":
+                        case "clbrdrb":
+                        case "clbrdrr":
+                                if (null != o.rdef)
+                                {
+                                        o.rdef.side = { t : "top", l : "left", b : "bottom",
+                                                r : "right" }[ctl.charAt(6)];
+                                        o.rdef.cell.brdr = o.rdef.cell.brdr || { };
+                                        o.rdef.cell.brdr[o.rdef.side] = { style : "solid", width : 1 };
+                                }
+                                break;
+                        case "brdrs":
+                        case "brdrth":
+                        case "brdrsh":
+                        case "brdrdb":
+                        case "brdrdot":
+                        case "brdrdash":
+                        case "brdrnone":
+                        case "brdrnil":
+                                if (null != o.rdef && null != o.rdef.side)
+                                {
+                                        o.rdef.cell.brdr[o.rdef.side].style = {
+                                                brdrdb : "double", brdrdot : "dotted",
+                                                brdrdash : "dashed", brdrnone : "none",
+                                                brdrnil : "none" }[ctl] || "solid";
+                                }
+                                break;
+                        case "brdrw":
+                                if (null != o.rdef && null != o.rdef.side)
+                                        o.rdef.cell.brdr[o.rdef.side].width = Math.max(1, Math.round(val / 15));
+                                break;
+                        case "brdrcf":
+                                if (null != o.rdef && null != o.rdef.side)
+                                        o.rdef.cell.brdr[o.rdef.side].color = val;
+                                break;
+
+                        case "f":
+                                // current font determines the code page of \'hh bytes
+                                // and the font-family (see Fmt_)
+                                o.prp.f = val;
+
+                                break;
+
+                        // font size (half-points)
+                        case "fs":
+                                o.prp.fs = val;
+                                break;
+                        
+                        case "line":
+                                Level_(o.itap);
+                                if (o.bullets)
+                                {
+                                        if (!o.bulletline)
+                                                o.bulletline = true;
+                                }
+
+                                Para_();
+                                o.html.push(Tag_("BR"));
+                                break;
+
+                        case "par":
+                                Level_(o.itap);
+                                if (!o.lsync)
+                                        ListItem_();
+                                o.lsync = false;
+                                FmtEnd_(o);
+                                Img_("RIGHT");
+                                ParSet_();
+                                o.newpara = true;
+
+                                // list items are blocks of their own
+                                if (o.lsts.length > 0)
+                                        break;
+
+                                if (o.bullets)
+                                {
+                                        if (o.bulletline)
+                                        {
+                                                o.html.push(Tag_("BR"));
+                                                o.bulletline = false;
+                                        }
+                                        FldEnd_(o);
+                                        o.html.push(End_("LI"));
+                                        o.par_beg = Tag_("LI");
+                                }
+                                else if (Blocks_())
+                                {
+                                        // an empty paragraph is still a line
+                                        if (!o.para)
+                                        {
+                                                Para_();
+                                                o.html.push(Tag_("BR"));
+                                        }
+                                        ParEnd_();
+                                }
+                                else if (o.para)
+                                {
+                                        // the block ends the line
+                                        ParEnd_();
+                                }
+                                else if (null == o.par_end)
+                                {
+                                        o.html.push(Tag_("BR"));
+                                }
+                                else
+                                {
+                                        o.html.push(o.par_end);
+                                        o.par_end = null;
+                                }
+                                break;
+                        
+                        // - -
+                        // paragraph properties (see ParAtt_); HTML 2.0 keeps <CENTER>
+                        //
+                        case "ql":
+                        case "qr":
+                        case "qj":
+                                o.pap.align = { ql : "left", qr : "right", qj : "justify" }[ctl];
+                                break;
+                        case "li":
+                        case "lin":
+                        case "ri":
+                        case "rin":
+                        case "fi":
+                        case "sb":
+                        case "sa":
+                        case "sl":
+                                o.pap[ctl.substr(0, 2)] = val;
+                                break;
+                        case "slmult":
+                                o.pap.slmult = 0 !== val;
+                                break;
+
+                        case "qc":
+                                o.pap.align = 0 === val ? null : "center";
+                                if (5 == ver)
+                                        break;
+
+                                FldEnd_(o);
+                                o.center = true;
+                                if (0 === val)
+                                {
+                                        o.center = false;
+                                        o.html.push(End_("CENTER"));
+                                }
+                                else
+                                {
+                                        o.html.push(Tag_("CENTER"));
+                                }
+                                break;
+
+                        // - -
+                        // colors (see Fmt_); \cf0 is "auto" and the highlight is one
+                        // of 16 standard colors rather than from the color table
+                        //
+                        case "cf":
+                                o.prp.cf = val;
+                                break;
+                        case "cb":
+                        case "chcbpat":
+                                o.prp.cb = val;
+                                break;
+                        case "highlight":
+                                o.prp.hl = val;
+                                break;
+
+                        // - -
+                        // paragraph and character styles (see Style_)
+                        //
+                        case "s":
+                                StyleEnd_();
+                                o.pap.style = val;
+                                o.schp = Style_(val);
+                                break;
+                        case "cs":
+                                // a style that isn't \additive replaces the formatting
+                                var cs = o.doc.styles ? o.doc.styles[val] : null;
+                                if (null != cs && !cs.additive)
+                                {
+                                        for (var k in o.prp)
+                                                if (Main_.chp[k])
+                                                        delete o.prp[k];
+                                }
+                                Style_(val);
+                                o.prp.cs = val;
+                                break;
+
+                        // - -
+                        // character formatting (see Fmt_); a value of zero turns
+                        // it off and \plain resets all of it
+                        //
+                        case "plain":
+                                for (var k in o.prp)
+                                        if (Main_.chp[k])
+                                                delete o.prp[k];
+                                o.schp = null;
+                                break;
+                        case "b":
+                        case "i":
+                        case "strike":
+                        case "striked":
+                        case "caps":
+                        case "scaps":
+                        case "outl":
+                        case "shad":
+                        case "v":
+                                o.prp[ctl] = 0 !== val;
+                                break;
+                        case "ul":
+                        case "ulnone":
+                                o.prp.ul = "ul" == ctl && 0 !== val;
+                                o.prp.uls = null;
+                                break;
+                        case "uld":
+                        case "uldash":
+                        case "uldashd":
+                        case "uldashdd":
+                        case "uldb":
+                        case "ulwave":
+                        case "ulhwave":
+                        case "ululdbwave":
+                        case "ulw":
+                                o.prp.ul = 0 !== val;
+                                o.prp.uls = 0 !== val ? Main_.uls[ctl] : null;
+                                break;
+
+                        // superscript and subscript, or text raised (\up) or
+                        // lowered (\dn) by half-points, 6 by default
+                        case "super":
+                        case "sub":
+                                o.prp.sup = 0 !== val ? ctl : null;
+                                break;
+                        case "nosupersub":
+                                o.prp.sup = null;
+                                break;
+                        case "up":
+                        case "dn":
+                                o.prp.up = (isNaN(val) ? 6 : val) * ("dn" == ctl ? -1 : 1);
+                                break;
+
+                        // unicode character followed by \uc fallback characters
+                        case "u":
+                                if (val < 0)
+                                        val += 65536;
+                                Text_(String.fromCharCode(val));
+                                o.prp.ucskip = null == o.prp.uc ? 1 : o.prp.uc;
+                                break;
+
+                        // number of fallback characters following \u
+                        case "uc":
+                                o.prp.uc = val;
+                                break;
+
+                        // - -
+                        // footnotes (\footnote, see Note_()) and endnotes (\ftnalt):
+                        // the reference to the next one, their numbering and the
+                        // number to start at
+                        //
+                        case "chftn":
+                                // a note's own number is that of the notes list
+                                if (null == o.note)
+                                        NoteRef_();
+                                break;
+                        case "ftnnar":
+                        case "ftnnalc":
+                        case "ftnnauc":
+                        case "ftnnrlc":
+                        case "ftnnruc":
+                        case "ftnnchi":
+                                Notes_(o.doc).footnote.nfc = Main_.nfc[ctl.substr(4)];
+                                break;
+                        case "aftnnar":
+                        case "aftnnalc":
+                        case "aftnnauc":
+                        case "aftnnrlc":
+                        case "aftnnruc":
+                        case "aftnnchi":
+                                Notes_(o.doc).endnote.nfc = Main_.nfc[ctl.substr(5)];
+                                break;
+                        case "ftnstart":
+                                Notes_(o.doc).footnote.start = val;
+                                break;
+                        case "aftnstart":
+                                Notes_(o.doc).endnote.start = val;
+                                break;
+
+                        // - -
+                        // sections: \sect ends one and the properties of the next
+                        // follow it (\sectd resets them), e.g. how it starts (\sbk*)
+                        //
+                        case "sect":
+                                if (o !== main)
+                                        break;
+                                EndPara_();
+                                ListEnd_(0);
+                                Level_(0);
+                                SectEnd_();
+                                Sect_();
+                                break;
+                        case "sectd":
+                        case "sbkpage":
+                        case "sbknone":
+                        case "sbkcol":
+                        case "sbkeven":
+                        case "sbkodd":
+                                if (null != o.sect)
+                                {
+                                        o.sect.prp.start = { sectd : "page", sbkpage : "page",
+                                                sbknone : "continuous", sbkcol : "column",
+                                                sbkeven : "even", sbkodd : "odd" }[ctl];
+                                        o.sect.atts.STYLE = o.sect.prp.number > 1 ?
+                                                pgbrk_(o.sect.prp.start) : null;
+                                }
+                                break;
+
+                        // page break before the next paragraph (\page) or this
+                        // one (\pagebb); see ParAtt_()
+                        case "page":
+                                o.pgbrk = true;
+                                break;
+                        case "pagebb":
+                                o.pap.pagebb = 0 !== val;
+                                break;
+
+                }
+
+                // end of main (private helpers follow)
+
+                function Text_(txt)
+                {
+                        // hidden text (\v) is left out (see 'hidden' option)
+                        if (o.prp.v && !opt.hidden)
+                                return;
+
+                        Inline_();
+                        Pend_();
+                        Fmt_(o);
+                        Run_();
+                        if ("" !== txt)
+                                o.html.push(txt);
+                }
+
+                // moves to where inline content (text or a picture) goes: the
+                // table level, list item and block of the current paragraph
+                function Inline_()
+                {
+                        Level_(o.itap);
+                        if (!o.lsync)
+                                ListItem_();
+
+                        if (null != o.par_beg)
+                        {
+                                o.html.push(o.par_beg);
+                                o.par_beg = null;
+                        }
+
+                        Para_();
+
+                        if (true == o.newpara)
+                        {
+                                // a paragraph without a block of its own
+                                if (!o.para)
+                                {
+                                        o.ptag = Tag_("#PARA", null, true, ParProps_());
+                                        o.html.push(o.ptag);
+                                }
+                                PgBrkEnd_();
+
+                                o.lastpari = o.html.length;
+                                o.newpara = false;
+                                Img_("LEFT");
+                        }
+                        else
+                        {
+                                Img_();
+                        }
+                }
+
+                // writes the tags waiting for inline content (e.g. a hyperlink's
+                // anchor or a bookmark)
+                function Pend_()
+                {
+                        if (null == o.pend)
+                                return;
+
+                        FmtEnd_(o);
+                        for (var j = 0; j < o.pend.length; j++)
+                        {
+                                o.html.push.apply(o.html, o.pend[j].html);
+                                o.pend[j].done = true;
+                                if (o.pend[j].open)
+                                        (o.flds = o.flds || [ ]).push(o.pend[j]);
+                        }
+                        o.pend = null;
+                }
+
+                // reference to the note which follows (\chftn); its number and
+                // link are filled in once the note ends (see Note_())
+                function NoteRef_()
+                {
+                        Text_("");
+
+                        // superscript unless it is already (\super)
+                        var sup = "super" != o.prp.sup;
+                        var a = Tag_("A", { HREF : null, NAME : null }, false, { });
+                        if (sup)
+                                o.html.push(Tag_("SUP"));
+                        o.html.push(a, "", End_("A"));
+                        if (sup)
+                                o.html.push(End_("SUP"));
+                        o.doc.nref = { html : o.html, idx : o.html.length - (sup ? 3 : 2), tag : a };
+                }
+
+                // adds the notes list of a kind ("footnote" or "endnote") to the
+                // end of the document, each note linking back to its reference
+                function NoteList_(kind)
+                {
+                        var ns = Notes_(o.doc)[kind];
+                        if (0 === ns.list.length)
+                                return;
+
+                        var chi = "chi" === ns.nfc;
+                        var sty = chi ? "none" : ListSty_({ nfc : ns.nfc });
+                        o.html.push(Tag_("OL", { CLASS : (opt.classprefix || "") + kind + "s",
+                                START : !chi && 1 !== ns.start ? ns.start : null,
+                                STYLE : "list-style-type:" + sty }, false, { ordered : true,
+                                start : ns.start, format : sty, level : 0, notes : kind }));
+
+                        for (var j = 0; j < ns.list.length; j++)
+                        {
+                                var note = ns.list[j];
+                                o.html.push(Tag_("LI", null, false, { number : note.number,
+                                        marker : chi ? note.mark : null }));
+
+                                // the anchor (and mark) goes in the note's first block
+                                // and the link back in its last
+                                var evs = note.evs;
+                                var i = 0;
+                                while (i < evs.length && "string" !== typeof evs[i] &&
+                                        /^(P|CENTER|DIV|#.*)$/.test(evs[i][0]))
+                                        i++;
+                                var k = evs.length;
+                                while (k > i && ("string" === typeof evs[k-1] ? /^\s*$/.test(evs[k-1]) :
+                                        "/" == evs[k-1][0].charAt(0) || "BR" == evs[k-1][0]))
+                                        k--;
+
+                                o.html.push.apply(o.html, evs.slice(0, i));
+                                o.html.push(Tag_("A", { NAME : note.id }), End_("A"));
+                                if (chi)
+                                        o.html.push(Tag_("#MARK"), note.mark + " ", End_("#MARK"));
+                                o.html.push.apply(o.html, evs.slice(i, k));
+                                if (null != note.ref)
+                                {
+                                        o.html.push(" ", Tag_("A", { HREF : "#" + note.ref }, false,
+                                                { note : kind, number : note.number, back : true }),
+                                                "\u21A9", End_("A"));
+                                }
+                                o.html.push.apply(o.html, evs.slice(k));
+                                o.html.push(End_("LI"));
+                        }
+
+                        o.html.push(End_("OL"));
+                }
+
+                // marks the character properties of the text which follows for
+                // the document tree, whenever they change
+                function Run_()
+                {
+                        var key = [ ];
+                        for (var k in Main_.chp)
+                                key.push(o.prp[k]);
+                        key = key.join();
+
+                        if (key !== o.runkey)
+                        {
+                                o.html.push(Tag_("#RUN", null, true, RunProps_(o)));
+                                o.runkey = key;
+                        }
+                }
+
+                // decode \'hh byte in the current font's code page, holding on to
+                // DBCS lead bytes until their trail byte arrives
+                function Byte_(b)
+                {
+                        var cp = RtfFntCp(o.doc, o.prp.f);
+                        if (null != o.lead)
+                        {
+                                var lead = o.lead;
+                                o.lead = null;
+                                Text_(RtfCpStr(cp, [ lead, b ]));
+                        }
+                        else if (RtfLeadB(cp, b))
+                        {
+                                o.lead = b;
+                        }
+                        else
+                        {
+                                Text_(RtfCpStr(cp, [ b ]));
+                        }
+                }
+
+                function Img_(align)
+                {
+                        if (null != o.doc.limg)
+                        {
+                                if ("inline" == opt.images)
+                                        align = null;
+
+                                var src = o.doc.baseurl + o.doc.limg.name;
+                                var imgtag = Tag_("IMG", { SRC : src,
+                                        HSPACE : null == align ? null : 5, VSPACE : null == align ? null : 5,
+                                        ALIGN : align }, true, { src : src, name : o.doc.limg.name,
+                                        align : null == align ? null : align.toLowerCase() });
+
+                                if ("RIGHT" == align && null != o.lastpari)
+                                {
+                                        o.html.splice(o.lastpari, 0, imgtag);
+                                }
+                                else
+                                {
+                                        o.html.push(imgtag);
+                                }
+
+                                o.doc.limg = null;
+                        }
+                }
+
+                function EndPara_()
+                {
+                        FldEnd_(o);
+                        Img_();
+                        ParEnd_();
+                        if (o.center && 5 != ver)
+                                o.html.push(End_("CENTER"));
+                        o.center = false;
+                        o.newpara = true;
+                        o.bulletline = false;
+                        o.par_beg = null;
+                        if (o.monofont)
+                        {
+                                o.html.push(End_("CODE"));
+                                o.monofont = false;
+                        }
+                        if (o.indented)
+                        {
+                                o.html.push(End_("BLOCKQUOTE"));
+                                o.par_end = "";
+                                o.indented = false;
+                        }
+                        if (o.bullets)
+                        {
+                                o.html.push(End_("UL"));
+                                o.par_end = "";
+                                o.bullets = false;
+                        }
+                }
+
+                // starts the list item of the current paragraph (\ls, \ilvl),
+                // opening and closing lists around it as needed; a paragraph
+                // which isn't in a list closes them all
+                function ListItem_()
+                {
+                        o.lsync = true;
+
+                        var def = ListDef_(o.ls);
+                        if (null == def)
+                        {
+                                ListEnd_(0);
+                                return;
+                        }
+
+                        FldEnd_(o);
+
+                        var lvl = Math.min(Math.max(o.ilvl || 0, 0), 8);
+                        if (o.lsts.length > 0 && o.lsts[0].ls !== o.ls)
+                                ListEnd_(0);
+                        ListEnd_(lvl + 1);
+
+                        // number this item; deeper levels start over
+                        var cnt = o.lcnt[o.ls] = o.lcnt[o.ls] || [ ];
+                        cnt[lvl] = null == cnt[lvl] ? ListLvl_(def, lvl).start : cnt[lvl] + 1;
+                        for (var k = lvl + 1; k < cnt.length; k++)
+                                if (true !== ListLvl_(def, k).norestart)
+                                        cnt[k] = null;
+
+                        while (o.lsts.length <= lvl)
+                        {
+                                // a list can only be nested in an item
+                                var d = o.lsts.length;
+                                if (d > 0 && !o.lsts[d-1].li)
+                                {
+                                        o.html.push(Tag_("LI", { STYLE : "list-style-type:none" }));
+                                        o.lsts[d-1].li = true;
+                                }
+
+                                var lv = ListLvl_(def, d);
+                                var lst = { ls : o.ls, li : false,
+                                        tag : 23 === lv.nfc || 255 === lv.nfc ? "UL" : "OL",
+                                        mrk : ListMrk_(lv, d) };
+
+                                var start = null == cnt[d] ? lv.start : cnt[d];
+                                o.html.push(Tag_(lst.tag, {
+                                        START : "OL" == lst.tag && 1 !== start ? start : null,
+                                        STYLE : "list-style-type:" + (lst.mrk ? "none" : ListSty_(lv)) },
+                                        false, { ordered : "OL" == lst.tag, start : start,
+                                        format : ListSty_(lv), level : d, ls : o.ls }));
+                                o.lsts.push(lst);
+                        }
+
+                        var top = o.lsts[lvl];
+                        if (top.li)
+                                o.html.push(End_("LI"));
+                        var item = { number : cnt[lvl], marker : null };
+                        o.html.push(Tag_("LI", null, false, item));
+                        top.li = true;
+
+                        // numbering list-style-type can't express, e.g. "1.2." or "(a)"
+                        if (top.mrk)
+                        {
+                                var lv = ListLvl_(def, lvl);
+                                var mrk = [ ];
+                                for (var j = 0; j < lv.text.length; j++)
+                                {
+                                        var c = lv.text.charCodeAt(j);
+                                        var ph = null == lv.numbers ? c < 9 :
+                                                lv.numbers.indexOf(j + 1) >= 0;
+
+                                        if (ph && null != cnt[c])
+                                                mrk.push(num_(cnt[c], lv.legal ? 0 : ListLvl_(def, c).nfc));
+                                        else if (!ph)
+                                                mrk.push(lv.text.charAt(j));
+                                }
+                                item.marker = mrk.join("");
+                                o.html.push(Tag_("#MARK"), item.marker + " ", End_("#MARK"));
+                        }
+                }
+
+                // closes open lists until only 'n' levels remain
+                function ListEnd_(n)
+                {
+                        if (o.lsts.length > n)
+                                FldEnd_(o);
+
+                        while (o.lsts.length > n)
+                        {
+                                var lst = o.lsts.pop();
+                                if (lst.li)
+                                        o.html.push(End_("LI"));
+                                o.html.push(End_(lst.tag));
+                        }
+                }
+
+                // returns the list (from \listtable) an \ls number refers to, with
+                // the levels of its override (\listoverridetable) applied
+                function ListDef_(ls)
+                {
+                        if (!(ls > 0) || null == o.doc.lists)
+                                return null;
+                        if (o.ldefs.hasOwnProperty(ls))
+                                return o.ldefs[ls];
+
+                        var ovr = null == o.doc.overrides ? null : o.doc.overrides[ls];
+                        var def = null;
+                        for (var j = 0; j < o.doc.lists.length && null != ovr; j++)
+                                if (o.doc.lists[j].id === ovr.id)
+                                        def = o.doc.lists[j];
+
+                        if (null != def && ovr.levels.length > 0)
+                        {
+                                var lvls = [ ];
+                                for (var j = 0; j < def.levels.length; j++)
+                                {
+                                        lvls[j] = { };
+                                        for (var k in def.levels[j])
+                                                lvls[j][k] = def.levels[j][k];
+                                        for (var k in ovr.levels[j])
+                                                lvls[j][k] = ovr.levels[j][k];
+                                }
+                                def = { id : def.id, levels : lvls };
+                        }
+
+                        return (o.ldefs[ls] = def);
+                }
+
+                // returns a level of a list definition (a decimal level if missing)
+                function ListLvl_(def, lvl)
+                {
+                        var lv = def.levels[lvl] || { };
+                        return {
+                                nfc : null == lv.nfc ? 0 : lv.nfc,
+                                start : null == lv.start ? 1 : lv.start,
+                                text : null == lv.text ? String.fromCharCode(lvl) + "." : lv.text,
+                                numbers : lv.numbers,
+                                legal : lv.legal,
+                                norestart : lv.norestart
+                        };
+                }
+
+                // does a numbered level need its number written out?  (only
+                // "N." of the level's own number is left to the browser)
+                function ListMrk_(lv, lvl)
+                {
+                        if (23 === lv.nfc || 255 === lv.nfc)
+                                return false;
+
+                        return 2 !== lv.text.length || lvl !== lv.text.charCodeAt(0) ||
+                                "." != lv.text.charAt(1) || true === lv.legal;
+                }
+
+                // list-style-type for a level's number format (\levelnfc)
+                function ListSty_(lv)
+                {
+                        switch (lv.nfc)
+                        {
+                                case 1:  return "upper-roman";
+                                case 2:  return "lower-roman";
+                                case 3:  return "upper-alpha";
+                                case 4:  return "lower-alpha";
+                                case 10:
+                                case 11: return "cjk-ideographic";
+                                case 12: return "katakana";
+                                case 13: return "katakana-iroha";
+                                case 22: return "decimal-leading-zero";
+                                case 24: return "hangul";
+                                case 25: return "hangul-consonant";
+                                case 45: return "hebrew";
+                                case 255: return "none";
+                                case 23:
+                                        // bullet character (Symbol and Wingdings fonts map
+                                        // to the private use area)
+                                        var c = lv.text.charAt(0);
+                                        if ("o" == c)
+                                                return "circle";
+                                        if ("\uF0A7" == c || "\u00A7" == c || "\u25AA" == c)
+                                                return "square";
+                                        return "disc";
+                        }
+
+                        return "decimal";
+                }
+
+                // opens a paragraph block for the text which follows; always
+                // for HTML5, but for HTML 2.0 only when the paragraph has a
+                // style (otherwise paragraphs are just separated by <BR>); list
+                // items are blocks of their own
+                function Para_()
+                {
+                        if (o.para || o.bullets || o.lsts.length > 0)
+                                return;
+
+                        // "Heading 1" to "Heading 6" styles are headings
+                        var att = ParAtt_();
+                        var h = Head_(o.doc, o.pap.style);
+                        if (null != h)
+                                o.para = "H" + h;
+                        else if (Blocks_())
+                                o.para = "P";
+                        else if (false !== opt.paragraphs && (null != att.STYLE || null != att.CLASS))
+                                o.para = "DIV";
+                        else
+                                return;
+
+                        FldEnd_(o);
+                        o.ptag = Tag_(o.para, att, false, ParProps_());
+                        o.html.push(o.ptag);
+                        PgBrkEnd_();
+                }
+
+                // starts a section, the first one at the start of the document;
+                // for HTML5 it's a <SECTION> and for HTML 2.0 it starts with its
+                // first paragraph (see ParAtt_()).  Its props are those of the
+                // tree's section node, set by what follows \sect (see Main_).
+                function Sect_()
+                {
+                        o.sect = { prp : { number : null == o.sect ? 1 : o.sect.prp.number + 1,
+                                start : "page" }, atts : { STYLE : null }, fresh : true,
+                                ftrs : [ ] };
+                        o.pgbrk = false;
+
+                        if (5 == ver)
+                                o.html.push(Tag_("SECTION", o.sect.atts, false, o.sect.prp));
+                        else
+                                o.html.push(Tag_("#SECT", null, true, o.sect.prp));
+                }
+
+                // ends the section with its footers (see HdrFtr_())
+                function SectEnd_()
+                {
+                        FldEnd_(o);
+                        for (var j = 0; j < o.sect.ftrs.length; j++)
+                                o.html.push.apply(o.html, o.sect.ftrs[j]);
+                        if (5 == ver)
+                                o.html.push(End_("SECTION"));
+                }
+
+                // the page break before a paragraph is done once it's started
+                // (but kept for the paragraph, see PgBrk_())
+                function PgBrkEnd_()
+                {
+                        o.ppb = PgBrk_();
+                        o.pgbrk = false;
+                        if (null != o.sect)
+                                o.sect.fresh = false;
+                }
+
+                // is every paragraph a block (see 'paragraphs' option)?
+                function Blocks_()
+                {
+                        return null == opt.paragraphs ? 5 == ver : true === opt.paragraphs;
+                }
+
+                // sets the properties of the paragraph's block (or its mark for
+                // the document tree) once it ends, as they can be given after
+                // its text started (e.g. "a \qc b\par")
+                function ParSet_()
+                {
+                        if (null != o.ptag)
+                        {
+                                if ("#PARA" != o.ptag[0])
+                                        o.ptag[1] = ParAtt_();
+                                o.ptag[3] = ParProps_();
+                        }
+                        o.ptag = null;
+                        o.ppb = null;
+                }
+
+                // closes the open paragraph block
+                function ParEnd_()
+                {
+                        ParSet_();
+                        if (!o.para)
+                                return;
+
+                        FldEnd_(o);
+                        o.html.push(End_(o.para));
+                        o.para = null;
+                }
+
+                // returns the attributes of the current paragraph's block with
+                // its alignment, indents and spacing (twips) as style
+                function ParAtt_()
+                {
+                        var p = o.pap;
+                        var sty = [ ];
+
+                        if (null != p.align && "left" != p.align && (5 == ver || "center" != p.align))
+                                sty.push("text-align:" + p.align);
+                        if (p.li)
+                                sty.push("margin-left:" + pt_(p.li));
+                        if (p.ri)
+                                sty.push("margin-right:" + pt_(p.ri));
+                        if (p.fi)
+                                sty.push("text-indent:" + pt_(p.fi));
+                        if (p.sb)
+                                sty.push("margin-top:" + pt_(p.sb));
+                        if (p.sa)
+                                sty.push("margin-bottom:" + pt_(p.sa));
+
+                        // \sl is "at least" when positive and "exactly" when
+                        // negative, or a multiple of single (240) with \slmult1
+                        if (p.sl)
+                        {
+                                sty.push("line-height:" + (p.slmult ?
+                                        Math.round(Math.abs(p.sl) / 240 * 100) / 100 :
+                                        pt_(Math.abs(p.sl))));
+                        }
+
+                        var pb = PgBrk_();
+                        if (null != pb.css)
+                                sty.push(pb.css);
+
+                        return { CLASS : null == Head_(o.doc, p.style) ? Class_(o.doc, p.style) : null,
+                                STYLE : sty.length > 0 ? sty.join(";") : null };
+                }
+
+                // returns the properties of the current paragraph for the
+                // document tree; lengths are points
+                function ParProps_()
+                {
+                        var p = o.pap;
+                        var st = null == o.doc.styles || null == p.style ? null : o.doc.styles[p.style];
+                        var prp = { };
+
+                        if (null != p.align)
+                                prp.align = p.align;
+                        if (null != st)
+                                prp.style = st.name;
+                        if (null != Head_(o.doc, p.style))
+                                prp.heading = Head_(o.doc, p.style);
+
+                        var len = { li : "left", ri : "right", fi : "indent", sb : "before", sa : "after" };
+                        for (var k in len)
+                                if (p[k])
+                                        prp[len[k]] = p[k] / 20;
+
+                        // line spacing as a multiple of single, or "at least"
+                        // (positive) or "exactly" (negative) points
+                        if (p.sl)
+                        {
+                                prp.line = p.slmult ? Math.abs(p.sl) / 240 : p.sl / 20;
+                                prp.multiple = true === p.slmult;
+                        }
+
+                        if (PgBrk_().brk)
+                                prp.pagebreak = true;
+
+                        return prp;
+                }
+
+                // returns the page break before the current paragraph: 'brk'
+                // when there is one and 'css' for its block (once it starts);
+                // for HTML 2.0 also that of the section it starts (for HTML5
+                // the <SECTION> has it).  Once the paragraph has started it's
+                // the one it started with (see PgBrkEnd_()).
+                function PgBrk_()
+                {
+                        if (null != o.ppb)
+                                return o.ppb;
+
+                        var brk = true === o.pap.pagebb || true === o.pgbrk;
+                        var pb = { brk : brk, css : brk && o.newpara ? pgbrk_("page") : null };
+                        if (5 != ver && null != o.sect && o.sect.fresh && o.sect.prp.number > 1)
+                                pb.css = pgbrk_(o.sect.prp.start) || pb.css;
+                        return pb;
+                }
+
+                // applies the formatting of a style and the ones it's based on;
+                // returns the character formatting it changed, by property, as
+                // [ before, after ]
+                function Style_(n)
+                {
+                        var was = { };
+                        for (var k in Main_.chp)
+                                was[k] = o.prp[k];
+
+                        var chain = [ ];
+                        for (var st = o.doc.styles ? o.doc.styles[n] : null;
+                                null != st && chain.indexOf(st) < 0;
+                                st = null == st.basedon ? null : o.doc.styles[st.basedon])
+                        {
+                                chain.unshift(st);
+                        }
+
+                        for (var j = 0; j < chain.length; j++)
+                                for (var k = 0; k < chain[j].tok.length; k++)
+                                        Main_(chain[j].tok[k], chain[j].src, chain[j].pos[k], o);
+
+                        var chg = { };
+                        for (var k in Main_.chp)
+                                if (was[k] !== o.prp[k])
+                                        chg[k] = [ was[k], o.prp[k] ];
+                        return chg;
+                }
+
+                // takes back the character formatting of the paragraph style
+                // (\s) when the paragraph's properties are reset (\pard) or
+                // another style is given; what the text set since stays
+                function StyleEnd_()
+                {
+                        for (var k in o.schp)
+                        {
+                                if (o.prp[k] !== o.schp[k][1])
+                                        continue;
+                                if (undefined === o.schp[k][0])
+                                        delete o.prp[k];
+                                else
+                                        o.prp[k] = o.schp[k][0];
+                        }
+                        o.schp = null;
+                }
+
+                // points HTML output (of this destination and others which add
+                // to it, e.g. pictures) at another string-builder
+                function Html_(a)
+                {
+                        o.html = o.doc.sbhtml = a;
+                        o.runkey = null;
+                }
+
+                // moves to a table nesting level, opening tables or closing them
+                // and writing them into the enclosing cell (or the body)
+                function Level_(n)
+                {
+                        if (o.tbls.length !== n)
+                        {
+                                FldEnd_(o);
+                                ParEnd_();
+                                ListEnd_(0);
+                        }
+
+                        while (o.tbls.length > n)
+                        {
+                                var tbl = o.tbls.pop();
+                                if (0 === o.tbls.length)
+                                        Html_(o.body);
+                                else
+                                        Html_(o.tbls[o.tbls.length-1].cur.html);
+
+                                o.html.push.apply(o.html, Table_(tbl));
+                        }
+
+                        while (o.tbls.length < n)
+                        {
+                                o.tbls.push({ lvl : o.tbls.length + 1, rows : [ ],
+                                        cells : [ ], cur : { html : [ ] } });
+                        }
+
+                        if (n > 0)
+                                Html_(o.tbls[n-1].cur.html);
+                }
+
+                // ends the current cell of the table at the given level
+                function Cell_(n)
+                {
+                        Level_(n);
+                        ListEnd_(0);
+                        EndPara_();
+                        o.lsync = false;
+
+                        var tbl = o.tbls[n-1];
+                        tbl.cells.push(tbl.cur);
+                        tbl.cur = { html : [ ] };
+                        Html_(tbl.cur.html);
+                }
+
+                // ends the current row of the table at the given level
+                function Row_(n)
+                {
+                        Level_(n);
+                        FldEnd_(o);
+
+                        var tbl = o.tbls[n-1];
+                        tbl.rows.push({ cells : tbl.cells, def : o.rdefs[n] });
+                        tbl.cells = [ ];
+                        tbl.cur = { html : [ ] };
+                        Html_(tbl.cur.html);
+                }
+
+                // returns the output for a table; cells span the columns of a grid
+                // made from every row's cell boundaries (\cellx)
+                function Table_(tbl)
+                {
+                        // cells not ended by \row
+                        if (tbl.cur.html.length > 0)
+                                tbl.cells.push(tbl.cur);
+                        if (tbl.cells.length > 0)
+                                tbl.rows.push({ cells : tbl.cells, def : o.rdefs[tbl.lvl] });
+
+                        var rows = [ ];
+                        var edges = { };
+                        var align = null;
+                        for (var r = 0; r < tbl.rows.length; r++)
+                        {
+                                var row = tbl.rows[r];
+                                var def = row.def || { left : 0, cells : [ ] };
+                                var x = def.left;
+                                var boxes = [ ];
+
+                                if (null == align)
+                                        align = def.align || "";
+
+                                for (var c = 0; c < row.cells.length; c++)
+                                {
+                                        var cd = def.cells[c] || { right : x + 1440 };
+                                        var box = { l : x, r : cd.right, cd : cd, cs : 1, rs : 1,
+                                                html : row.cells[c].html };
+
+                                        // horizontally merged into the previous cell
+                                        if (cd.mrg && boxes.length > 0)
+                                        {
+                                                var prev = boxes[boxes.length-1];
+                                                prev.r = box.r;
+                                                prev.html = prev.html.concat(box.html);
+                                        }
+                                        else
+                                        {
+                                                boxes.push(box);
+                                        }
+                                        x = cd.right;
+                                }
+
+                                for (var c = 0; c < boxes.length; c++)
+                                {
+                                        edges[boxes[c].l] = true;
+                                        edges[boxes[c].r] = true;
+                                }
+                                rows.push(boxes);
+                        }
+
+                        // grid column index of each edge
+                        var grid = [ ];
+                        for (var e in edges)
+                                grid.push(parseInt(e));
+                        grid.sort(function(a, b) { return a - b; });
+
+                        var col = { };
+                        for (var g = 0; g < grid.length; g++)
+                                col[grid[g]] = g;
+
+                        // vertical merges (the first cell spans the merged ones below)
+                        var vorg = { };
+                        for (var r = 0; r < rows.length; r++)
+                        {
+                                for (var c = 0; c < rows[r].length; c++)
+                                {
+                                        var box = rows[r][c];
+                                        box.cs = col[box.r] - col[box.l];
+
+                                        if (box.cd.vmrg && null != vorg[box.l])
+                                        {
+                                                vorg[box.l].rs++;
+                                                vorg[box.l].html = vorg[box.l].html.concat(box.html);
+                                                box.skip = true;
+                                        }
+                                        else if (box.cd.vmgf)
+                                        {
+                                                vorg[box.l] = box;
+                                        }
+                                        else
+                                        {
+                                                delete vorg[box.l];
+                                        }
+                                }
+                        }
+
+                        var h = [ Tag_("TABLE", { CELLSPACING : 0, ALIGN : align || null }, false,
+                                { align : align || null }) ];
+                        for (var r = 0; r < rows.length; r++)
+                        {
+                                h.push(Tag_("TR"));
+                                for (var c = 0; c < rows[r].length; c++)
+                                {
+                                        var box = rows[r][c];
+                                        if (box.skip)
+                                                continue;
+
+                                        var clr = (false !== opt.colors && o.doc.colors) || [ ];
+                                        var sty = [ ];
+                                        var sides = [ "top", "left", "bottom", "right" ];
+                                        var brdr = { };
+                                        for (var j = 0; j < sides.length; j++)
+                                        {
+                                                var b = box.cd.brdr ? box.cd.brdr[sides[j]] : null;
+                                                if (null == b)
+                                                        continue;
+                                                var bc = null != b.color && null != clr[b.color] ?
+                                                        hex_(clr[b.color]) : null;
+                                                brdr[sides[j]] = { style : b.style, width : b.width, color : bc };
+                                                sty.push("border-" + sides[j] + ":" + ("none" == b.style ?
+                                                        "none" : b.width + "px " + b.style + (null != bc ? " " + bc : "")));
+                                        }
+
+                                        var bg = null != box.cd.bg && null != clr[box.cd.bg] ?
+                                                hex_(clr[box.cd.bg]) : null;
+                                        h.push(Tag_("TD", {
+                                                WIDTH : Math.round((box.r - box.l) / 15),
+                                                COLSPAN : box.cs > 1 ? box.cs : null,
+                                                ROWSPAN : box.rs > 1 ? box.rs : null,
+                                                VALIGN : box.cd.valign,
+                                                BGCOLOR : bg,
+                                                STYLE : sty.length > 0 ? sty.join(";") : null
+                                        }, false, {
+                                                width : (box.r - box.l) / 20,
+                                                colspan : box.cs,
+                                                rowspan : box.rs,
+                                                valign : box.cd.valign || null,
+                                                background : bg,
+                                                borders : brdr
+                                        }));
+                                        h.push.apply(h, box.html);
+                                        h.push(End_("TD"));
+                                }
+                                h.push(End_("TR"));
+                        }
+                        h.push(End_("TABLE"));
+
+                        return h;
+                }
+        }
+
+        //-[NestProps_()]---------------------------------------------------------
+        //
+        // Nested table row definitions (and \nestrow) come in their own
+        // destination; they are passed on to the destination containing the
+        // table.
+        //
+        function NestProps_(t, s, i, o)
+        {
+                if (513 === t || 769 === t || null == o.main)
+                {
+                        Sub_(t, s, i, o);
+                        return;
+                }
+
+                o.main.nest = true;
+                Sub_(t, s, i, o);
+                o.main.nest = false;
+        }
+
+        //-[Note_()]--------------------------------------------------------------
+        //
+        // Footnotes (\footnote) and endnotes (\footnote\ftnalt) are interpreted
+        // like the main destination, but into events of their own which go in
+        // a list of notes at the end of the document (see NoteList_()).  The
+        // reference before a note (\chftn) gets its number and link once the
+        // note ends; a note without one (a mark of its own) has no link.
+        //
+        function Note_(t, s, i, o)
+        {
+                if (513 === t)
+                {
+                        o.note = { kind : "footnote", ref : o.doc.nref, html : o.doc.sbhtml };
+                        o.doc.nref = null;
+                }
+                else if (769 === t)
+                {
+                        Main_(t, s, i, o);
+                        o.doc.sbhtml = o.note.html;
+
+                        var ns = Notes_(o.doc)[o.note.kind];
+                        var n = ns.start + ns.list.length;
+                        var pre = (opt.classprefix || "") + ("footnote" == o.note.kind ? "fn" : "en");
+                        var note = { number : n, mark : num_(n, ns.nfc), id : pre + n, ref : null,
+                                evs : o.body };
+
+                        var ref = o.note.ref;
+                        if (null != ref)
+                        {
+                                note.ref = pre + "ref" + n;
+                                ref.html[ref.idx] = note.mark;
+                                ref.tag[1].HREF = "#" + note.id;
+                                ref.tag[1].NAME = note.ref;
+                                ref.tag[3].note = o.note.kind;
+                                ref.tag[3].number = n;
+                                ref.tag[3].mark = note.mark;
+                        }
+
+                        ns.list.push(note);
+                        return;
+                }
+                else if (6 === RtfTkTyp(t) && "ftnalt" == RtfTkCtl(t, s, i))
+                {
+                        o.note.kind = "endnote";
+                        return;
+                }
+
+                Main_(t, s, i, o);
+        }
+
+        //-[HdrFtr_()]------------------------------------------------------------
+        //
+        // Headers and footers (\header, \footer and their l, r and f variants
+        // for left, right and first pages) are interpreted like the main
+        // destination and belong to the section they're in: a header goes at
+        // its start and a footer at its end, as <HEADER> and <FOOTER> blocks.
+        // They're in the document tree, but only rendered with the 'headers'
+        // option (see Events_()).
+        //
+        function HdrFtr_(t, s, i, o)
+        {
+                if (513 === t)
+                {
+                        o.hf = { html : o.doc.sbhtml, prp : { pages : { l : "left",
+                                r : "right", f : "first" }[o.ctl.charAt(6)] || "all" } };
+                }
+                else if (769 === t)
+                {
+                        Main_(t, s, i, o);
+                        o.doc.sbhtml = o.hf.html;
+
+                        var tag = "header" == o.ctl.substr(0, 6) ? "HEADER" : "FOOTER";
+                        var pre = opt.classprefix || "";
+                        var cls = pre + tag.toLowerCase();
+                        if ("all" != o.hf.prp.pages)
+                                cls += " " + cls + "-" + o.hf.prp.pages;
+                        var evs = [ Tag_(tag, { CLASS : cls }, false, o.hf.prp) ]
+                                .concat(o.body, [ End_(tag) ]);
+
+                        // within a section's properties (and so before its text)
+                        if (null == main || null == main.sect)
+                                return;
+                        if ("HEADER" == tag)
+                                main.html.push.apply(main.html, evs);
+                        else
+                                main.sect.ftrs.push(evs);
+                        return;
+                }
+
+                Main_(t, s, i, o);
+        }
+
+        //-[Notes_()]-------------------------------------------------------------
+        //
+        // Returns the document's footnotes and endnotes, each with the number
+        // format (as a \levelnfc), the number to start at and the list so far.
+        //
+        function Notes_(doc)
+        {
+                if (null == doc.notes)
+                {
+                        doc.notes = { footnote : { nfc : 0, start : 1, list : [ ] },
+                                endnote : { nfc : 0, start : 1, list : [ ] } };
+                }
+                return doc.notes;
+        }
+
+        //-[Sub_()]---------------------------------------------------------------
+        //
+        // Handler for destinations within the main one whose content belongs
+        // to it (e.g. a field's result).  Tokens (or output events, see Main_)
+        // are passed on to the main destination, but with this destination's
+        // group-scoped properties.
+        //
+        function Sub_(t, s, i, o)
+        {
+                if (513 === t)
+                {
+                        for (var j = o.stk.length - 2; j >= 0 && null == o.main; j--)
+                                if (null != o.stk[j].body)
+                                        o.main = o.stk[j];
+                        return;
+                }
+                else if (769 === t || null == o.main)
+                {
+                        return;
+                }
+
+                var prp = o.main.prp;
+                o.main.prp = o.prp;
+                Main_(t, s, i, o.main);
+                o.main.prp = prp;
+        }
+
+        //-[Field_()]-------------------------------------------------------------
+        //
+        // Fields: the instruction (\fldinst) is collected and parsed, then the
+        // result (\fldrslt) is rendered like any other text.  Hyperlinks wrap
+        // their result in an anchor; any other field is just its result.
+        //
+        function Field_(t, s, i, o)
+        {
+                if (513 === t)
+                        o.fld = { inst : [ ] };
+        }
+
+        //-[FldInst_()]-----------------------------------------------------------
+        //
+        function FldInst_(t, s, i, o)
+        {
+                var fld = o.stk[o.stk.length-2].fld;
+                if (null == fld || 513 === t)
+                {
+                        return;
+                }
+                else if (769 === t)
+                {
+                        var inst = FldParse_(fld.inst.join(""));
+                        for (var k in inst)
+                                fld[k] = inst[k];
+                        return;
+                }
+
+                var typ = RtfTkTyp(t);
+                var val = RtfTkVal(t);
+                if (o.prp.ucskip > 0 && 1 !== typ && 6 !== typ)
+                {
+                        o.prp.ucskip--;
+                }
+                else if (1 === typ)
+                {
+                        var txt = RtfTkTxt(t, s, i);
+                        if (o.prp.ucskip > 0)
+                        {
+                                var n = Math.min(o.prp.ucskip, txt.length);
+                                o.prp.ucskip -= n;
+                                txt = txt.substr(n);
+                        }
+                        fld.inst.push(txt);
+                }
+                else if (5 === typ && 13 !== val)
+                {
+                        fld.inst.push(RtfTkChr(t, s, i));
+                }
+                else if (7 === typ)
+                {
+                        fld.inst.push(RtfCpStr(RtfFntCp(o.doc, o.prp.f), [ val ]));
+                }
+                else if (6 === typ)
+                {
+                        switch (RtfTkCtl(t, s, i))
+                        {
+                                case "f":
+                                        o.prp.f = val;
+                                        break;
+                                case "uc":
+                                        o.prp.uc = val;
+                                        break;
+                                case "u":
+                                        fld.inst.push(String.fromCharCode(val < 0 ? val + 65536 : val));
+                                        o.prp.ucskip = null == o.prp.uc ? 1 : o.prp.uc;
+                                        break;
+                        }
+                }
+        }
+
+        //-[FldRslt_()]-----------------------------------------------------------
+        //
+        function FldRslt_(t, s, i, o)
+        {
+                var fld = o.stk[o.stk.length-2].fld;
+                if (513 === t)
+                {
+                        Sub_(t, s, i, o);
+                        if (null == o.main || null == fld || null == fld.type)
+                                return;
+
+                        // any field is a node of the document tree
+                        var prp = { type : fld.type, inst : fld.inst.join("") };
+                        var tag = Tag_("#FIELD", null, false, prp);
+
+                        // bookmark (\l) within the target or the document
+                        var href = fld.args[0] || "";
+                        if ("string" === typeof fld.sw.l)
+                                href += "#" + fld.sw.l;
+
+                        // relative links are resolved against the base URL
+                        if ("" != href && !href.match(/^([a-z][a-z0-9+.\-]*:|#)/i))
+                                href = (null == opt.linkbase ? o.doc.baseurl : opt.linkbase) + href;
+
+                        // only web and mail links are kept; other schemes (e.g.
+                        // "javascript:") could run script where the HTML is shown,
+                        // so those fields are just their result (browsers ignore
+                        // white space and control characters in a scheme)
+                        var sch = /^([a-z][a-z0-9+.\-]*):/i.exec(href.replace(/[\x00-\x20]+/g, ""));
+                        if (null != sch && !/^(https?|mailto)$/i.test(sch[1]))
+                                href = "";
+
+                        if ("HYPERLINK" == fld.type && "" != href)
+                        {
+                                prp.href = href;
+                                if ("string" === typeof fld.sw.o)
+                                        prp.title = fld.sw.o;
+                                if ("string" === typeof fld.sw.t)
+                                        prp.target = fld.sw.t;
+                                tag = Tag_("A", { HREF : href, TITLE : prp.title,
+                                        TARGET : prp.target }, false, prp);
+                        }
+
+                        // opened before the result's first text or picture; a link
+                        // without either is dropped.  It's 'open' until the result
+                        // ends, but closed and opened again around blocks (see
+                        // FldEnd_())
+                        o.atag = { html : [ tag ], open : true };
+                        o.main.pend = o.main.pend || [ ];
+                        o.main.pend.push(o.atag);
+                }
+                else if (769 === t)
+                {
+                        if (null == o.atag)
+                                return;
+
+                        if (true === o.atag.done)
+                        {
+                                FmtEnd_(o.main);
+                                o.main.html.push(End_(o.atag.html[0][0]));
+                                o.main.flds.splice(o.main.flds.indexOf(o.atag), 1);
+                        }
+                        else if (null != o.main.pend && o.main.pend.indexOf(o.atag) >= 0)
+                                o.main.pend.splice(o.main.pend.indexOf(o.atag), 1);
+                }
+                else
+                {
+                        Sub_(t, s, i, o);
+                }
+        }
+
+        //-[FldParse_()]----------------------------------------------------------
+        //
+        // Parses a field instruction, e.g. HYPERLINK "http://x/" \o "Tip", into
+        // its type, arguments and switches (a switch followed by an argument has
+        // that as its value, otherwise true).
+        //
+        function FldParse_(txt)
+        {
+                var fld = { type : null, args : [ ], sw : { } };
+                var re = /"([^"]*)"|\\([a-z*@#!])|([^\s"]+)/gi;
+                var m = null;
+                var sw = null;
+
+                while (null != (m = re.exec(txt)))
+                {
+                        if (null != m[2])
+                        {
+                                sw = m[2].toLowerCase();
+                                fld.sw[sw] = true;
+                                continue;
+                        }
+
+                        var arg = null != m[1] ? m[1] : m[3];
+                        if (null == fld.type)
+                                fld.type = arg.toUpperCase();
+                        else if (null != sw)
+                                fld.sw[sw] = arg;
+                        else
+                                fld.args.push(arg);
+                        sw = null;
+                }
+
+                return fld;
+        }
+
+        //-[Bkmk_()]--------------------------------------------------------------
+        //
+        // Bookmarks become named anchors so that links to them (HYPERLINK \l)
+        // have somewhere to go.
+        //
+        function Bkmk_(t, s, i, o)
+        {
+                if (513 === t)
+                {
+                        Sub_(t, s, i, o);
+                        o.dat = [ ];
+                }
+                else if (769 === t)
+                {
+                        if (null == o.main || 0 === o.dat.length)
+                                return;
+
+                        o.main.pend = o.main.pend || [ ];
+                        o.main.pend.push({ html : [ Tag_("A", { NAME : o.dat.join("") }),
+                                End_("A") ] });
+                }
+                else if (1 === RtfTkTyp(t))
+                {
+                        o.dat.push(RtfTkTxt(t, s, i));
+                }
+        }
+
+        //-[Render_()]------------------------------------------------------------
+        //
+        // Returns the output of a renderer for the document's output events.
+        // Interpreting the RTF results in a list of events which is the same
+        // for every renderer: a string is text and an array is a tag, either
+        // [ name, atts, empty, props ] for an opening one or [ "/" + name ] for
+        // an end tag.  See HtmlRenderer() for the interface renderers implement.
+        //
+        // Tags whose name starts with "#" only mark things for the document
+        // tree (see Tree_()) and aren't passed on to renderers.  With the
+        // 'chapters' option the output is an array, one per chapter (see
+        // Chapters_()).
+        //
+        // evs .................... [ in] Output events.
+        // rnd .................... [ in] Renderer; "html", "text", "markdown",
+        //                                                      "tree" or an object.
+        //
+        function Render_(evs, rnd)
+        {
+                if (null != opt.chapters && false !== opt.chapters)
+                {
+                        var chs = Chapters_(evs, opt.chapters);
+                        for (var j = 0; j < chs.length; j++)
+                                chs[j] = Chapter_(chs[j], rnd);
+                        return chs;
+                }
+
+                return Chapter_(evs, rnd);
+        }
+
+        // returns what a renderer outputs for events, with its Done()
+        function Chapter_(evs, rnd)
+        {
+                if ("tree" == rnd)
+                        return Tree_(evs);
+
+                rnd = Renderer_(rnd);
+
+                var str = Events_(evs, rnd);
+                return null == rnd.Done ? str : rnd.Done(str);
+        }
+
+        // returns the renderer object for a name or the object itself
+        function Renderer_(rnd)
+        {
+                if ("html" == rnd)
+                        rnd = HtmlRenderer(ver, opt.tab);
+                else if ("text" == rnd)
+                        rnd = TextRenderer();
+                else if ("markdown" == rnd)
+                        rnd = MarkdownRenderer();
+                else if (null == rnd || "object" !== typeof rnd)
+                        throw Error("Unknown renderer: " + rnd);
+
+                return rnd;
+        }
+
+        // returns what a renderer outputs for events, without its Done()
+        function Events_(evs, rnd)
+        {
+                var a = [ ];
+                for (var j = 0; j < evs.length; j++)
+                {
+                        var ev = evs[j];
+                        if ("string" === typeof ev)
+                                a.push(rnd.Text(ev));
+                        else if ("#" == ev[0].charAt(0) || "/#" == ev[0].substr(0, 2))
+                                continue;
+                        else if (!opt.headers && ("HEADER" == ev[0] || "FOOTER" == ev[0]))
+                        {
+                                // headers and footers only with the 'headers' option
+                                while (j < evs.length && ("string" === typeof evs[j] ||
+                                        "/" + ev[0] != evs[j][0]))
+                                        j++;
+                        }
+                        else if ("/" == ev[0].charAt(0))
+                                a.push(rnd.Close(ev[0].substr(1)));
+                        else
+                                a.push(rnd.Open(ev[0], ev[1], ev[2]));
+                }
+
+                return a.join("");
+        }
+
+        //-[Stream_()]------------------------------------------------------------
+        //
+        // Returns the object of Rtf2HtmlStream(): Push(chunk) parses a chunk of
+        // RTF and returns the output which can't change anymore, End() returns
+        // the rest.  The main destination's events are given to the renderer
+        // and dropped as soon as they're final, i.e. up to the paragraph being
+        // written (tables and the like are only added to them once complete).
+        // The output of a renderer with Done() (text, markdown) is held until
+        // the end, as Done() needs all of it.
+        //
+        function Stream_()
+        {
+                var rnd = opt.renderer || "html";
+                if (rnd instanceof Array || "tree" == rnd)
+                        throw Error("Renderer can't be streamed: " + rnd);
+                if (null != opt.chapters && false !== opt.chapters)
+                        throw Error("Chapters can't be streamed");
+
+                rnd = Renderer_(rnd);
+                var held = [ ];
+
+                return { Push : Feed_, End : Finish_ };
+
+                function Feed_(chunk)
+                {
+                        parser.Push(chunk);
+
+                        // nothing is final before the first paragraph, which comes
+                        // after the tables in the header (fonts, etc.)
+                        if (null == main || null == main.lastpari ||
+                                null != parser.Document(true).events)
+                                return "";
+
+                        // events before the current paragraph, which an image
+                        // floating right is put in front of (see Img_())
+                        var n = main.body.length;
+                        if (main.html === main.body)
+                                n = Math.min(n, main.lastpari);
+
+                        // ... or the current paragraph's block, which gets its
+                        // properties when it ends (see ParSet_())
+                        var k = main.body.indexOf(main.ptag);
+                        if (k >= 0)
+                                n = Math.min(n, k);
+                        if (0 === n)
+                                return "";
+
+                        var evs = main.body.splice(0, n);
+                        if (main.html === main.body)
+                                main.lastpari -= n;
+
+                        // start of the block with the default font (see Main_())
+                        if (null == main.div)
+                        {
+                                main.div = Dflt_(main.doc) || "";
+                                if (5 == ver && "" != main.div)
+                                        evs.unshift(Tag_("DIV", { STYLE : main.div }));
+                                evs = Meta_(main.doc).concat(evs);
+                        }
+
+                        return Out_(evs);
+                }
+
+                function Finish_()
+                {
+                        var doc = parser.End();
+                        if (null != out && null != doc.warnings)
+                                out.warnings = doc.warnings;
+                        if (null != out && null != doc.info)
+                                out.info = doc.info;
+
+                        var str = Out_(doc.events || [ ]);
+                        if (null != rnd.Done)
+                                str = rnd.Done(held.join(""));
+                        return str;
+                }
+
+                function Out_(evs)
+                {
+                        var str = Events_(evs, rnd);
+                        if (null == rnd.Done)
+                                return str;
+
+                        held.push(str);
+                        return "";
+                }
+        }
+
+        //-[Tag_()]---------------------------------------------------------------
+        //
+        // Returns the output event for an opening tag; see Render_().  Tag and
+        // attribute names are given in HTML 2.0 terms and values aren't
+        // escaped.  Attributes which are null are left out by renderers.
+        //
+        // name ................... [ in] HTML 2.0 tag name (e.g. "TD").
+        // atts ................... [ in] Attributes by (HTML 2.0) name.
+        // empty .................. [ in] True for an element with no end tag.
+        // props .................. [ in] Properties of the element's node in the
+        //                                                      document tree (optional).
+        //
+        function Tag_(name, atts, empty, props)
+        {
+                return [ name, atts || { }, true === empty, props ];
+        }
+
+        // returns the output event for the end tag matching Tag_()
+        function End_(name)
+        {
+                return [ "/" + name ];
+        }
+
+        //-[Fmt_()]---------------------------------------------------------------
+        //
+        // Brings the HTML character formatting up to date with the group-scoped
+        // properties ('prp') of the main destination's frame; called before
+        // text is output.  Tags are opened in a fixed order and only the ones
+        // which differ (and those opened after them) are closed, so the output
+        // is always properly nested.  FmtEnd_() closes all of them.
+        //
+        function Fmt_(o)
+        {
+                // \highlight colors
+                if (null == Fmt_.hlc)
+                {
+                        Fmt_.hlc = [ null, "#000000", "#0000FF", "#00FFFF", "#00FF00",
+                                "#FF00FF", "#FF0000", "#FFFF00", "#FFFFFF", "#000080",
+                                "#008080", "#008000", "#800080", "#800000", "#808000",
+                                "#808080", "#C0C0C0" ];
+                }
+
+                // CSS of underline styles, the other effects and hidden text
+                if (null == Fmt_.css)
+                {
+                        Fmt_.css = { dotted : "text-decoration-style:dotted",
+                                dashed : "text-decoration-style:dashed",
+                                "double" : "text-decoration-style:double",
+                                wavy : "text-decoration-style:wavy",
+                                words : "text-decoration-skip:spaces",
+                                caps : "text-transform:uppercase",
+                                scaps : "font-variant:small-caps",
+                                outl : "-webkit-text-stroke:1px;-webkit-text-fill-color:transparent",
+                                shad : "text-shadow:1px 1px 1px #808080",
+                                v : "display:none" };
+                }
+
+                var prp = o.prp;
+                var want = [ ];
+
+                if (prp.b)
+                        want.push([ "B" ]);
+                if (prp.i)
+                        want.push([ "I" ]);
+                if (prp.ul)
+                        want.push([ "U", Fmt_.css[prp.uls] ]);
+                if (prp.strike || prp.striked)
+                        want.push([ "S", prp.striked ? Fmt_.css["double"] : null ]);
+                if ("super" == prp.sup || "sub" == prp.sup)
+                        want.push([ "super" == prp.sup ? "SUP" : "SUB" ]);
+
+                for (var k = 0; k < want.length; k++)
+                {
+                        var css = want[k][1];
+                        want[k] = [ Tag_(want[k][0], null == css ? null : { STYLE : css }),
+                                End_(want[k][0]), want[k][0] + " " + (css || "") ];
+                }
+
+                var sty = [ ];
+                var clr = (false !== opt.colors && o.doc.colors) || [ ];
+
+                // font and size only where they differ from the document's
+                if (false !== opt.fonts && null != prp.f && prp.f !== o.doc.deff &&
+                        null != Font_(o.doc, prp.f))
+                        sty.push("font-family:" + Font_(o.doc, prp.f));
+                if (false !== opt.sizes && null != prp.fs && prp.fs !== (o.doc.deffs || 24))
+                        sty.push("font-size:" + (prp.fs / 2) + "pt");
+
+                if (prp.cf > 0 && null != clr[prp.cf])
+                        sty.push("color:" + hex_(clr[prp.cf]));
+
+                if (prp.hl > 0 && null != Fmt_.hlc[prp.hl] && false !== opt.colors)
+                        sty.push("background-color:" + Fmt_.hlc[prp.hl]);
+                else if (prp.cb > 0 && null != clr[prp.cb])
+                        sty.push("background-color:" + hex_(clr[prp.cb]));
+
+                if (prp.up)
+                        sty.push("vertical-align:" + (prp.up / 2) + "pt");
+                var fx = [ "caps", "scaps", "outl", "shad", "v" ];
+                for (var k = 0; k < fx.length; k++)
+                        if (prp[fx[k]])
+                                sty.push(Fmt_.css[fx[k]]);
+
+                // character style
+                var cls = Class_(o.doc, prp.cs);
+                if (sty.length > 0 || null != cls)
+                {
+                        var span = { CLASS : cls, STYLE : sty.length > 0 ? sty.join(";") : null };
+                        want.push([ Tag_("SPAN", span), End_("SPAN"),
+                                "SPAN " + span.CLASS + " " + span.STYLE ]);
+                }
+
+                // keep what is open and still wanted, close the rest
+                var fmts = o.fmts || [ ];
+                var k = 0;
+                while (k < fmts.length && k < want.length && fmts[k][2] === want[k][2])
+                        k++;
+
+                while (fmts.length > k)
+                        o.html.push(fmts.pop()[1]);
+
+                for ( ; k < want.length; k++)
+                {
+                        o.html.push(want[k][0]);
+                        fmts.push(want[k]);
+                }
+
+                o.fmts = fmts;
+        }
+
+        //-[FmtEnd_()]------------------------------------------------------------
+        //
+        // Closes any HTML character formatting opened by Fmt_().
+        //
+        function FmtEnd_(o)
+        {
+                if (null == o.fmts)
+                        return;
+
+                while (o.fmts.length > 0)
+                        o.html.push(o.fmts.pop()[1]);
+        }
+
+        //-[FldEnd_()]------------------------------------------------------------
+        //
+        // Closes the HTML character formatting and the fields (e.g. a
+        // hyperlink's <A>) open in a destination before a block starts or
+        // ends, as they can't span blocks.  The fields are then pending again,
+        // so they open with the same tags before the next inline content.
+        //
+        function FldEnd_(o)
+        {
+                FmtEnd_(o);
+                if (null == o.flds || 0 === o.flds.length)
+                        return;
+
+                var pend = [ ];
+                while (o.flds.length > 0)
+                {
+                        var fld = o.flds.pop();
+                        o.html.push(End_(fld.html[0][0]));
+                        fld.done = false;
+                        pend.unshift(fld);
+                }
+                o.pend = pend.concat(o.pend || [ ]);
+        }
+
+        //-[RunProps_()]----------------------------------------------------------
+        //
+        // Returns the character properties of the main destination's text for
+        // the document tree: the font's name and size (points) in effect and
+        // only the other properties which are set.  Called after Fmt_().
+        //
+        function RunProps_(o)
+        {
+                var prp = o.prp;
+                var doc = o.doc;
+                var clr = doc.colors || [ ];
+                var run = { };
+
+                if (prp.b)
+                        run.bold = true;
+                if (prp.i)
+                        run.italic = true;
+                if (prp.ul)
+                        run.underline = prp.uls || true;
+                if (prp.strike || prp.striked)
+                        run.strike = prp.striked ? "double" : true;
+                if (null != prp.sup)
+                        run[prp.sup + "script"] = true;
+                if (prp.up)
+                        run.raise = prp.up / 2;
+
+                var fx = { caps : "caps", scaps : "smallcaps", outl : "outline",
+                        shad : "shadow", v : "hidden" };
+                for (var k in fx)
+                        if (prp[k])
+                                run[fx[k]] = true;
+
+                var f = null == prp.f ? doc.deff : prp.f;
+                if (null != doc.fonts && null != doc.fonts[f])
+                        run.font = doc.fonts[f].name;
+                run.size = (null == prp.fs ? doc.deffs || 24 : prp.fs) / 2;
+
+                if (prp.cf > 0 && null != clr[prp.cf])
+                        run.color = hex_(clr[prp.cf]);
+                if (prp.hl > 0 && null != Fmt_.hlc[prp.hl])
+                        run.background = Fmt_.hlc[prp.hl];
+                else if (prp.cb > 0 && null != clr[prp.cb])
+                        run.background = hex_(clr[prp.cb]);
+
+                if (null != doc.styles && null != doc.styles[prp.cs])
+                        run.style = doc.styles[prp.cs].name;
+
+                return run;
+        }
+
+        //-[num_()]---------------------------------------------------------------
+        //
+        // Formats a list item number in a \levelnfc style.
+        //
+        function num_(n, nfc)
+        {
+                switch (nfc)
+                {
+                        case 1:
+                        case 2:
+                                var r = "";
+                                var rv = [ 1000, 900, 500, 400, 100, 90, 50, 40, 10, 9, 5, 4, 1 ];
+                                var rs = [ "M", "CM", "D", "CD", "C", "XC", "L", "XL", "X", "IX",
+                                        "V", "IV", "I" ];
+                                for (var j = 0; j < rv.length; j++)
+                                        for ( ; n >= rv[j]; n -= rv[j])
+                                                r += rs[j];
+                                return 1 === nfc ? r : r.toLowerCase();
+
+                        case 3:
+                        case 4:
+                                var a = "";
+                                for ( ; n > 0; n = Math.floor((n - 1) / 26))
+                                        a = String.fromCharCode(65 + (n - 1) % 26) + a;
+                                return 3 === nfc ? a : a.toLowerCase();
+
+                        case 22:
+                                return (n < 10 ? "0" : "") + n;
+
+                        // Chicago Manual of Style (notes only): *, †, ‡, §, then
+                        // two of each and so on
+                        case "chi":
+                                var m = "*\u2020\u2021\u00A7".charAt((n - 1) % 4);
+                                return new Array(Math.floor((n - 1) / 4) + 2).join(m);
+                }
+
+                return String(n);
+        }
+
+        //-[Font_()]--------------------------------------------------------------
+        //
+        // Returns the CSS font-family stack for a font of the font table: its
+        // name followed by the generic family for its \froman, \fswiss, etc.
+        // (or monospace for a fixed pitch font); null when there's no such
+        // font.  The result is kept on the font object.
+        //
+        function Font_(doc, f)
+        {
+                var fnt = null == doc.fonts ? null : doc.fonts[f];
+                if (null == fnt)
+                        return null;
+
+                if (null == fnt.css)
+                {
+                        if (null == Font_.gen)
+                        {
+                                Font_.gen = { roman : "serif", swiss : "sans-serif",
+                                        modern : "monospace", script : "cursive", decor : "fantasy" };
+                        }
+
+                        var stk = [ ];
+                        var name = (fnt.name || "").replace(/['"\\;]/g, "").replace(/^\s+|\s+$/g, "");
+                        if (name.length > 0)
+                                stk.push(/^[A-Za-z][\w-]*$/.test(name) ? name : "'" + name + "'");
+
+                        var gen = Font_.gen[fnt.family] || (1 === fnt.pitch ? "monospace" : null);
+                        if (null != gen)
+                                stk.push(gen);
+
+                        fnt.css = stk.join(",");
+                }
+
+                return fnt.css.length > 0 ? fnt.css : null;
+        }
+
+        // returns <META> tags for the document's info (\info) when 'opt.meta'
+        // is set; dates are given in ISO 8601
+        function Meta_(doc)
+        {
+                var a = [ ];
+                if (true !== opt.meta || null == doc.info)
+                        return a;
+
+                if (null == Meta_.names)
+                {
+                        Meta_.names = { title : "title", subject : "subject", author : "author",
+                                manager : "manager", company : "company", category : "category",
+                                keywords : "keywords", doccomm : "description", created : "created",
+                                revised : "revised" };
+                }
+
+                for (var k in Meta_.names)
+                {
+                        var v = doc.info[k];
+                        if (v instanceof Date)
+                                v = isNaN(v.getTime()) ? null : v.toISOString();
+                        if (null != v && "" !== v)
+                                a.push(Tag_("META", { NAME : Meta_.names[k], CONTENT : v }, true));
+                }
+                return a;
+        }
+
+        // returns the style of the document's default font (\deff, \deffs)
+        function Dflt_(doc)
+        {
+                var sty = [ ];
+                if (false !== opt.fonts && null != doc.deff && null != Font_(doc, doc.deff))
+                        sty.push("font-family:" + Font_(doc, doc.deff));
+                if (false !== opt.sizes && null != doc.deffs)
+                        sty.push("font-size:" + (doc.deffs / 2) + "pt");
+
+                return sty.length > 0 ? sty.join(";") : null;
+        }
+
+        // returns the level of a "Heading 1" to "Heading 6" style or null
+        function Head_(doc, n)
+        {
+                var st = null == doc.styles || null == n ? null : doc.styles[n];
+                var m = null == st ? null : /^heading ([1-6])$/i.exec(st.name);
+                return null == m ? null : +m[1];
+        }
+
+        // returns the CSS class for a style (its name, lowercased and with
+        // dashes between words) or null for the default styles
+        function Class_(doc, n)
+        {
+                var st = null == doc.styles || null == n ? null : doc.styles[n];
+                if (null == st || /^(normal|default paragraph font)$/i.test(st.name))
+                        return null;
+
+                var cls = st.name.toLowerCase().replace(/[^a-z0-9_\u0080-\uffff]+/g, "-")
+                        .replace(/^-+|-+$/g, "");
+                return cls.length > 0 ? (opt.classprefix || "") + cls : null;
+        }
+
+        // returns a length in twips as CSS points
+        function pt_(twips)
+        {
+                return Math.round(twips / 20 * 100) / 100 + "pt";
+        }
+
+        // returns the CSS of a page break before a section that starts on a
+        // new ("page"), even or odd page, or null for one that doesn't
+        function pgbrk_(start)
+        {
+                var v = { page : "always", even : "left", odd : "right" }[start];
+                return null == v ? null : "page-break-before:" + v;
+        }
+
+        //-[hex_()]---------------------------------------------------------------
+        //
+        // Returns the "#RRGGBB" form of a color table entry.
+        //
+        function hex_(clr)
+        {
+                return "#" + (0x1000000 | (clr.r << 16) | (clr.g << 8) | clr.b)
+                        .toString(16).substr(1).toUpperCase();
+        }
+
+        //-[Bullets_()]-----------------------------------------------------------
+        //
+        // Old-style (\pn) bullets; ignored when there's a list table.
+        //
+        function Bullets_(t, s, i, o)
+        {
+                if (513 === t && null == o.doc.lists)
+                {
+                        FldEnd_(o.stk[o.stk.length-2]);
+                        o.stk[o.stk.length-2].bullets = true;
+                        o.stk[o.stk.length-2].html.push(Tag_("UL"), Tag_("LI"));
+                }
+        }
+
+        //-[Bullets_()]-----------------------------------------------------------
+        function ListText_(t, s, i, o)
+        {
+                if (513 === t && null == o.doc.lists)
+                {
+                        FldEnd_(o.stk[o.stk.length-2]);
+                        var bullets = o.stk[o.stk.length-2].bullets;
+                        o.stk[o.stk.length-2].bullets = true;
+                        if (!bullets) {
+                                o.stk[o.stk.length-2].html.push(Tag_("UL"), Tag_("LI"));
+                        } else {
+                                o.stk[o.stk.length-2].html.push(End_("LI"), Tag_("LI"));
+                        }
+                }
+        }
+
+        //-[Pict_()]--------------------------------------------------------------
+        //
+        // Decodes a picture's hex (or \bin) data and outputs an image sized
+        // from \picw/\pich, \picwgoal/\pichgoal and \picscalex/\picscaley.
+        // The image goes to the destination it's in like its text would (see
+        // Sub_()).
+        //
+        function Pict_(t, s, i, o)
+        {
+                if (513 === t)
+                {
+                        Sub_(t, s, i, o);
+
+                        // pictures in an object's result or \nonshppict are only
+                        // stand-ins for something rendered elsewhere, though the
+                        // latter is used when the \shppict one was left out
+                        if (/;nonshppict;pict$/.test(o.pth))
+                                o.skip = true !== o.doc.pictalt;
+                        else
+                                o.skip = /;(result|listpicture);pict$/.test(o.pth);
+                        o.doc.pictalt = false;
+                        o.pict = { sx : 100, sy : 100 };
+                        o.nib = -1;
+                        o.a = [ ];
+                        o.hs = [ ];
+                        return;
+                }
+                else if (769 === t)
+                {
+                        // a picture in hidden text (\v) is left out like the
+                        // text, and so isn't written out to the files either
+                        if (o.prp.v && !opt.hidden)
+                                return;
+
+                        if (!o.skip && null != o.pict.type)
+                        {
+                                if (o.a.length > 0)
+                                        o.hs.push(String.fromCharCode.apply(null, o.a));
+                                var img = PictOut_(o.pict, o.hs.join(""), o.doc);
+                                if (null != img)
+                                        Sub_(img, s, i, o);
+                                else
+                                        o.doc.pictalt = /;shppict;pict$/.test(o.pth);
+                        }
+                        return;
+                }
+                else if (o.skip)
+                {
+                        return;
+                }
+
+                var typ = RtfTkTyp(t);
+                if (1 === typ)
+                {
+                        // hex digits, possibly split across tokens and lines
+                        for (var j = i, end = i + RtfTkLen(t); j < end; j++)
+                        {
+                                var c = s.charCodeAt(j);
+                                if (c >= 0x30 && c <= 0x39)
+                                        c -= 0x30;
+                                else if (c >= 0x41 && c <= 0x46)
+                                        c -= 0x37;
+                                else if (c >= 0x61 && c <= 0x66)
+                                        c -= 0x57;
+                                else
+                                        continue;
+
+                                if (o.nib < 0)
+                                {
+                                        o.nib = c;
+                                }
+                                else
+                                {
+                                        Byte_((o.nib << 4) | c);
+                                        o.nib = -1;
+                                }
+                        }
+                        return;
+                }
+                else if (6 !== typ)
+                {
+                        return;
+                }
+
+                var ctl = RtfTkCtl(t, s, i);
+                var val = RtfTkVal(t);
+
+                switch (ctl)
+                {
+                        case "pngblip":
+                                o.pict.type = "image/png";
+                                o.pict.ext = "png";
+                                break;
+                        case "jpegblip":
+                                o.pict.type = "image/jpeg";
+                                o.pict.ext = "jpg";
+                                break;
+                        case "emfblip":
+                                o.pict.type = "image/emf";
+                                o.pict.ext = "emf";
+                                o.pict.meta = true;
+                                break;
+                        case "wmetafile":
+                                o.pict.type = "image/wmf";
+                                o.pict.ext = "wmf";
+                                o.pict.meta = true;
+                                break;
+
+                        case "picw":      o.pict.w = Size_();  break;
+                        case "pich":      o.pict.h = Size_();  break;
+                        case "picwgoal":  o.pict.gw = Size_(); break;
+                        case "pichgoal":  o.pict.gh = Size_(); break;
+                        case "picscalex": o.pict.sx = Size_() || 100; break;
+                        case "picscaley": o.pict.sy = Size_() || 100; break;
+
+                        // raw bytes follow the control word (the parser skips them)
+                        case "bin":
+                                var beg = i + RtfTkLen(t);
+                                for (var j = beg, end = beg + RtfTkBin(t, s, i); j < end; j++)
+                                        Byte_(s.charCodeAt(j) & 0xFF);
+                                break;
+                }
+
+                // a size read from the source, as it can go past what a token
+                // holds; null unless it's positive
+                function Size_()
+                {
+                        var m = /(-?\d+) ?$/.exec(s.substr(i, RtfTkLen(t)));
+                        var n = null == m ? val : +m[1];
+                        return n > 0 ? n : null;
+                }
+
+                function Byte_(b)
+                {
+                        o.a.push(b);
+                        if (o.a.length > 500)
+                        {
+                                o.hs.push(String.fromCharCode.apply(null, o.a));
+                                o.a = [ ];
+                        }
+                }
+        }
+
+        //-[PictOut_()]-----------------------------------------------------------
+        //
+        // Returns the <IMG> tag of a decoded picture, or null when there are
+        // no images.  The picture is a data URI unless there's an output
+        // object, in which case it's added to the files like any packaged
+        // item.  Metafiles (EMF, WMF) are only written out as files, as no
+        // browser shows them; null is returned for them otherwise.  Sizes
+        // are limited to 32767 pixels.
+        //
+        function PictOut_(pict, data, doc)
+        {
+                if ("none" == opt.images || (pict.meta && null == doc.outo))
+                        return null;
+
+                // goal sizes are twips (15 to a pixel); without them the picture's
+                // own size is pixels for bitmaps and HIMETRIC for metafiles
+                var w = null, h = null;
+                if (null != pict.gw && null != pict.gh)
+                {
+                        w = pict.gw / 15;
+                        h = pict.gh / 15;
+                }
+                else if (null != pict.w && null != pict.h)
+                {
+                        w = pict.meta ? pict.w * 96 / 2540 : pict.w;
+                        h = pict.meta ? pict.h * 96 / 2540 : pict.h;
+                }
+
+                var src = null;
+                if (null != doc.outo)
+                {
+                        doc.npict = (doc.npict || 0) + 1;
+
+                        var item =
+                        {
+                                name : "image" + doc.npict + "." + pict.ext,
+                                type : pict.type,
+                                data : data
+                        };
+                        item.path = item.name;
+
+                        if (null == doc.outo.files)
+                                doc.outo.files = [ item ];
+                        else
+                                doc.outo.files.push(item);
+
+                        src = (doc.baseurl || "") + item.name;
+                }
+                else
+                {
+                        src = "data:" + pict.type + ";base64," + b64_(data);
+                }
+
+                w = null == w ? null : Math.min(Math.round(w * pict.sx / 100), 32767);
+                h = null == h ? null : Math.min(Math.round(h * pict.sy / 100), 32767);
+                return Tag_("IMG", { SRC : src, WIDTH : w, HEIGHT : h }, true,
+                        { src : src, type : pict.type, width : w, height : h });
+        }
+
+        //-[b64_()]---------------------------------------------------------------
+        //
+        // Base64 encodes a binary string (one byte per character).
+        //
+        function b64_(data)
+        {
+                if ("undefined" !== typeof Buffer)
+                        return Buffer.from(data, "latin1").toString("base64");
+
+                return btoa(data);
+        }
+
+        //-[Pkg_()]---------------------------------------------------------------
+        //
+        function Pkg_(t, s, i, o)
+        {
+                if (513 === t)
+                {
+                        return;
+                }
+                else if (769 === t)
+                {
+                        return;
+                }
+
+                var ctl = RtfTkCtl(t, s, i);
+                var val = RtfTkVal(t);
+
+                switch (ctl)
+                {
+                        case null:
+                                break;
+                        case "objemb":
+                                break;
+                        case "objclass":
+                                break;
+                        case "objw":
+                                break;
+                        case "objh":
+                                break;
+                        default:
+                                trace("Unhandled CTL: " + ctl);
+                }
+        }
+
+        //-[PkgData_()]-----------------------------------------------------------
+        //
+        function PkgData_(t, s, i, o)
+        {
+                if (513 === t)
+                {
+                        o.dat = [ ];
+                }
+                else if (769 === t)
+                {
+                        var pfrm = o.stk[o.stk.length - 2];
+
+                        // output a package
+                        if ("Package" == pfrm.objclass)
+                        {
+                                var dat = o.dat.join("");
+                                var pkg = RtfPkgOb(dat, 0, dat.length);
+                                for (var j = 0; j < pkg.items.length; j++)
+                                {
+                                        var item = pkg.items[j];
+                                        var img = null != item.name.match(/\.(gif|png|jpe?g)$/i);
+                                        if (img && "none" == opt.images)
+                                                continue;
+
+                                        if (null != o.doc.outo)
+                                        {
+                                                if (null == o.doc.outo.files)
+                                                        o.doc.outo.files = [ item ];
+                                                else
+                                                        o.doc.outo.files.push(item);
+                                        }
+
+                                        if (img)
+                                        {
+                                                o.doc.limg = item;
+                                        }
+                                        else
+                                        {
+                                                o.doc.sbhtml.push("{", Tag_("A", { HREF : o.doc.baseurl +
+                                                        pkg.items[j].name }), pkg.items[j].name, End_("A"), "}");
+                                        }
+                                }
+                        }
+
+                }
+                else if (1 === RtfTkTyp(t))
+                {
+                        // the hex digits of the package
+                        o.dat.push(RtfTkTxt(t, s, i));
+                }
+        }
+
+
+} // Rtf2Html
+
+//_[Rtf2Tree()]_______________________________________________________________
+//
+// Converts RTF into a document tree rather than HTML; the same as Rtf2Html()
+// with the "tree" renderer.  Every node is an object with a 'type', its
+// 'props' and (except for leaves) its 'children':
+//
+//      document .... The root; its children are sections.
+//      section ..... Paragraphs, lists, tables, headers and footers; props are
+//                    the number and how it starts (start): on a new "page",
+//                    an "even" or "odd" page, a new "column" or "continuous".
+//      header ...... Paragraphs, lists and tables at the top of the section's
+//      footer ...... pages, or the bottom; props are the pages ("all", "left",
+//                    "right" or "first").
+//      paragraph ... Runs, fields, note references, images, bookmarks and line
+//                    breaks; props are align, style (name), heading (1 to 6),
+//                    the left, right, first line indent, before and after
+//                    spacing in points, line spacing (line, in points or as
+//                    a multiple) and pagebreak (before it).
+//      run ......... Text of the same character formatting ('text'); props are
+//                    font (name), size (points) and those set of bold, italic,
+//                    underline (true or its style: "dotted", "dashed",
+//                    "double", "wavy" or "words"), strike (true or "double"),
+//                    superscript, subscript, raise (points, negative when
+//                    lowered), caps, smallcaps, outline, shadow, hidden (with
+//                    the 'hidden' option), color, background ("#RRGGBB") and
+//                    style (name).
+//      field ....... The result of a field; props are its type (e.g. PAGE or
+//                    HYPERLINK), inst (instruction) and for a link the href,
+//                    title and target.
+//      noteref ..... The number (mark) of a footnote or endnote; props are note
+//                    ("footnote" or "endnote"), number and mark, or back (true)
+//                    for the link from the note back to it.
+//      image ....... A picture; props are src, type, width and height (pixels).
+//      bookmark .... A named position ('name').
+//      break ....... A line break.
+//      list ........ Items; props are ordered, start, format (list-style-type),
+//                    level and ls (list override number), or notes ("footnote"
+//                    or "endnote") for the notes at the end of the document.
+//      item ........ Paragraphs, lists and tables; props are the number and the
+//                    marker (when written out).
+//      table ....... Rows; props are align.
+//      row ......... Cells.
+//      cell ........ Paragraphs, lists and tables; props are width (points),
+//                    colspan, rowspan, valign, background and borders.
+//
+// txt .................... [ in] RTF text.
+// opt .................... [ in] Options as for Rtf2Html() (optional).
+//
+function Rtf2Tree(txt, opt)
+{
+        var o = { };
+        for (var k in opt)
+                o[k] = opt[k];
+        o.renderer = "tree";
+
+        return module.exports(txt, o);
+}
+
+//_[Rtf2Chapters()]___________________________________________________________
+//
+// Converts RTF into an array of chapters, e.g. for a manuscript stored one
+// chapter at a time; the same as Rtf2Html() with the 'chapters' option,
+// which is true (split at section breaks, page breaks and "Heading 1"
+// paragraphs) unless given (false gives the output of Rtf2Html()).  Each
+// chapter is the output of the renderer, with the blocks around it (HTML5's
+// <SECTION> and the <DIV> with the default font) of its own; footnotes and
+// endnotes are in the last one.
+//
+// txt .................... [ in] RTF text.
+// opt .................... [ in] Options as for Rtf2Html() (optional).
+//
+function Rtf2Chapters(txt, opt)
+{
+        var o = { };
+        for (var k in opt)
+                o[k] = opt[k];
+        if (null == o.chapters)
+                o.chapters = true;
+
+        return module.exports(txt, o);
+}
+
+//_[Rtf2HtmlStream()]_________________________________________________________
+//
+// Converts RTF which arrives in chunks, e.g. from a file or a socket, without
+// holding on to all of it or all of the HTML.  Returns an object with:
+//
+//      Push(chunk) ..... Adds the next chunk of RTF text (a string) and returns
+//                        the HTML which is complete so far, possibly "".
+//                        Tokens cut in two by chunks, e.g. \'hh or the hex
+//                        data of a picture, are carried over to the next one.
+//      End() ........... Ends the RTF and returns the rest of the HTML.
+//
+// Text already parsed is let go of, and so is the HTML once it's returned;
+// only what a table, field or the like needs until it ends is kept.  Output
+// of the "text" and "markdown" renderers all comes from End(), and the
+// "tree" renderer can't be streamed.
+//
+// opt .................... [ in] Options as for Rtf2Html() (optional).
+//
+function Rtf2HtmlStream(opt)
+{
+        var o = { };
+        for (var k in opt)
+                o[k] = opt[k];
+        o.stream = true;
+
+        return module.exports("", o);
+}
+
+//_[Rtf2HtmlAsync()]__________________________________________________________
+//
+// Converts RTF without blocking: returns a Promise of what Rtf2Html() would
+// return, parsing a slice at a time and letting other work run in between.
+// Give 'opt.signal' (an AbortSignal) to be able to cancel it, which rejects
+// the promise with the signal's reason, and 'opt.progress' to be told how
+// far along it is, e.g.
+//
+//      Rtf2HtmlAsync(txt, { signal : ctl.signal, progress : function(f)
+//              { bar.value = f; } }).then(function(html) { ... });
+//
+// Rendering the output at the end isn't split up.
+//
+// txt .................... [ in] RTF text.
+// opt .................... [ in] Options as for Rtf2Html() (optional).
+//
+function Rtf2HtmlAsync(txt, opt)
+{
+        var o = { };
+        for (var k in opt)
+                o[k] = opt[k];
+        o.async = true;
+
+        try
+        {
+                return module.exports(txt, o);
+        }
+        catch (e)
+        {
+                return Promise.reject(e);
+        }
+}
+
+//_[createStream()]___________________________________________________________
+//
+// Returns Rtf2HtmlStream() as a Node.js Transform stream: RTF is written to
+// it and HTML read from it, e.g.
+//
+//      fs.createReadStream("a.rtf").pipe(createStream()).pipe(process.stdout);
+//
+// Buffers are read as Latin-1, one character per byte, as RTF is 7-bit text
+// with anything else escaped (except the data of \binN).
+//
+// opt .................... [ in] Options as for Rtf2Html() (optional).
+//
+function createStream(opt)
+{
+        var Transform = require("stream").Transform;
+        var cnv = Rtf2HtmlStream(opt);
+
+        return new Transform(
+        {
+                decodeStrings : false,
+                transform : function(chunk, enc, done)
+                {
+                        try
+                        {
+                                var str = cnv.Push("string" === typeof chunk ?
+                                        chunk : chunk.toString("latin1"));
+                                if (str.length > 0)
+                                        this.push(str);
+                        }
+                        catch (e)
+                        {
+                                return done(e);
+                        }
+                        done();
+                },
+                flush : function(done)
+                {
+                        try
+                        {
+                                var str = cnv.End();
+                                if (str.length > 0)
+                                        this.push(str);
+                        }
+                        catch (e)
+                        {
+                                return done(e);
+                        }
+                        done();
+                }
+        });
+}
+
+//_[HtmlRenderer()]___________________________________________________________
+//
+// Returns a renderer which turns Rtf2Html()'s output events into HTML.  A
+// renderer is an object with these methods, each returning its output as a
+// string:
+//
+//      Open(name, atts, empty) ..... Opening tag.  'name' is an HTML 2.0 tag
+//                                    (B, I, U, S, SUP, SUB, SPAN, P, DIV, H1 to
+//                                    H6, CENTER, BR, A, IMG, OL, UL, LI, TABLE,
+//                                    TR, TD or SECTION, HEADER and FOOTER,
+//                                    which aren't HTML 2.0) and
+//                                    'atts' has its attributes by HTML 2.0 name;
+//                                    null ones are to be left out and none are
+//                                    escaped.  'empty' is true for an element
+//                                    without an end tag (IMG).
+//      Close(name) ................. End tag.
+//      Text(txt) ................... Text, not escaped.  Line breaks in it come
+//                                    from the RTF source and aren't significant.
+//      Done(str) ................... Optional; returns the final output given
+//                                    everything the other methods returned.
+//
+// Tags always arrive properly nested.  A renderer is used for one conversion
+// only, so it may keep state.
+//
+// ver .................... [ in] HTML version; 2 or 5 (see Rtf2Html()).
+// tab .................... [ in] HTML for a tab; default is four &nbsp;.
+//
+function HtmlRenderer(ver, tab)
+{
+        // HTML5 names of HTML 2.0 tags
+        if (null == HtmlRenderer.h5)
+                HtmlRenderer.h5 = { B : "strong", I : "em" };
+
+        if (null == tab)
+                tab = "&nbsp;&nbsp;&nbsp;&nbsp;";
+
+        return { Open : Open_, Close : Close_, Text : Text_ };
+
+        // for HTML5, tag and attribute names are lowercased, bold and italics
+        // become <strong> and <em>, and the presentational attributes turn into
+        // style properties
+        function Open_(name, atts, empty)
+        {
+                var a = [ ];
+                var sty = [ ];
+
+                if (5 == ver)
+                        name = HtmlRenderer.h5[name] || name.toLowerCase();
+
+                for (var k in atts)
+                {
+                        var v = atts[k];
+                        if (null == v)
+                                continue;
+
+                        v = attr_(String(v));
+                        if (5 != ver)
+                        {
+                                a.push(k + "=\"" + v + "\"");
+                                continue;
+                        }
+
+                        switch (k)
+                        {
+                                case "STYLE":
+                                        sty.push(v);
+                                        break;
+                                case "BGCOLOR":
+                                        sty.push("background-color:" + v);
+                                        break;
+                                case "VALIGN":
+                                        sty.push("vertical-align:" + v);
+                                        break;
+                                case "CELLSPACING":
+                                        sty.push("border-collapse:collapse");
+                                        break;
+                                case "HSPACE":
+                                        sty.push("margin-left:" + v + "px;margin-right:" + v + "px");
+                                        break;
+                                case "VSPACE":
+                                        sty.push("margin-top:" + v + "px;margin-bottom:" + v + "px");
+                                        break;
+                                case "ALIGN":
+                                        v = v.toLowerCase();
+                                        if ("img" == name)
+                                                sty.push("float:" + v);
+                                        else if ("center" == v)
+                                                sty.push("margin-left:auto;margin-right:auto");
+                                        else if ("right" == v)
+                                                sty.push("margin-left:auto");
+                                        break;
+                                case "WIDTH":
+                                        if ("img" == name)
+                                                a.push("width=\"" + v + "\"");
+                                        else
+                                                sty.push("width:" + v + "px");
+                                        break;
+                                case "NAME":
+                                        a.push(("meta" == name ? "name" : "id") + "=\"" + v + "\"");
+                                        break;
+                                default:
+                                        a.push(k.toLowerCase() + "=\"" + v + "\"");
+                                        break;
+                        }
+                }
+
+                if (sty.length > 0)
+                        a.push("style=\"" + sty.join(";") + "\"");
+
+                return "<" + name + (a.length > 0 ? " " + a.join(" ") : "") +
+                        (empty && 5 != ver ? " />" : ">");
+        }
+
+        function Close_(name)
+        {
+                if (5 == ver)
+                        name = HtmlRenderer.h5[name] || name.toLowerCase();
+
+                return "</" + name + ">";
+        }
+
+        function Text_(txt)
+        {
+                return txt.replace(/&/g, '&amp;')             // ampersands
+                                .replace(/</g, '&lt;')          // open bracket
+                                .replace(/>/g, '&gt;')          // close bracket
+                                .replace(/\"/g, '&quot;')       // quote
+                                .replace(/  /g, " &nbsp;")
+                                .replace(/\u00A0/g, "&nbsp;")
+                                .replace(/\t/g, tab)
+                                ;
+        }
+
+        function attr_(s)
+        {
+                return s.replace(/&/g, '&amp;')
+                                .replace(/</g, '&lt;')
+                                .replace(/>/g, '&gt;')
+                                .replace(/\"/g, '&quot;');
+        }
+
+} // HtmlRenderer()
+
+//_[TextRenderer()]___________________________________________________________
+//
+// Returns a renderer of plain text (see HtmlRenderer()), e.g. for indexing.
+// Blocks are on lines of their own, list items get a "- " or number in
+// front and table cells are separated by tabs.
+//
+function TextRenderer()
+{
+        var bol = true;                 // at the beginning of a line?
+        var lsts = [ ];                 // open lists
+        var cell = 0;                   // depth of table cells
+
+        return { Open : Open_, Close : Close_, Text : Text_, Done : Done_ };
+
+        function Open_(name, atts, empty)
+        {
+                switch (name)
+                {
+                        case "BR":
+                                return cell > 0 ? " " : nl_(true);
+                        case "OL":
+                        case "UL":
+                                lsts.push({ ol : "OL" == name, n : atts.START || 1,
+                                        mrk : /none/.test(atts.STYLE || "") });
+                                return nl_();
+                        case "LI":
+                                var lst = lsts[lsts.length-1];
+                                var str = nl_() + new Array(lsts.length).join("  ");
+                                if (null != lst && !lst.mrk)
+                                        str += lst.ol ? (lst.n++) + ". " : "- ";
+                                bol = false;
+                                return str;
+                        case "TD":
+                                cell++;
+                                bol = true;
+                                return "";
+                }
+                return Block_(name) ? nl_() : "";
+        }
+
+        function Close_(name)
+        {
+                switch (name)
+                {
+                        case "OL":
+                        case "UL":
+                                lsts.pop();
+                                return nl_();
+                        case "TD":
+                                cell--;
+                                return "\t";
+                        case "TR":
+                                return nl_(true);
+                }
+                return Block_(name) ? nl_() : "";
+        }
+
+        function Text_(txt)
+        {
+                // line breaks in the RTF source aren't text
+                txt = txt.replace(/[\r\n]/g, "");
+                if (txt.length > 0)
+                        bol = false;
+                return txt;
+        }
+
+        function Done_(str)
+        {
+                return str.replace(/[ \t]+\n/g, "\n").replace(/ +\t/g, "\t")
+                        .replace(/\n{3,}/g, "\n\n").replace(/^\s+|\s+$/g, "");
+        }
+
+        // starts a new line unless at the beginning of one already
+        function nl_(always)
+        {
+                if (cell > 0)
+                        return bol ? "" : " ";
+                if (bol && true !== always)
+                        return "";
+                bol = true;
+                return "\n";
+        }
+
+} // TextRenderer()
+
+//_[MarkdownRenderer()]_______________________________________________________
+//
+// Returns a renderer of Markdown (see HtmlRenderer()): bold, italics and
+// strike-through, headings, lists, links, images and tables.  Formatting
+// Markdown has no syntax for (underline, colors, fonts, alignment, etc.) is
+// left out.
+//
+function MarkdownRenderer()
+{
+        if (null == MarkdownRenderer.mks)
+                MarkdownRenderer.mks = { B : "**", I : "*", S : "~~" };
+
+        var mks = MarkdownRenderer.mks;
+        var nl = 2;                             // line breaks at the end of the output so far
+        var ws = "";                    // whitespace held back from the end of text
+        var mk = "";                    // emphasis opened but without text yet
+        var lsts = [ ];                 // open lists
+        var hrefs = [ ];                // targets of open links
+        var cols = [ ];                 // spans of the current table row's cells
+        var rows = 0;                   // rows of the current table
+        var cell = 0;                   // depth of table cells
+        var cst = false;                // at the start of a cell?
+
+        return { Open : Open_, Close : Close_, Text : Text_, Done : Done_ };
+
+        function Open_(name, atts, empty)
+        {
+                if (null != mks[name])
+                {
+                        mk += mks[name];
+                        return "";
+                }
+
+                switch (name)
+                {
+                        case "BR":
+                                ws = "";
+                                if (cell > 0)
+                                        return put_("<br>");
+                                return put_("  \n") + put_(ind_(lsts.length));
+                        case "A":
+                                hrefs.push(null == atts.HREF ? null : atts);
+                                if (null == atts.HREF)
+                                        return "";
+                                return put_(flush_() + "[");
+                        case "IMG":
+                                return put_(flush_() + "![](" + url_(atts.SRC) + ")");
+                        case "OL":
+                        case "UL":
+                                lsts.push({ ol : "OL" == name, n : atts.START || 1, w : 2,
+                                        mrk : /none/.test(atts.STYLE || "") });
+                                return 1 === lsts.length ? brk_(2) : "";
+                        case "LI":
+                                var lst = lsts[lsts.length-1];
+                                var m = lst.ol && !lst.mrk ? (lst.n++) + ". " : "- ";
+                                lst.w = m.length;
+                                return brk_(1) + put_(ind_(lsts.length - 1) + m);
+                        case "TABLE":
+                                rows = 0;
+                                return brk_(2);
+                        case "TR":
+                                cols = [ ];
+                                return brk_(1) + put_("|");
+                        case "TD":
+                                cell++;
+                                cst = true;
+                                cols.push(atts.COLSPAN || 1);
+                                return put_(" ");
+                }
+
+                var h = /^H([1-6])$/.exec(name);
+                if (null != h)
+                        return brk_(2) + put_(new Array(+h[1] + 1).join("#") + " ");
+
+                return Block_(name) && 0 === lsts.length ? brk_(2) : "";
+        }
+
+        function Close_(name)
+        {
+                var m = mks[name];
+                if (null != m)
+                {
+                        // emphasis without any text
+                        if (m == mk.substr(mk.length - m.length))
+                        {
+                                mk = mk.substr(0, mk.length - m.length);
+                                return "";
+                        }
+                        return put_(m);
+                }
+
+                switch (name)
+                {
+                        case "A":
+                                var a = hrefs.pop();
+                                if (null == a)
+                                        return "";
+                                mk = "";
+                                return put_("](" + url_(a.HREF) + (null == a.TITLE ? "" :
+                                        " \"" + a.TITLE.replace(/"/g, "\\\"") + "\"") + ")");
+                        case "OL":
+                        case "UL":
+                                lsts.pop();
+                                return 0 === lsts.length ? brk_(2) : "";
+                        case "TABLE":
+                                return brk_(2);
+                        case "TR":
+                                var str = "";
+                                if (0 === rows++)
+                                {
+                                        var n = 0;
+                                        for (var j = 0; j < cols.length; j++)
+                                                n += cols[j];
+                                        str = "\n|" + new Array(n + 1).join(" --- |");
+                                }
+                                return put_(str) + brk_(1);
+                        case "TD":
+                                cell--;
+                                ws = "";
+                                mk = "";
+                                return put_(new Array(cols[cols.length-1] + 1).join(" |"));
+                }
+
+                if (/^H[1-6]$/.test(name))
+                        return brk_(2);
+
+                return Block_(name) && 0 === lsts.length ? brk_(2) : "";
+        }
+
+        function Text_(txt)
+        {
+                // line breaks in the RTF source aren't text; a tab would start
+                // a code block
+                txt = txt.replace(/[\r\n]/g, "").replace(/\t/g, " ");
+                if (0 === txt.length)
+                        return "";
+
+                var m = /^(\s*)([\s\S]*?)(\s*)$/.exec(txt);
+                if (0 === m[2].length)
+                {
+                        ws += txt;
+                        return "";
+                }
+
+                // whitespace goes outside of emphasis, which must touch the text
+                var lead = nl > 0 ? "" : ws + m[1];
+                var body = m[2].replace(/([\\`*_\[\]<>])/g, "\\$1");
+                if (cell > 0)
+                        body = body.replace(/\|/g, "\\|");
+                if (0 === lead.length && 0 === mk.length && nl > 0)
+                        body = body.replace(/^([#>+-])/, "\\$1").replace(/^(\d+)\./, "$1\\.");
+
+                var str = lead + mk + body;
+                mk = "";
+                ws = m[3];
+                cst = false;
+                return put_(str);
+        }
+
+        function Done_(str)
+        {
+                return str.replace(/\n{3,}/g, "\n\n").replace(/^\s+|\s+$/g, "") + "\n";
+        }
+
+        // returns output, keeping track of the line breaks at its end
+        function put_(str)
+        {
+                if (str.length > 0)
+                {
+                        var n = /\n*$/.exec(str)[0].length;
+                        nl = n === str.length ? nl + n : n;
+                }
+                return str;
+        }
+
+        // ends the line (1) or the paragraph (2); a space within table cells
+        function brk_(n)
+        {
+                ws = "";
+                if (cell > 0)
+                {
+                        if (!cst)
+                                ws = " ";
+                        return "";
+                }
+                if (nl >= n)
+                        return "";
+                return put_(n - nl > 1 ? "\n\n" : "\n");
+        }
+
+        // returns held back whitespace (and nothing at the beginning of a line)
+        function flush_()
+        {
+                var str = nl > 0 ? "" : ws;
+                ws = "";
+                return str;
+        }
+
+        // returns the indentation for content of the outer 'n' lists' items
+        function ind_(n)
+        {
+                var w = 0;
+                for (var j = 0; j < n; j++)
+                        w += lsts[j].w;
+                return new Array(w + 1).join(" ");
+        }
+
+        function url_(u)
+        {
+                return String(u).replace(/ /g, "%20").replace(/\(/g, "%28").replace(/\)/g, "%29");
+        }
+
+} // MarkdownRenderer()
+
+//_[Tree_()]__________________________________________________________________
+//
+// Returns the document tree (see Rtf2Tree()) for Rtf2Html()'s output events.
+// Character formatting tags are left out; instead text carries the props of
+// the last "#RUN" event.  Paragraphs, lists, tables, etc. have the props of
+// their opening tags, and text outside of a paragraph block goes into one
+// started by a "#PARA" event (or an empty one).
+//
+// evs .................... [ in] Output events.
+//
+function Tree_(evs)
+{
+        var sect = { type : "section", props : { }, children : [ ] };
+        var secs = [ sect ];
+        var stk = [ { name : null, node : sect } ];
+        var run = { };
+
+        for (var j = 0; j < evs.length; j++)
+        {
+                var ev = evs[j];
+                if ("string" === typeof ev)
+                {
+                        // line breaks of the source and list item numbers
+                        // written out aren't text of the document
+                        var txt = ev.replace(/[\r\n]/g, "");
+                        if (0 === txt.length || "#MARK" == stk[stk.length-1].name)
+                                continue;
+
+                        var a = Inline_().children;
+                        var last = a[a.length-1];
+                        if (null != last && "run" == last.type && last.props === run)
+                                last.text += txt;
+                        else
+                                a.push({ type : "run", text : txt, props : run });
+                        continue;
+                }
+
+                var name = ev[0];
+                if ("/" == name.charAt(0))
+                {
+                        // also closes whatever wasn't closed within
+                        for (var k = stk.length - 1; k > 0; k--)
+                        {
+                                if (stk[k].name == name.substr(1))
+                                {
+                                        Pop_(k);
+                                        break;
+                                }
+                        }
+                        continue;
+                }
+
+                var prp = ev[3] || { };
+                var node = null;
+                switch (name)
+                {
+                        case "#RUN":
+                                run = prp;
+                                break;
+
+                        case "SECTION":
+                        case "#SECT":
+                                // the first one is the section started already
+                                ParEnd_();
+                                if (sect.children.length > 0)
+                                {
+                                        sect = { type : "section", props : { }, children : [ ] };
+                                        secs.push(sect);
+                                        stk[0].node = sect;
+                                }
+                                sect.props = prp;
+                                break;
+
+                        case "#PARA":
+                                ParEnd_();
+                                Inline_(prp);
+                                break;
+
+                        case "P":
+                        case "DIV":
+                        case "H1": case "H2": case "H3": case "H4": case "H5": case "H6":
+                                // blocks without props only wrap others
+                                if (null == ev[3])
+                                        break;
+                                ParEnd_();
+                                node = { type : "paragraph", props : prp, children : [ ] };
+                                break;
+
+                        case "OL":
+                        case "UL":
+                                ParEnd_();
+                                node = { type : "list", props : null == ev[3] ?
+                                        { ordered : "OL" == name } : prp, children : [ ] };
+                                break;
+                        case "LI":
+                                node = { type : "item", props : prp, children : [ ] };
+                                break;
+
+                        case "TABLE":
+                                ParEnd_();
+                                node = { type : "table", props : prp, children : [ ] };
+                                break;
+
+                        case "HEADER":
+                        case "FOOTER":
+                                ParEnd_();
+                                node = { type : name.toLowerCase(), props : prp, children : [ ] };
+                                break;
+                        case "TR":
+                                node = { type : "row", props : prp, children : [ ] };
+                                break;
+                        case "TD":
+                                node = { type : "cell", props : prp, children : [ ] };
+                                break;
+
+                        case "A":
+                                // a note reference (or link back), a bookmark or a
+                                // hyperlink field
+                                if (null != prp.note)
+                                        node = { type : "noteref", props : prp, children : [ ] };
+                                else if (null != ev[1].NAME)
+                                        Inline_().children.push({ type : "bookmark", name : ev[1].NAME });
+                                else
+                                        node = { type : "field", props : prp, children : [ ] };
+                                break;
+                        case "#FIELD":
+                                node = { type : "field", props : prp, children : [ ] };
+                                break;
+
+                        case "IMG":
+                                Inline_().children.push({ type : "image", props : prp });
+                                break;
+                        case "BR":
+                                Inline_().children.push({ type : "break" });
+                                break;
+                }
+
+                if (null != node)
+                {
+                        if ("field" == node.type || "noteref" == node.type)
+                                Inline_().children.push(node);
+                        else
+                                Node_(node);
+                }
+
+                // open until the end tag (which BR doesn't have)
+                if (!ev[2] && "BR" != name)
+                        stk.push({ name : name, node : node });
+        }
+
+        Pop_(1);
+        return { type : "document", props : { }, children : secs };
+
+        // adds a node to the innermost open node
+        function Node_(node)
+        {
+                for (var k = stk.length - 1; k >= 0; k--)
+                {
+                        if (null != stk[k].node)
+                        {
+                                stk[k].node.children.push(node);
+                                return;
+                        }
+                }
+        }
+
+        // returns the innermost open node if text can go into it, otherwise
+        // starts a paragraph (with the given props)
+        function Inline_(prp)
+        {
+                for (var k = stk.length - 1; k >= 0; k--)
+                {
+                        var node = stk[k].node;
+                        if (null == node)
+                                continue;
+                        if ("paragraph" == node.type || "field" == node.type ||
+                                "noteref" == node.type)
+                                return node;
+                        break;
+                }
+
+                node = { type : "paragraph", props : prp || { }, children : [ ] };
+                Node_(node);
+                stk.push({ name : "#PARA", node : node });
+                return node;
+        }
+
+        // ends the open paragraph (if any) before a block
+        function ParEnd_()
+        {
+                for (var k = stk.length - 1; k > 0; k--)
+                {
+                        var node = stk[k].node;
+                        if (null == node)
+                                continue;
+                        if ("paragraph" == node.type)
+                                Pop_(k);
+                        else if ("field" == node.type || "noteref" == node.type)
+                                continue;
+                        break;
+                }
+        }
+
+        // closes the open nodes from the k'th on; a line break at the end of
+        // a paragraph doesn't start another line
+        function Pop_(k)
+        {
+                while (stk.length > k)
+                {
+                        var node = stk.pop().node;
+                        if (null == node || "paragraph" != node.type)
+                                continue;
+
+                        var a = node.children;
+                        if (a.length > 0 && "break" == a[a.length-1].type)
+                                a.pop();
+                }
+        }
+
+} // Tree_()
+
+//_[Chapters_()]______________________________________________________________
+//
+// Splits Rtf2Html()'s output events into chapters (see the 'chapters'
+// option) at the start of sections, paragraphs with a page break before
+// them and/or "Heading 1" paragraphs.  Only blocks which wrap others, e.g.
+// HTML5's <SECTION>, may be open there; they're closed at the end of one
+// chapter and opened again at the start of the next.  A split with nothing
+// but white space (or headers and footers) before it is left out.
+//
+// evs .................... [ in] Output events.
+// at ..................... [ in] true for all, or "section", "page",
+//                                                      "heading" or an array of these.
+//
+function Chapters_(evs, at)
+{
+        if (true === at)
+                at = [ "section", "page", "heading" ];
+        else if (!(at instanceof Array))
+                at = [ at ];
+
+        var chs = [ ];
+        var cur = [ ];
+        var stk = [ ];          // open elements (their opening events)
+        var any = false;        // anything but wrapping blocks in the chapter?
+
+        for (var j = 0; j < evs.length; j++)
+        {
+                var ev = evs[j];
+                if ("string" === typeof ev)
+                {
+                        any = any || /\S/.test(ev) && !hf_();
+                        cur.push(ev);
+                        continue;
+                }
+
+                var name = ev[0];
+                var prp = ev[3] || { };
+                if ("/" == name.charAt(0))
+                {
+                        for (var k = stk.length - 1; k >= 0; k--)
+                        {
+                                if ("/" + stk[k][0] == name)
+                                {
+                                        stk.length = k;
+                                        break;
+                                }
+                        }
+                        cur.push(ev);
+                        continue;
+                }
+
+                if (any && Split_())
+                {
+                        for (var k = stk.length - 1; k >= 0; k--)
+                                cur.push([ "/" + stk[k][0] ]);
+                        chs.push(cur);
+                        cur = stk.slice(0);
+                        any = false;
+                }
+
+                if (!wrap_(ev) && !/^(#.*|META|HEADER|FOOTER)$/.test(name) && !hf_())
+                        any = true;
+                // open until the end tag (which BR doesn't have)
+                if (!ev[2] && "BR" != name)
+                        stk.push(ev);
+                cur.push(ev);
+        }
+
+        chs.push(cur);
+        return chs;
+
+        // does a chapter start at the current event?
+        function Split_()
+        {
+                for (var k = 0; k < stk.length; k++)
+                        if (!wrap_(stk[k]))
+                                return false;
+
+                var sect = "SECTION" == name || "#SECT" == name;
+                return at.indexOf("section") >= 0 && sect ||
+                        at.indexOf("page") >= 0 && (sect ? /^(page|even|odd)$/.test(prp.start) &&
+                                prp.number > 1 : true === prp.pagebreak) ||
+                        at.indexOf("heading") >= 0 && 1 === prp.heading;
+        }
+
+        // is it a block which only wraps others?
+        function wrap_(ev)
+        {
+                return "SECTION" == ev[0] || "DIV" == ev[0] && null == ev[3];
+        }
+
+        // is a header or footer open?
+        function hf_()
+        {
+                for (var k = 0; k < stk.length; k++)
+                        if ("HEADER" == stk[k][0] || "FOOTER" == stk[k][0])
+                                return true;
+                return false;
+        }
+
+} // Chapters_()
+
+//_[Block_()]_________________________________________________________________
+//
+// Is the HTML 2.0 tag a block (paragraph-like) element?  Used by renderers.
+//
+function Block_(name)
+{
+        return /^(P|DIV|CENTER|BLOCKQUOTE|H[1-6]|TABLE|SECTION|HEADER|FOOTER)$/.test(name);
+}
+
+//*[html2rtf.js]*************************[http://code.google.com/p/obremsdk/]*
+//
+// JavaScript: HTML to RTF Conversion
+//
+// The reverse of rtf2html.js for what it writes; the font, color and list
+// tables are the ones the RtfParser handlers read.
+//
+//***********************[http://www.opensource.org/licenses/bsd-license.php]*
+
+//_[Html2Rtf()]_______________________________________________________________
+//
+// Converts HTML into RTF: paragraphs, headings (as "heading 1" to "heading
+// 6" styles), bold, italics, underline (and its styles), strike,
+// superscript and subscript, the other character effects, fonts, sizes,
+// colors, alignment, indents and spacing, page breaks, sections, headers and
+// footers, lists, links, bookmarks, line breaks and pictures.  Anything
+// else only contributes its text; e.g. the cells of a table become
+// paragraphs.  HTML written by Rtf2Html() (of either flavor) converts into
+// RTF which Rtf2Html() turns back into the same HTML.
+//
+// The font of the first text is the document's default font (\deff); when
+// it has none, neither has the document, so the reader uses its own.  A
+// picture is embedded when it's a PNG, JPEG, EMF or WMF data URI or one of
+// the given files; any other is left out.
+//
+// html ................... [ in] HTML text; a document or a fragment.
+// opt .................... [ in] Options (optional):
+//
+//      files ......... Files pictures may refer to, e.g. the 'files' of
+//                                      Rtf2Html()'s output object: { name, type, data }
+//                                      where 'data' is a binary string.
+//      baseurl ....... Base URL of the files (as given to Rtf2Html()).
+//
+function Html2Rtf(html, opt)
+{
+        opt = opt || { };
+
+        // HTML 2.0 and HTML5 elements which are blocks, empty or not shown
+        if (null == Html2Rtf.blk)
+        {
+                Html2Rtf.blk = /^(ADDRESS|ARTICLE|ASIDE|BLOCKQUOTE|BODY|CENTER|DD|DIV|DL|DT|FIELDSET|FIGCAPTION|FIGURE|FOOTER|FORM|H[1-6]|HEADER|HR|HTML|LI|MAIN|NAV|OL|P|PRE|SECTION|TABLE|TBODY|TD|TFOOT|TH|THEAD|TR|UL)$/;
+                Html2Rtf.nul = /^(AREA|BASE|BR|COL|EMBED|HR|IMG|INPUT|LINK|META|PARAM|SOURCE|TRACK|WBR)$/;
+                Html2Rtf.hid = /^(HEAD|SCRIPT|STYLE|TEMPLATE|TITLE)$/;
+        }
+
+        var fonts = [ ];        // { name, family } by \f number
+        var colors = [ ];       // "#RRGGBB" by \cf number - 1
+        var lists = [ ];        // { ls, levels } by \ls number - 1
+        var heads = [ ];        // heading levels used
+        var deffs = null;       // default font size (half-points)
+
+        var rtf = [ ];
+        var stk = [ { tag : "", chp : { }, pap : { }, ind : 0 } ];
+        var para = false;       // is a paragraph open?
+        var npar = 0;           // paragraphs opened so far
+        var run = null;         // formatting of the open run (group)
+        var ws = null;          // formatting of a space to come
+        var sp = true;          // does a space go unseen?
+        var brk = 0;            // line breaks to come
+        var skip = null;        // element whose content isn't shown
+        var nsec = 0;           // <SECTION>s so far
+
+        var re = /<!--[\s\S]*?-->|<[!?][^>]*>|<(\/?)([a-zA-Z][\w:-]*)((?:"[^"]*"|'[^']*'|[^'">])*)>|[^<]+|</g;
+        var m = null;
+        while (null != (m = re.exec(html)))
+        {
+                if (null == m[2])
+                {
+                        // comments, <!DOCTYPE>, etc. aren't text
+                        if (null == skip && ("<" != m[0].charAt(0) || 1 === m[0].length))
+                                Text_(Ent_(m[0]));
+                        continue;
+                }
+
+                var tag = m[2].toUpperCase();
+                if (null != skip)
+                {
+                        if ("/" == m[1] && tag == skip)
+                                skip = null;
+                }
+                else if ("/" == m[1])
+                {
+                        Close_(tag);
+                }
+                else
+                {
+                        Open_(tag, Atts_(m[3]));
+                }
+        }
+
+        while (stk.length > 1)
+                Pop_();
+        ParEnd_();
+
+        // header: font, color and list tables and the heading styles
+        var h = [ "{\\rtf1\\ansi\\ansicpg1252", null == fonts[0] ? "" : "\\deff0",
+                null == deffs ? "" : "\\deffs" + deffs,
+                "\\uc1\r\n{\\fonttbl" ];
+        for (var j = 0; j < fonts.length; j++)
+        {
+                if (null != fonts[j])
+                        h.push("{\\f" + j + "\\f" + fonts[j].family + "\\fcharset0 " +
+                                Esc_(fonts[j].name) + ";}");
+        }
+        h.push("}\r\n");
+
+        if (colors.length > 0)
+        {
+                h.push("{\\colortbl;");
+                for (var j = 0; j < colors.length; j++)
+                {
+                        var c = parseInt(colors[j].substr(1), 16);
+                        h.push("\\red" + (c >> 16) + "\\green" + ((c >> 8) & 0xFF) +
+                                "\\blue" + (c & 0xFF) + ";");
+                }
+                h.push("}\r\n");
+        }
+
+        if (heads.length > 0)
+        {
+                h.push("{\\stylesheet{\\s0 Normal;}");
+                for (var n = 1; n <= 6; n++)
+                {
+                        if (heads[n])
+                        {
+                                h.push("{\\s" + n + "\\sbasedon0\\snext0\\outlinelevel" + (n - 1) +
+                                        " heading " + n + ";}");
+                        }
+                }
+                h.push("}\r\n");
+        }
+
+        if (lists.length > 0)
+        {
+                h.push("{\\*\\listtable");
+                for (var j = 0; j < lists.length; j++)
+                {
+                        h.push("\r\n{\\list\\listtemplateid" + lists[j].ls + "\\listhybrid");
+                        for (var d = 0; d < 9; d++)
+                                h.push(Level_(lists[j].levels[d], d));
+                        h.push("{\\listname ;}\\listid" + lists[j].ls + "}");
+                }
+                h.push("}\r\n{\\*\\listoverridetable");
+                for (var j = 0; j < lists.length; j++)
+                {
+                        h.push("{\\listoverride\\listid" + lists[j].ls +
+                                "\\listoverridecount0\\ls" + lists[j].ls + "}");
+                }
+                h.push("}\r\n");
+        }
+
+        return h.join("") + rtf.join("") + "}";
+
+        // starts an element
+        function Open_(tag, atts)
+        {
+                if (Html2Rtf.hid.test(tag))
+                {
+                        skip = tag;
+                        return;
+                }
+
+                // ends of paragraphs and list items which are left out
+                var top = stk[stk.length-1];
+                if (/^(P|H[1-6])$/.test(tag) && /^(P|H[1-6])$/.test(top.tag))
+                        Close_(top.tag);
+                for (var k = stk.length - 1; "LI" == tag && k > 0 && !/^(OL|UL)$/.test(stk[k].tag); k--)
+                {
+                        if ("LI" == stk[k].tag)
+                        {
+                                Close_("LI");
+                                break;
+                        }
+                }
+
+                top = stk[stk.length-1];
+                var e = { tag : tag, chp : { }, pap : { align : top.pap.align }, ind : top.ind,
+                        lst : top.lst, pre : top.pre, blk : Html2Rtf.blk.test(tag), npar : npar };
+                for (var k in top.chp)
+                        e.chp[k] = top.chp[k];
+
+                if (e.blk)
+                        ParEnd_();
+
+                switch (tag)
+                {
+                        case "B":
+                        case "STRONG":
+                                e.chp.b = true;
+                                break;
+                        case "I":
+                        case "EM":
+                        case "CITE":
+                        case "DFN":
+                        case "VAR":
+                                e.chp.i = true;
+                                break;
+                        case "U":
+                        case "INS":
+                                e.chp.ul = true;
+                                break;
+                        case "S":
+                        case "STRIKE":
+                        case "DEL":
+                                e.chp.strike = true;
+                                break;
+                        case "SUP":
+                                e.chp.sup = "super";
+                                break;
+                        case "SUB":
+                                e.chp.sup = "sub";
+                                break;
+
+                        case "PRE":
+                                e.pre = true;
+                                // fall through
+                        case "CODE":
+                        case "KBD":
+                        case "SAMP":
+                        case "TT":
+                                e.chp.font = Fam_("monospace");
+                                break;
+
+                        case "FONT":
+                                if (null != atts.face)
+                                        e.chp.font = Fam_(atts.face);
+                                if (null != Clr_(atts.color))
+                                        e.chp.cf = Clr_(atts.color);
+                                if (/^[1-7]$/.test(atts.size))
+                                        e.chp.fs = [ 16, 20, 24, 28, 36, 48, 72 ][atts.size - 1];
+                                break;
+
+                        case "CENTER":
+                                e.pap.align = "center";
+                                break;
+
+                        case "HEADER":
+                        case "FOOTER":
+                                // a page's (see Rtf2Html()'s 'headers' option)
+                                var hf = /(header|footer)-(left|right|first)\b/.exec(atts["class"] || "");
+                                rtf.push("{\\" + tag.toLowerCase() + (null == hf ? "" : hf[2].charAt(0)) + " ");
+                                e.grp = true;
+                                break;
+                        case "BLOCKQUOTE":
+                                e.ind += 720;
+                                break;
+
+                        case "H1": case "H2": case "H3": case "H4": case "H5": case "H6":
+                                e.pap.head = +tag.charAt(1);
+                                break;
+
+                        case "OL":
+                        case "UL":
+                                // a list in a list is its next level
+                                if (null == top.lst)
+                                {
+                                        lists.push({ ls : lists.length + 1, levels : [ ] });
+                                        e.lst = { def : lists[lists.length-1], lvl : 0 };
+                                }
+                                else
+                                {
+                                        e.lst = { def : top.lst.def, lvl : Math.min(top.lst.lvl + 1, 8) };
+                                }
+                                break;
+
+                        case "A":
+                                Inline_();
+                                RunEnd_();
+                                if (null != atts.href)
+                                {
+                                        rtf.push("{\\field{\\*\\fldinst HYPERLINK " + Link_(atts) +
+                                                "}{\\fldrslt ");
+                                        e.fld = true;
+                                }
+                                else if (null != (atts.name || atts.id))
+                                {
+                                        var bm = Esc_(atts.name || atts.id);
+                                        rtf.push("{\\*\\bkmkstart " + bm + "}{\\*\\bkmkend " + bm + "}");
+                                }
+                                break;
+
+                        case "BR":
+                                Inline_();
+                                brk++;
+                                sp = true;
+                                break;
+                        case "IMG":
+                                Img_(atts);
+                                break;
+                }
+
+                if (/^(P|DIV|H[1-6]|TD|TH)$/.test(tag) && /^(left|right|center|justify)$/i.test(atts.align))
+                        e.pap.align = atts.align.toLowerCase();
+                if (null != atts.style)
+                        Css_(e, atts.style);
+
+                // sections after the first start with a section break, on a new
+                // page unless the section has no page break before it
+                if ("SECTION" == tag && nsec++ > 0)
+                {
+                        rtf.push("\\sect\\sectd" + ({ always : "\\sbkpage", left : "\\sbkeven",
+                                right : "\\sbkodd" }[e.pap.pagebb] || "\\sbknone") + " ");
+                }
+
+                // list levels are defined by the first list at that level
+                if (/^(OL|UL)$/.test(tag) && null == e.lst.def.levels[e.lst.lvl])
+                {
+                        var sty = e.lsty || { 1 : "decimal", a : "lower-alpha", A : "upper-alpha",
+                                i : "lower-roman", I : "upper-roman" }[atts.type] ||
+                                (atts.type || "").toLowerCase() || ("OL" == tag ? "decimal" : "disc");
+                        e.lst.def.levels[e.lst.lvl] = { sty : sty,
+                                start : "OL" == tag && parseInt(atts.start) >= 0 ? parseInt(atts.start) : 1 };
+                }
+
+                if (!Html2Rtf.nul.test(tag))
+                        stk.push(e);
+        }
+
+        // ends the innermost open element of a kind, and any inside it
+        function Close_(tag)
+        {
+                for (var k = stk.length - 1; k > 0; k--)
+                {
+                        if (stk[k].tag == tag)
+                        {
+                                while (stk.length > k)
+                                        Pop_();
+                                return;
+                        }
+                }
+        }
+
+        // ends the innermost open element
+        function Pop_()
+        {
+                var e = stk[stk.length-1];
+
+                // an empty paragraph is still a paragraph
+                if (/^(P|H[1-6])$/.test(e.tag) && npar === e.npar)
+                        Para_();
+
+                stk.pop();
+                if (e.fld)
+                {
+                        RunEnd_();
+                        rtf.push("}}");
+                }
+                if (e.blk)
+                        ParEnd_();
+                if (e.grp)
+                        rtf.push("}");
+        }
+
+        // text, its white space collapsed unless preformatted
+        function Text_(txt)
+        {
+                var chp = stk[stk.length-1].chp;
+                if (stk[stk.length-1].pre)
+                {
+                        var lns = txt.replace(/\r\n?/g, "\n").split("\n");
+                        for (var j = 0; j < lns.length; j++)
+                        {
+                                if (j > 0)
+                                {
+                                        Inline_();
+                                        brk++;
+                                }
+                                if (lns[j].length > 0)
+                                {
+                                        Inline_();
+                                        Run_(Ctl_(chp), lns[j]);
+                                }
+                        }
+                        return;
+                }
+
+                txt = txt.replace(/[ \t\r\n\f]+/g, " ");
+                if (!para || sp)
+                        txt = txt.replace(/^ /, "");
+                if (0 === txt.length)
+                        return;
+
+                var end = " " == txt.charAt(txt.length-1);
+                if (end)
+                        txt = txt.substr(0, txt.length-1);
+                if (txt.length > 0)
+                {
+                        Inline_();
+                        Run_(Ctl_(chp), txt);
+                }
+                if (end)
+                        ws = Ctl_(chp);
+                sp = end;
+        }
+
+        // opens the paragraph (if needed) for what goes into it, writing out
+        // the space and line breaks before it
+        function Inline_()
+        {
+                Para_();
+                if (null != ws)
+                {
+                        Run_(ws, " ");
+                        ws = null;
+                }
+                if (brk > 0)
+                        RunEnd_();
+                for ( ; brk > 0; brk--)
+                        rtf.push("\\line ");
+        }
+
+        // starts a paragraph with the properties of the innermost block
+        function Para_()
+        {
+                if (para)
+                        return;
+
+                var e = stk[stk.length-1];
+                for (var k = stk.length - 1; k > 0 && !stk[k].blk; k--)
+                        ;
+                var p = stk[k].pap;
+                var c = [ "\\pard" ];
+
+                if (null != p.head)
+                {
+                        heads[p.head] = true;
+                        c.push("\\s" + p.head);
+                }
+
+                var li = p.li, fi = p.fi;
+                if (null != e.lst)
+                {
+                        c.push("\\ls" + e.lst.def.ls + "\\ilvl" + e.lst.lvl);
+                        li = null == li ? 720 * (e.lst.lvl + 1) : li;
+                        fi = null == fi ? -360 : fi;
+                }
+                li = (li || 0) + stk[k].ind;
+
+                if (null != p.align)
+                        c.push({ left : "\\ql", right : "\\qr", center : "\\qc", justify : "\\qj" }[p.align]);
+                if (li)
+                        c.push("\\li" + li);
+                if (p.ri)
+                        c.push("\\ri" + p.ri);
+                if (fi)
+                        c.push("\\fi" + fi);
+                if (p.sb)
+                        c.push("\\sb" + p.sb);
+                if (p.sa)
+                        c.push("\\sa" + p.sa);
+                if (p.sl)
+                        c.push("\\sl" + p.sl + "\\slmult" + (p.slmult ? 1 : 0));
+                if (p.pagebb && "SECTION" != stk[k].tag)
+                        c.push("\\pagebb");
+
+                rtf.push(c.join("") + " ");
+                para = true;
+                sp = true;
+                npar++;
+        }
+
+        // ends the open paragraph; a line break at its end is left out
+        function ParEnd_()
+        {
+                if (!para)
+                        return;
+
+                RunEnd_();
+                for ( ; brk > 1; brk--)
+                        rtf.push("\\line ");
+                rtf.push("\\par\r\n");
+
+                para = false;
+                brk = 0;
+                ws = null;
+        }
+
+        // writes text with the given character formatting
+        function Run_(ctl, txt)
+        {
+                if (run !== ctl)
+                {
+                        RunEnd_();
+                        if ("" != ctl)
+                                rtf.push("{" + ctl + " ");
+                        run = ctl;
+                }
+                rtf.push(Esc_(txt));
+        }
+
+        // ends the group of the run written last
+        function RunEnd_()
+        {
+                if (null != run && "" != run)
+                        rtf.push("}");
+                run = null;
+        }
+
+        // returns the control words for character formatting; the first text
+        // has the default font and size
+        function Ctl_(chp)
+        {
+                if (0 === fonts.length)
+                {
+                        fonts.push(chp.font || null);
+                        deffs = null != chp.fs && 24 !== chp.fs ? chp.fs : null;
+                }
+
+                var c = "";
+                if (chp.b)
+                        c += "\\b";
+                if (chp.i)
+                        c += "\\i";
+                if (chp.ul)
+                        c += { dotted : "\\uld", dashed : "\\uldash", "double" : "\\uldb",
+                                wavy : "\\ulwave", words : "\\ulw" }[chp.uls] || "\\ul";
+                if (chp.strike)
+                        c += chp.striked ? "\\striked1" : "\\strike";
+                if (null != chp.sup)
+                        c += "\\" + chp.sup;
+                if (chp.up)
+                        c += (chp.up > 0 ? "\\up" : "\\dn") + Math.abs(chp.up);
+                if (chp.caps)
+                        c += "\\caps";
+                if (chp.scaps)
+                        c += "\\scaps";
+                if (chp.outl)
+                        c += "\\outl";
+                if (chp.shad)
+                        c += "\\shad";
+                if (chp.v)
+                        c += "\\v";
+
+                var f = null == chp.font ? 0 : Font_(chp.font);
+                if (f > 0)
+                        c += "\\f" + f;
+
+                // sizes are always given when the default isn't 12pt (as
+                // other readers don't know \deffs)
+                var fs = null == chp.fs ? 24 : chp.fs;
+                if (null != deffs || 24 !== fs)
+                        c += "\\fs" + fs;
+
+                if (null != chp.cf)
+                        c += "\\cf" + Color_(chp.cf);
+                if (null != chp.bg)
+                        c += "\\chcbpat" + Color_(chp.bg);
+
+                return c;
+        }
+
+        // returns the \f number of a font, adding it to the font table; \f0
+        // is none when the first text has no font
+        function Font_(fnt)
+        {
+                for (var j = 0; j < fonts.length; j++)
+                        if (null != fonts[j] && fonts[j].name == fnt.name &&
+                                fonts[j].family == fnt.family)
+                                return j;
+
+                fonts.push(fnt);
+                return fonts.length - 1;
+        }
+
+        // returns the \cf number of a color, adding it to the color table
+        function Color_(clr)
+        {
+                var j = colors.indexOf(clr);
+                if (j < 0)
+                {
+                        colors.push(clr);
+                        j = colors.length - 1;
+                }
+                return j + 1;
+        }
+
+        // writes out a picture
+        function Img_(atts)
+        {
+                if (null == Html2Rtf.pic)
+                {
+                        Html2Rtf.pic = { "image/png" : "\\pngblip", "image/jpeg" : "\\jpegblip",
+                                "image/emf" : "\\emfblip", "image/x-emf" : "\\emfblip",
+                                "image/wmf" : "\\wmetafile8", "image/x-wmf" : "\\wmetafile8" };
+                }
+
+                var src = atts.src || "";
+                var typ = null, data = null;
+                var m = /^data:([^;,]*)[^,]*;base64,/i.exec(src);
+                if (null != m)
+                {
+                        typ = m[1].toLowerCase();
+                        data = unb64_(src.substr(m[0].length));
+                }
+                for (var j = 0; null == m && j < (opt.files || [ ]).length; j++)
+                {
+                        var f = opt.files[j];
+                        if ((opt.baseurl || "") + f.name == src || f.path == src)
+                        {
+                                typ = f.type;
+                                data = f.data;
+                                break;
+                        }
+                }
+
+                var blip = Html2Rtf.pic[typ];
+                if (null == blip || null == data)
+                        return;
+
+                // sizes are pixels; the goal size is twips (15 to a pixel) and
+                // a metafile's own size isn't pixels
+                var w = parseInt(atts.width), h = parseInt(atts.height);
+                var c = [ "{\\pict", blip ];
+                if (w > 0 && h > 0)
+                {
+                        if (!/wmetafile|emfblip/.test(blip))
+                                c.push("\\picw" + w + "\\pich" + h);
+                        c.push("\\picwgoal" + w * 15 + "\\pichgoal" + h * 15);
+                }
+
+                for (var j = 0; j < data.length; j++)
+                {
+                        if (0 === j % 64)
+                                c.push("\r\n");
+                        c.push((0x100 | data.charCodeAt(j) & 0xFF).toString(16).substr(1));
+                }
+                c.push("}");
+
+                Inline_();
+                RunEnd_();
+                rtf.push(c.join(""));
+        }
+
+        // returns the arguments of a HYPERLINK field for a link: the target,
+        // its bookmark (\l), title (\o) and frame (\t)
+        function Link_(atts)
+        {
+                var href = atts.href.replace(/"/g, "");
+                var n = href.indexOf("#");
+                var arg = [ ];
+
+                if (0 !== n)
+                        arg.push("\"" + Esc_(n < 0 ? href : href.substr(0, n)) + "\"");
+                if (n >= 0)
+                        arg.push("\\\\l \"" + Esc_(href.substr(n + 1)) + "\"");
+                if (null != atts.title)
+                        arg.push("\\\\o \"" + Esc_(atts.title.replace(/"/g, "")) + "\"");
+                if (null != atts.target)
+                        arg.push("\\\\t \"" + Esc_(atts.target.replace(/"/g, "")) + "\"");
+
+                return arg.join(" ");
+        }
+
+        // applies the CSS of a style attribute to an element
+        function Css_(e, sty)
+        {
+                var decls = sty.split(";");
+                for (var j = 0; j < decls.length; j++)
+                {
+                        var n = decls[j].indexOf(":");
+                        if (n < 0)
+                                continue;
+
+                        var prop = decls[j].substr(0, n).replace(/^\s+|\s+$/g, "").toLowerCase();
+                        var val = decls[j].substr(n + 1).replace(/^\s+|\s+$/g, "");
+                        var v = val.toLowerCase();
+
+                        switch (prop)
+                        {
+                                case "font-weight":
+                                        e.chp.b = /^(bold|bolder|[6-9]00)$/.test(v);
+                                        break;
+                                case "font-style":
+                                        e.chp.i = /^(italic|oblique)$/.test(v);
+                                        break;
+                                case "text-decoration":
+                                case "text-decoration-line":
+                                        e.chp.ul = v.indexOf("underline") >= 0;
+                                        e.chp.strike = v.indexOf("line-through") >= 0;
+                                        break;
+                                case "text-decoration-style":
+                                        // of the strike (double) or the underline
+                                        if (/^(S|STRIKE|DEL)$/.test(e.tag))
+                                                e.chp.striked = "double" == v;
+                                        else if (/^(dotted|dashed|double|wavy)$/.test(v))
+                                                e.chp.uls = v;
+                                        break;
+                                case "text-decoration-skip":
+                                        if ("spaces" == v)
+                                                e.chp.uls = "words";
+                                        break;
+                                case "vertical-align":
+                                        // raised or lowered by half-points
+                                        if ("super" == v || "sub" == v)
+                                                e.chp.sup = v;
+                                        else if (null != Len_(v))
+                                                e.chp.up = Math.round(Len_(v) / 10);
+                                        break;
+                                case "text-transform":
+                                        e.chp.caps = "uppercase" == v;
+                                        break;
+                                case "font-variant":
+                                        e.chp.scaps = "small-caps" == v;
+                                        break;
+                                case "-webkit-text-stroke":
+                                        e.chp.outl = !/^(0|0px|none)$/.test(v);
+                                        break;
+                                case "text-shadow":
+                                        e.chp.shad = "none" != v;
+                                        break;
+                                case "display":
+                                        e.chp.v = "none" == v;
+                                        break;
+                                case "font-family":
+                                        e.chp.font = Fam_(val);
+                                        break;
+                                case "font-size":
+                                        if (null != Len_(v))
+                                                e.chp.fs = Math.round(Len_(v) / 10);
+                                        break;
+                                case "color":
+                                        e.chp.cf = Clr_(v);
+                                        break;
+                                case "background":
+                                case "background-color":
+                                        e.chp.bg = Clr_(v);
+                                        break;
+
+                                case "text-align":
+                                        if (/^(left|right|center|justify)$/.test(v))
+                                                e.pap.align = v;
+                                        break;
+                                case "margin-left":
+                                        e.pap.li = Len_(v);
+                                        break;
+                                case "margin-right":
+                                        e.pap.ri = Len_(v);
+                                        break;
+                                case "text-indent":
+                                        e.pap.fi = Len_(v);
+                                        break;
+                                case "margin-top":
+                                        e.pap.sb = Len_(v);
+                                        break;
+                                case "margin-bottom":
+                                        e.pap.sa = Len_(v);
+                                        break;
+                                case "line-height":
+                                        // a multiple of single (240) or "at least"
+                                        e.pap.slmult = /^[\d.]+$/.test(v);
+                                        e.pap.sl = e.pap.slmult ? Math.round(parseFloat(v) * 240) : Len_(v);
+                                        break;
+
+                                case "list-style-type":
+                                        e.lsty = v;
+                                        break;
+
+                                case "page-break-before":
+                                        if (/^(always|left|right)$/.test(v))
+                                                e.pap.pagebb = v;
+                                        break;
+                        }
+                }
+        }
+
+        // writes a level of a list definition (see HandleListTable())
+        function Level_(lv, d)
+        {
+                if (null == Html2Rtf.nfc)
+                {
+                        Html2Rtf.nfc = { "decimal" : 0, "upper-roman" : 1, "lower-roman" : 2,
+                                "upper-alpha" : 3, "upper-latin" : 3, "lower-alpha" : 4,
+                                "lower-latin" : 4, "cjk-ideographic" : 10, "katakana" : 12,
+                                "katakana-iroha" : 13, "decimal-leading-zero" : 22, "disc" : 23,
+                                "circle" : 23, "square" : 23, "hangul" : 24,
+                                "hangul-consonant" : 25, "hebrew" : 45, "none" : 255 };
+                }
+
+                lv = lv || { sty : "decimal", start : 1 };
+                var nfc = Html2Rtf.nfc[lv.sty];
+                nfc = null == nfc ? 0 : nfc;
+
+                // the number of the level followed by a dot, or a bullet
+                var txt = "\\'02\\'0" + d + ".", num = "\\'01";
+                if (23 === nfc)
+                {
+                        txt = "\\'01" + { disc : "\\u8226 ?", circle : "o", square : "\\u9642 ?" }[lv.sty];
+                        num = "";
+                }
+                else if (255 === nfc)
+                {
+                        txt = "\\'00";
+                        num = "";
+                }
+
+                return "{\\listlevel\\levelnfc" + nfc + "\\levelnfcn" + nfc + "\\leveljc0\\leveljcn0" +
+                        "\\levelfollow0\\levelstartat" + lv.start + "{\\leveltext" + txt + ";}" +
+                        "{\\levelnumbers" + num + ";}\\fi-360\\li" + 720 * (d + 1) + "}";
+        }
+
+} // Html2Rtf()
+
+//-[Atts_()]------------------------------------------------------------------
+//
+// Returns the attributes of an HTML tag by lowercase name, with character
+// references decoded.
+//
+function Atts_(s)
+{
+        var atts = { };
+        var re = /([^\s=\/"']+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+        var m = null;
+        while (null != (m = re.exec(s)))
+                atts[m[1].toLowerCase()] = Ent_(m[2] || m[3] || m[4] || "");
+        return atts;
+}
+
+//-[Ent_()]-------------------------------------------------------------------
+//
+// Decodes the character references of HTML text; named ones are those of
+// HTML 4 (and &apos;).
+//
+function Ent_(s)
+{
+        if (null == Ent_.map)
+        {
+                Ent_.map = { amp : "&", lt : "<", gt : ">", quot : "\"", apos : "'" };
+
+                // the other named characters of HTML 4: Latin-1 from U+00A0 on,
+                // then the rest with their code
+                var lat = (
+                        "nbsp iexcl cent pound curren yen brvbar sect uml copy ordf laquo not " +
+                        "shy reg macr deg plusmn sup2 sup3 acute micro para middot cedil sup1 " +
+                        "ordm raquo frac14 frac12 frac34 iquest Agrave Aacute Acirc Atilde Auml " +
+                        "Aring AElig Ccedil Egrave Eacute Ecirc Euml Igrave Iacute Icirc Iuml " +
+                        "ETH Ntilde Ograve Oacute Ocirc Otilde Ouml times Oslash Ugrave Uacute " +
+                        "Ucirc Uuml Yacute THORN szlig agrave aacute acirc atilde auml aring " +
+                        "aelig ccedil egrave eacute ecirc euml igrave iacute icirc iuml eth " +
+                        "ntilde ograve oacute ocirc otilde ouml divide oslash ugrave uacute " +
+                        "ucirc uuml yacute thorn yuml").split(" ");
+                for (var j = 0; j < lat.length; j++)
+                        Ent_.map[lat[j]] = String.fromCharCode(0xA0 + j);
+
+                var more = (
+                        "OElig 338 oelig 339 Scaron 352 scaron 353 Yuml 376 fnof 402 circ 710 " +
+                        "tilde 732 Alpha 913 Beta 914 Gamma 915 Delta 916 Epsilon 917 Zeta 918 " +
+                        "Eta 919 Theta 920 Iota 921 Kappa 922 Lambda 923 Mu 924 Nu 925 Xi 926 " +
+                        "Omicron 927 Pi 928 Rho 929 Sigma 931 Tau 932 Upsilon 933 Phi 934 Chi " +
+                        "935 Psi 936 Omega 937 alpha 945 beta 946 gamma 947 delta 948 epsilon " +
+                        "949 zeta 950 eta 951 theta 952 iota 953 kappa 954 lambda 955 mu 956 nu " +
+                        "957 xi 958 omicron 959 pi 960 rho 961 sigmaf 962 sigma 963 tau 964 " +
+                        "upsilon 965 phi 966 chi 967 psi 968 omega 969 thetasym 977 upsih 978 " +
+                        "piv 982 ensp 8194 emsp 8195 thinsp 8201 zwnj 8204 zwj 8205 lrm 8206 " +
+                        "rlm 8207 ndash 8211 mdash 8212 lsquo 8216 rsquo 8217 sbquo 8218 ldquo " +
+                        "8220 rdquo 8221 bdquo 8222 dagger 8224 Dagger 8225 bull 8226 hellip " +
+                        "8230 permil 8240 prime 8242 Prime 8243 lsaquo 8249 rsaquo 8250 oline " +
+                        "8254 frasl 8260 euro 8364 image 8465 weierp 8472 real 8476 trade 8482 " +
+                        "alefsym 8501 larr 8592 uarr 8593 rarr 8594 darr 8595 harr 8596 crarr " +
+                        "8629 lArr 8656 uArr 8657 rArr 8658 dArr 8659 hArr 8660 forall 8704 " +
+                        "part 8706 exist 8707 empty 8709 nabla 8711 isin 8712 notin 8713 ni " +
+                        "8715 prod 8719 sum 8721 minus 8722 lowast 8727 radic 8730 prop 8733 " +
+                        "infin 8734 ang 8736 and 8743 or 8744 cap 8745 cup 8746 int 8747 there4 " +
+                        "8756 sim 8764 cong 8773 asymp 8776 ne 8800 equiv 8801 le 8804 ge 8805 " +
+                        "sub 8834 sup 8835 nsub 8836 sube 8838 supe 8839 oplus 8853 otimes 8855 " +
+                        "perp 8869 sdot 8901 lceil 8968 rceil 8969 lfloor 8970 rfloor 8971 lang " +
+                        "9001 rang 9002 loz 9674 spades 9824 clubs 9827 hearts 9829 diams 9830").split(" ");
+                for (var j = 0; j < more.length; j += 2)
+                        Ent_.map[more[j]] = String.fromCharCode(+more[j+1]);
+        }
+
+        return s.replace(/&(#[xX][0-9a-fA-F]+|#\d+|[a-zA-Z][a-zA-Z0-9]*);/g, function(ref, n)
+        {
+                if ("#" != n.charAt(0))
+                        return Ent_.map.hasOwnProperty(n) ? Ent_.map[n] : ref;
+
+                var c = "x" == n.charAt(1).toLowerCase() ? parseInt(n.substr(2), 16) : parseInt(n.substr(1));
+                if (c > 0xFFFF)
+                {
+                        c -= 0x10000;
+                        return String.fromCharCode(0xD800 + (c >> 10), 0xDC00 + (c & 0x3FF));
+                }
+                return String.fromCharCode(c);
+        });
+}
+
+//-[Esc_()]-------------------------------------------------------------------
+//
+// Returns text as RTF: \, { and } escaped, tabs as \tab and characters
+// beyond ASCII as \u with a "?" for readers which don't know it.
+//
+function Esc_(s)
+{
+        var a = [ ];
+        for (var j = 0; j < s.length; j++)
+        {
+                var c = s.charCodeAt(j);
+                if (92 === c || 123 === c || 125 === c)
+                        a.push("\\" + s.charAt(j));
+                else if (9 === c)
+                        a.push("\\tab ");
+                else if (c < 32)
+                        continue;
+                else if (c < 128)
+                        a.push(s.charAt(j));
+                else
+                        a.push("\\u" + (c > 32767 ? c - 65536 : c) + "?");
+        }
+        return a.join("");
+}
+
+//-[Fam_()]-------------------------------------------------------------------
+//
+// Returns the font for a CSS font-family stack: the first name in it and the
+// RTF family (roman, swiss, etc.) of the generic family, if any.  Just a
+// generic family is its usual font.
+//
+function Fam_(css)
+{
+        if (null == Fam_.gen)
+        {
+                Fam_.gen = { serif : "roman", "sans-serif" : "swiss", monospace : "modern",
+                        cursive : "script", fantasy : "decor" };
+                Fam_.dflt = { roman : "Times New Roman", swiss : "Arial", modern : "Courier New",
+                        script : "Comic Sans MS", decor : "Impact" };
+        }
+
+        var name = null, family = null;
+        var stk = css.split(",");
+        for (var j = 0; j < stk.length; j++)
+        {
+                var n = stk[j].replace(/^[\s'"]+|[\s'"]+$/g, "");
+                if (Fam_.gen.hasOwnProperty(n.toLowerCase()))
+                        family = family || Fam_.gen[n.toLowerCase()];
+                else if (n.length > 0)
+                        name = name || n;
+        }
+
+        return { name : name || Fam_.dflt[family] || Fam_.dflt.roman,
+                family : family || (null == name ? "roman" : "nil") };
+}
+
+//-[Clr_()]-------------------------------------------------------------------
+//
+// Returns a CSS color as "#RRGGBB", or null if it isn't one (e.g. named
+// colors other than the 16 of HTML 4 and orange).
+//
+function Clr_(css)
+{
+        if (null == Clr_.map)
+        {
+                Clr_.map = { black : "000000", silver : "C0C0C0", gray : "808080",
+                        grey : "808080", white : "FFFFFF", maroon : "800000", red : "FF0000",
+                        purple : "800080", fuchsia : "FF00FF", magenta : "FF00FF",
+                        green : "008000", lime : "00FF00", olive : "808000", yellow : "FFFF00",
+                        navy : "000080", blue : "0000FF", teal : "008080", aqua : "00FFFF",
+                        cyan : "00FFFF", orange : "FFA500" };
+        }
+
+        var v = String(css || "").replace(/\s+/g, "").toLowerCase();
+        var m = null;
+        if (Clr_.map.hasOwnProperty(v))
+                return "#" + Clr_.map[v];
+        if (null != (m = /^#([0-9a-f])([0-9a-f])([0-9a-f])$/.exec(v)))
+                return ("#" + m[1] + m[1] + m[2] + m[2] + m[3] + m[3]).toUpperCase();
+        if (/^#[0-9a-f]{6}$/.test(v))
+                return v.toUpperCase();
+        if (null != (m = /^rgba?\((\d+),(\d+),(\d+)/.exec(v)))
+                return "#" + (0x1000000 | (Math.min(+m[1], 255) << 16) |
+                        (Math.min(+m[2], 255) << 8) | Math.min(+m[3], 255)).toString(16).substr(1).toUpperCase();
+        return null;
+}
+
+//-[Len_()]-------------------------------------------------------------------
+//
+// Returns a CSS length in twips, or null if it isn't one; em is taken to be
+// 12pt.
+//
+function Len_(css)
+{
+        var m = /^(-?[\d.]+)(pt|px|in|cm|mm|pc|em)?$/.exec(css);
+        if (null == m || (null == m[2] && 0 !== parseFloat(m[1])))
+                return null;
+
+        var tw = { pt : 20, px : 15, "in" : 1440, cm : 567, mm : 56.7, pc : 240, em : 240 };
+        return Math.round(parseFloat(m[1]) * (tw[m[2]] || 0));
+}
+
+//-[unb64_()]-----------------------------------------------------------------
+//
+// Decodes base64 into a binary string (one byte per character).
+//
+function unb64_(s)
+{
+        var abc = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/";
+        var a = [ ];
+        var bits = 0, n = 0;
+        for (var j = 0; j < s.length; j++)
+        {
+                var v = abc.indexOf(s.charAt(j));
+                if (v < 0)
+                        continue;
+
+                bits = (bits << 6) | v;
+                n += 6;
+                if (n >= 8)
+                {
+                        n -= 8;
+                        a.push(String.fromCharCode((bits >> n) & 0xFF));
+                }
+        }
+        return a.join("");
+}
+
+// - -
+// named exports; the module itself remains Rtf2Html() (see README)
+//
+module.exports.Rtf2Html = module.exports;
+module.exports.Rtf2Tree = Rtf2Tree;
+module.exports.parse = Rtf2Tree;
+module.exports.Rtf2Chapters = Rtf2Chapters;
+module.exports.Rtf2HtmlStream = Rtf2HtmlStream;
+module.exports.Rtf2HtmlAsync = Rtf2HtmlAsync;
+module.exports.createStream = createStream;
+module.exports.Html2Rtf = Html2Rtf;
+module.exports.HtmlRenderer = HtmlRenderer;
+module.exports.TextRenderer = TextRenderer;
+module.exports.MarkdownRenderer = MarkdownRenderer;
+module.exports.RtfParser = RtfParser;
+module.exports.NewRtfTk = NewRtfTk;
+module.exports.GetRtfTk = GetRtfTk;
+module.exports.RtfTkLen = RtfTkLen;
+module.exports.RtfTkTxt = RtfTkTxt;
+module.exports.RtfTkChr = RtfTkChr;
+module.exports.RtfTkCtl = RtfTkCtl;
+module.exports.RtfTkVal = RtfTkVal;
+module.exports.RtfTkTyp = RtfTkTyp;
+module.exports.RtfTkBin = RtfTkBin;
+module.exports.RtfSkipB = RtfSkipB;
+module.exports.RtfConst = RtfConst;
+module.exports.RtfIsDst = RtfIsDst;
+module.exports.RtfCsCpg = RtfCsCpg;
+module.exports.RtfFntCp = RtfFntCp;
+module.exports.RtfLeadB = RtfLeadB;
+module.exports.RtfCpStr = RtfCpStr;
+module.exports.RtfPkgOb = RtfPkgOb;
@@ -0,0 +1,67 @@
+//*[test/api.js]*************************************************************
+//
+// The public API: exports, the tokenizer, the parser's destination handlers
+// and the positional arguments Rtf2Html() always took.
+//
+//***************************************************************************
+
+var test = require("node:test");
+var assert = require("assert");
+var rtf2html = require("..");
+
+var PICT = "{\\rtf1\\ansi{\\pict\\pngblip\\picw2\\pich2 414243}\\par}";
+
+test("the default export is Rtf2Html() and takes its old arguments", function()
+{
+        assert.strictEqual(rtf2html.Rtf2Html, rtf2html);
+        assert.strictEqual(rtf2html.parse, rtf2html.Rtf2Tree);
+
+        var out = { };
+        assert.strictEqual(rtf2html(PICT, "http://x/", out, 5),
+                "<section><p><img src=\"http://x/image1.png\" width=\"2\" height=\"2\"></p></section>");
+        assert.deepStrictEqual(out.files, [ { name : "image1.png", type : "image/png", data : "ABC",
+                path : "image1.png" } ]);
+});
+
+test("the tokenizer splits RTF into tokens", function()
+{
+        var C = rtf2html.RtfConst();
+        var s = "{\\b12 x\\'e9}";
+        var got = [ ];
+        for (var i = 0; i < s.length; i += rtf2html.RtfTkLen(t))
+        {
+                var t = rtf2html.GetRtfTk(s, i);
+                got.push([ rtf2html.RtfTkTyp(t), rtf2html.RtfTkTxt(t, s, i), rtf2html.RtfTkCtl(t, s, i),
+                        rtf2html.RtfTkVal(t), rtf2html.RtfTkChr(t, s, i) ]);
+        }
+        assert.deepStrictEqual(got, [
+                [ C.PUSH, "{", null, NaN, null ],
+                [ C.CONTROL, "\\b12 ", "b", 12, null ],
+                [ C.DATA, "x", null, NaN, null ],
+                [ C.CHARACTER, "\\'e9", null, 233, "\u00E9" ],
+                [ C.POP, "}", null, NaN, null ] ]);
+
+        // a group is skipped past its closing brace, but not into \bin data
+        assert.strictEqual(rtf2html.RtfSkipB("{a{b}c}d", 1), 7);
+        assert.strictEqual(rtf2html.RtfSkipB("{\\bin3 }}}x}y", 1), 12);
+});
+
+test("destination handlers get their tokens and the document", function()
+{
+        var parser = new rtf2html.RtfParser("{\\rtf1\\ansi{\\fonttbl{\\f0\\fswiss Arial;}}" +
+                "{\\*\\mine hello}x\\par}");
+        var got = [ ];
+        parser.HandleDest(";rtf;mine", function(t, s, i, o)
+        {
+                if (513 === t)
+                        got.push([ o.ctl, o.pth ]);
+                else if (769 === t)
+                        got.push("end");
+                else
+                        got.push(rtf2html.RtfTkTxt(t, s, i));
+        });
+
+        var doc = parser.Document();
+        assert.deepStrictEqual(got, [ [ "mine", ";rtf;mine" ], "hello", "end" ]);
+        assert.deepStrictEqual(doc.fonts, [ { family : "swiss", name : "Arial" } ]);
+});
@@ -0,0 +1,66 @@
+//*[test/async.js]***********************************************************
+//
+// Rtf2HtmlAsync() and the 'async' option: slices, progress and cancelling.
+//
+//***************************************************************************
+
+var test = require("node:test");
+var assert = require("assert");
+var rtf2html = require("..");
+
+var DOC = [ "{\\rtf1\\ansi" ];
+for (var j = 0; j < 300; j++)
+        DOC.push("para " + j + "\\par");
+DOC = DOC.join(" ") + "}";
+
+test("the promise has what Rtf2Html() returns, with progress along the way", function()
+{
+        var prg = [ ];
+        var turns = 0;
+        var tmr = setInterval(function() { turns++; }, 0);
+
+        return rtf2html.Rtf2HtmlAsync(DOC, { tokens : 50, progress : function(f) { prg.push(f); } })
+                .then(function(html)
+                {
+                        clearInterval(tmr);
+                        assert.strictEqual(html, rtf2html(DOC));
+                        assert.ok(prg.length > 1);
+                        assert.strictEqual(prg[prg.length - 1], 1);
+                        assert.ok(prg.every(function(f, k) { return f > 0 && (0 === k || f >= prg[k - 1]); }));
+
+                        // other work ran in between
+                        assert.ok(turns > 0);
+                });
+});
+
+test("the 'async' option takes the other options", function()
+{
+        return rtf2html(DOC, { async : true, renderer : "text" }).then(function(txt)
+        {
+                assert.strictEqual(txt, rtf2html(DOC, { renderer : "text" }));
+        });
+});
+
+test("aborting the signal rejects the promise", function()
+{
+        var ctl = new AbortController();
+        var n = 0;
+        var abort = function() { if (2 === ++n) ctl.abort(new Error("stop")); };
+
+        return assert.rejects(rtf2html.Rtf2HtmlAsync(DOC, { tokens : 50, signal : ctl.signal, progress : abort }),
+                /stop/).then(function()
+        {
+                assert.strictEqual(n, 2);
+
+                // ... also before it starts
+                ctl = new AbortController();
+                ctl.abort();
+                return assert.rejects(rtf2html.Rtf2HtmlAsync(DOC, { signal : ctl.signal }),
+                        { name : "AbortError" });
+        });
+});
+
+test("malformed RTF rejects the promise", function()
+{
+        return assert.rejects(rtf2html.Rtf2HtmlAsync("{\\rtf1 a}}"), /Too many closing braces/);
+});
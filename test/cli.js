@@ -0,0 +1,97 @@
+//*[test/cli.js]*************************************************************
+//
+// The rtf2html command: warnings, exit codes and assets.
+//
+//***************************************************************************
+
+var test = require("node:test");
+var assert = require("assert");
+var fs = require("fs");
+var os = require("os");
+var path = require("path");
+var cp = require("child_process");
+
+var BIN = path.join(__dirname, "..", "bin", "rtf2html");
+var BAD = "{\\rtf1\\ansi a}}b\\par}";
+var PICT = "{\\rtf1\\ansi{\\pict\\pngblip\\picw2\\pich2 414243}\\par}";
+
+//-[Run_()]-------------------------------------------------------------------
+//
+// Runs the command with the given arguments and RTF on standard input;
+// returns { status, stdout, stderr }.
+//
+function Run_(argv, txt)
+{
+        return cp.spawnSync(process.execPath, [ BIN ].concat(argv),
+                { input : txt, encoding : "latin1", timeout : 30000 });
+}
+
+test("--lenient reports what it recovered from as warnings", function()
+{
+        var res = Run_([ "--lenient" ], BAD);
+        assert.strictEqual(res.status, 0);
+        assert.strictEqual(res.stdout, "a");
+        assert.strictEqual(res.stderr, "(stdin):14: warning: Too many closing braces\n" +
+                "(stdin):20: warning: Too many closing braces\n");
+});
+
+test("malformed RTF fails when strict", function()
+{
+        var res = Run_([ ], BAD);
+        assert.strictEqual(res.status, 1);
+        assert.ok(/^rtf2html: \(stdin\): .*Too many closing braces/.test(res.stderr));
+});
+
+test("pictures are data URIs without --assets and files with it", function()
+{
+        var res = Run_([ "--lenient" ], PICT);
+        assert.strictEqual(res.stdout, "<IMG SRC=\"data:image/png;base64,QUJD\" " +
+                "WIDTH=\"2\" HEIGHT=\"2\" /><BR>");
+
+        var dir = fs.mkdtempSync(path.join(os.tmpdir(), "rtf2html-"));
+        try
+        {
+                res = Run_([ "-a", path.join(dir, "img"), "-o", path.join(dir, "a.html") ], PICT);
+                assert.strictEqual(res.status, 0);
+                assert.strictEqual(fs.readFileSync(path.join(dir, "a.html"), "latin1"),
+                        "<IMG SRC=\"img/image1.png\" WIDTH=\"2\" HEIGHT=\"2\" /><BR>");
+                assert.strictEqual(fs.readFileSync(path.join(dir, "img", "image1.png"), "latin1"),
+                        "ABC");
+        }
+        finally
+        {
+                fs.rmSync(dir, { recursive : true, force : true });
+        }
+});
+
+test("a batch links to each document's asset directory, also under -b", function()
+{
+        var dir = fs.mkdtempSync(path.join(os.tmpdir(), "rtf2html-"));
+        try
+        {
+                fs.mkdirSync(path.join(dir, "in"));
+                fs.writeFileSync(path.join(dir, "in", "a.rtf"), PICT);
+                fs.writeFileSync(path.join(dir, "in", "b.rtf"), PICT);
+
+                var res = Run_([ path.join(dir, "in"), "-o", path.join(dir, "out"),
+                        "-a", path.join(dir, "img"), "-b", "http://cdn/img" ], "");
+                assert.strictEqual(res.status, 0);
+                [ "a", "b" ].forEach(function(n)
+                {
+                        assert.strictEqual(fs.readFileSync(path.join(dir, "out", n + ".html"), "latin1"),
+                                "<IMG SRC=\"http://cdn/img/" + n + "/image1.png\" WIDTH=\"2\" " +
+                                "HEIGHT=\"2\" /><BR>");
+                        assert.ok(fs.existsSync(path.join(dir, "img", n, "image1.png")));
+                });
+
+                // and by default by the path from the output
+                res = Run_([ path.join(dir, "in"), "-o", path.join(dir, "out"),
+                        "-a", path.join(dir, "img") ], "");
+                assert.strictEqual(fs.readFileSync(path.join(dir, "out", "b.html"), "latin1"),
+                        "<IMG SRC=\"../img/b/image1.png\" WIDTH=\"2\" HEIGHT=\"2\" /><BR>");
+        }
+        finally
+        {
+                fs.rmSync(dir, { recursive : true, force : true });
+        }
+});
@@ -0,0 +1,79 @@
+//*[test/fields.js]**********************************************************
+//
+// Fields (\field): hyperlinks and the results of other fields.
+//
+//***************************************************************************
+
+var test = require("node:test");
+var assert = require("assert");
+var rtf2html = require("..");
+
+//-[Link_()]------------------------------------------------------------------
+//
+// Returns a document with a HYPERLINK field of the given instruction
+// arguments and result.
+//
+function Link_(args, rslt)
+{
+        return "{\\rtf1\\ansi{\\field{\\*\\fldinst HYPERLINK " + args + "}{\\fldrslt " +
+                rslt + "}}\\par}";
+}
+
+test("hyperlinks are anchors", function()
+{
+        assert.strictEqual(rtf2html(Link_("\"http://x.com/a?b=1&c=2\" \\\\o \"Tip\"", "{\\b link}")),
+                "<A HREF=\"http://x.com/a?b=1&amp;c=2\" TITLE=\"Tip\"><B>link</B></A><BR>");
+        assert.strictEqual(rtf2html(Link_("\"mailto:a@x.com\"", "mail")),
+                "<A HREF=\"mailto:a@x.com\">mail</A><BR>");
+        assert.strictEqual(rtf2html(Link_("\\\\l \"sec\"", "here")),
+                "<A HREF=\"#sec\">here</A><BR>");
+        assert.strictEqual(rtf2html(Link_("\"page.html\"", "rel"), { linkbase : "http://b/" }),
+                "<A HREF=\"http://b/page.html\">rel</A><BR>");
+});
+
+test("links to other schemes are only their text", function()
+{
+        [ "\"javascript:alert(1)\"", "\"JavaScript:alert(1)\"", "\" java\tscript:alert(1)\"",
+                "\"vbscript:x\"", "\"data:text/html,<script>alert(1)</script>\"" ].forEach(function(args)
+        {
+                assert.strictEqual(rtf2html(Link_(args, "click")), "click<BR>");
+        });
+
+        var fld = rtf2html.Rtf2Tree(Link_("\"javascript:alert(1)\"", "click"))
+                .children[0].children[0].children[0];
+        assert.strictEqual(fld.type, "field");
+        assert.strictEqual(fld.props.href, undefined);
+});
+
+test("other fields are their result", function()
+{
+        assert.strictEqual(rtf2html("{\\rtf1\\ansi p {\\field{\\*\\fldinst PAGE}{\\fldrslt 3}} x\\par}"),
+                "p 3 x<BR>");
+});
+
+test("a picture in a hyperlink's result is linked", function()
+{
+        assert.strictEqual(rtf2html(Link_("\"http://x/\"", "{\\pict\\pngblip\\picw2\\pich2 414243}")),
+                "<A HREF=\"http://x/\"><IMG SRC=\"data:image/png;base64,QUJD\" WIDTH=\"2\" " +
+                "HEIGHT=\"2\" /></A><BR>");
+        assert.strictEqual(rtf2html(Link_("\"http://x/\"", "{\\pict\\pngblip\\picw2\\pich2 414243} x"),
+                { flavor : 5 }), "<section><p><a href=\"http://x/\"><img src=\"data:image/png;" +
+                "base64,QUJD\" width=\"2\" height=\"2\"> x</a></p></section>");
+});
+
+test("a link whose result spans paragraphs is closed and opened again around them", function()
+{
+        var txt = "{\\rtf1\\ansi x {\\field{\\*\\fldinst HYPERLINK \"http://x/\" \\\\o \"T\"}" +
+                "{\\fldrslt one\\par\\pard\\qc two}} y\\par}";
+        var a = "<a href=\"http://x/\" title=\"T\">";
+        assert.strictEqual(rtf2html(txt, { flavor : 5 }), "<section><p>x " + a + "one</a></p>" +
+                "<p style=\"text-align:center\">" + a + "two</a> y</p></section>");
+
+        // a line break needn't end it in HTML 2.0, but <CENTER> does
+        assert.strictEqual(rtf2html(txt), "x <A HREF=\"http://x/\" TITLE=\"T\">one<BR></A>" +
+                "<CENTER><A HREF=\"http://x/\" TITLE=\"T\">two</A> y<BR></CENTER>");
+
+        var sec = rtf2html.Rtf2Tree(txt).children[0];
+        assert.strictEqual(sec.children[0].children[1].props.href, "http://x/");
+        assert.strictEqual(sec.children[1].children[0].props.href, "http://x/");
+});
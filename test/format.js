@@ -0,0 +1,87 @@
+//*[test/format.js]**********************************************************
+//
+// Character formatting: bold, italics, underlines, fonts, sizes, colors,
+// highlights and hidden text.
+//
+//***************************************************************************
+
+var test = require("node:test");
+var assert = require("assert");
+var rtf2html = require("..");
+
+var H = "{\\rtf1\\ansi{\\colortbl;\\red255\\green0\\blue0;}";
+
+test("group-scoped formatting nests", function()
+{
+        assert.strictEqual(rtf2html(H + "a{\\b b{\\i bi}b}a \\b x\\i y\\b0 z\\plain w\\par}"),
+                "a<B>b<I>bi</I>b</B>a <B>x<I>y</I></B><I>z</I>w<BR>");
+});
+
+test("formatting left on at a paragraph's end is closed and opened again", function()
+{
+        var txt = "{\\rtf1\\ansi {\\b a\\par b}c\\par}";
+        assert.strictEqual(rtf2html(txt), "<B>a</B><BR><B>b</B>c<BR>");
+        assert.strictEqual(rtf2html(txt, { flavor : 5 }),
+                "<section><p><strong>a</strong></p><p><strong>b</strong>c</p></section>");
+
+        // \pard is only about paragraphs
+        assert.strictEqual(rtf2html("{\\rtf1\\ansi \\b a\\pard b\\par}", { flavor : 5 }),
+                "<section><p><strong>a</strong></p><p><strong>b</strong></p></section>");
+});
+
+test("underline, strike-through, superscript and subscript", function()
+{
+        assert.strictEqual(rtf2html("{\\rtf1\\ansi {\\ul u}{\\strike s}\\ul a\\ulnone b{\\super 2}{\\sub 3}\\par}"),
+                "<U>u</U><S>s</S><U>a</U>b<SUP>2</SUP><SUB>3</SUB><BR>");
+});
+
+test("text colors and highlights are spans", function()
+{
+        assert.strictEqual(rtf2html(H + "{\\cf1 red} {\\highlight7 yel}\\par}"),
+                "<SPAN STYLE=\"color:#FF0000\">red</SPAN> " +
+                "<SPAN STYLE=\"background-color:#FFFF00\">yel</SPAN><BR>");
+});
+
+test("highlight 8 is white", function()
+{
+        assert.strictEqual(rtf2html(H + "{\\highlight8 white}\\par}"),
+                "<SPAN STYLE=\"background-color:#FFFFFF\">white</SPAN><BR>");
+        assert.strictEqual(rtf2html.Rtf2Tree(H + "{\\highlight8 white}\\par}")
+                .children[0].children[0].children[0].props.background, "#FFFFFF");
+});
+
+test("hidden text and its pictures are left out unless kept", function()
+{
+        var P = "{\\pict\\pngblip\\picw2\\pich2 414243}";
+        var txt = "{\\rtf1\\ansi a{\\v hidden " + P + "}b \\v " + P + "\\v0 c\\par}";
+
+        var out = { };
+        assert.strictEqual(rtf2html(txt, { out : out }), "ab c<BR>");
+        assert.strictEqual(out.files, undefined);
+
+        var img = "<IMG SRC=\"data:image/png;base64,QUJD\" WIDTH=\"2\" HEIGHT=\"2\" />";
+        assert.strictEqual(rtf2html(txt, { hidden : true }),
+                "a<SPAN STYLE=\"display:none\">hidden " + img + "</SPAN>b " +
+                "<SPAN STYLE=\"display:none\">" + img + "</SPAN>c<BR>");
+});
+
+test("fonts are families with a generic fallback and sizes are points", function()
+{
+        var txt = "{\\rtf1\\ansi\\deff1{\\fonttbl{\\f0\\froman Times New Roman;}{\\f1\\fswiss Arial;}" +
+                "{\\f2\\fmodern Courier New;}}\\deffs20 a {\\f2 b} {\\fs18 c} {\\f0\\fs36 d}\\par}";
+        assert.strictEqual(rtf2html(txt), "a <SPAN STYLE=\"font-family:'Courier New',monospace\">b</SPAN> " +
+                "<SPAN STYLE=\"font-size:9pt\">c</SPAN> " +
+                "<SPAN STYLE=\"font-family:'Times New Roman',serif;font-size:18pt\">d</SPAN><BR>");
+
+        // the default font (\deff, \deffs) is around all of it
+        assert.strictEqual(rtf2html(txt, { flavor : 5 }),
+                "<div style=\"font-family:Arial,sans-serif;font-size:10pt\"><section><p>a " +
+                "<span style=\"font-family:'Courier New',monospace\">b</span> " +
+                "<span style=\"font-size:9pt\">c</span> " +
+                "<span style=\"font-family:'Times New Roman',serif;font-size:18pt\">d</span></p></section></div>");
+
+        var runs = rtf2html.Rtf2Tree(txt).children[0].children[0].children;
+        assert.deepStrictEqual(runs[0].props, { font : "Arial", size : 10 });
+        assert.deepStrictEqual(runs[1].props, { font : "Courier New", size : 10 });
+        assert.deepStrictEqual(runs[5].props, { font : "Times New Roman", size : 18 });
+});
@@ -0,0 +1,48 @@
+//*[test/headers.js]*********************************************************
+//
+// Headers and footers (\header, \footerf, etc.): in the document tree, and
+// in the output only with the 'headers' option.
+//
+//***************************************************************************
+
+var test = require("node:test");
+var assert = require("assert");
+var rtf2html = require("..");
+
+var DOC = "{\\rtf1\\ansi{\\header\\pard Running title\\par}{\\footerf\\pard First foot\\par}\\titlepg a\\par" +
+        "\\sect\\sectd{\\headerl\\pard Left\\par}{\\headerr\\pard Right\\par}b\\par}";
+
+test("headers and footers are left out by default", function()
+{
+        assert.strictEqual(rtf2html(DOC), "a<BR><DIV STYLE=\"page-break-before:always\">b</DIV>");
+        assert.strictEqual(rtf2html(DOC, { flavor : 5 }), "<section><p>a</p></section>" +
+                "<section style=\"page-break-before:always\"><p>b</p></section>");
+        assert.strictEqual(rtf2html(DOC, { renderer : "text" }), "a\nb");
+});
+
+test("'headers' puts them at their section's start and end", function()
+{
+        assert.strictEqual(rtf2html(DOC, { headers : true, flavor : 5 }), "<section>" +
+                "<header class=\"header\"><p>Running title</p></header><p>a</p>" +
+                "<footer class=\"footer footer-first\"><p>First foot</p></footer></section>" +
+                "<section style=\"page-break-before:always\">" +
+                "<header class=\"header header-left\"><p>Left</p></header>" +
+                "<header class=\"header header-right\"><p>Right</p></header><p>b</p></section>");
+        assert.strictEqual(rtf2html("{\\rtf1\\ansi{\\header\\pard H\\par}a\\par}", { headers : true }),
+                "<HEADER CLASS=\"header\">H<BR></HEADER>a<BR>");
+});
+
+test("the document tree always has them, with the pages they're for", function()
+{
+        var secs = rtf2html.Rtf2Tree(DOC).children;
+        var got = secs.map(function(sec)
+        {
+                return sec.children.filter(function(n) { return "paragraph" != n.type; }).map(function(n)
+                {
+                        return [ n.type, n.props.pages, n.children[0].children[0].text ];
+                });
+        });
+        assert.deepStrictEqual(got, [
+                [ [ "header", "all", "Running title" ], [ "footer", "first", "First foot" ] ],
+                [ [ "header", "left", "Left" ], [ "header", "right", "Right" ] ] ]);
+});
@@ -0,0 +1,52 @@
+//*[test/html2rtf.js]********************************************************
+//
+// Html2Rtf(): HTML written by Rtf2Html() converts back into the same HTML.
+//
+//***************************************************************************
+
+var test = require("node:test");
+var assert = require("assert");
+var rtf2html = require("..");
+
+var DOCS = [
+        "{\\rtf1\\ansi\r\n{\\fonttbl{\\f0\\fswiss Arial;}}\\deff0\r\n" +
+                "\\pard a {\\b bold} {\\i it}\\par\r\n\\pard\\qc center\\par\r\n}",
+        "{\\rtf1\\ansi a\r\nb\\par c\\line d\\par}",
+        "{\\rtf1\\ansi\\pard one\\par\\pard\\li720 two\\par\\sect\\sectd three\\par}",
+        "{\\rtf1\\ansi\\pard {\\pict\\pngblip\\picw2\\pich2 414243}\\par\\pard b\\par}",
+        "{\\rtf1\\ansi{\\field{\\*\\fldinst HYPERLINK \"http://x/\"}{\\fldrslt link}} " +
+                "{\\ul u} {\\strike s}\\par}",
+        "{\\rtf1\\ansi\\ansicpg1252 caf\\'e9 \\u8211? it\\u8217?s \\u937? a&b <c>\\par}"
+];
+
+test("HTML converts into RTF which gives the same HTML", function()
+{
+        [ 2, 5 ].forEach(function(flavor)
+        {
+                DOCS.forEach(function(txt)
+                {
+                        var html = rtf2html(txt, { flavor : flavor });
+                        var back = rtf2html(rtf2html.Html2Rtf(html), { flavor : flavor });
+                        assert.strictEqual(back, html);
+
+                        // and again, so nothing piles up pass by pass
+                        assert.strictEqual(rtf2html(rtf2html.Html2Rtf(back), { flavor : flavor }), html);
+                });
+        });
+});
+
+test("text without a font gives a document without a font", function()
+{
+        var rtf = rtf2html.Html2Rtf("<p>a</p>");
+        assert.ok(/\{\\fonttbl\}/.test(rtf));
+        assert.ok(!/\\deff/.test(rtf));
+        assert.strictEqual(rtf2html(rtf, { flavor : 5 }), "<section><p>a</p></section>");
+});
+
+test("named character references of HTML 4 are decoded", function()
+{
+        var html = "<p>caf&eacute; &ndash; it&rsquo;s &copy; &frac12; &Omega; &there4; &bogus; &amp;</p>";
+        assert.strictEqual(rtf2html(rtf2html.Html2Rtf(html), { flavor : 5 }),
+                "<section><p>caf\u00E9 \u2013 it\u2019s \u00A9 \u00BD \u03A9 \u2234 &amp;bogus; " +
+                "&amp;</p></section>");
+});
@@ -0,0 +1,48 @@
+//*[test/info.js]************************************************************
+//
+// The document's info (\info, \*\userprops) and the 'meta' option.
+//
+//***************************************************************************
+
+var test = require("node:test");
+var assert = require("assert");
+var rtf2html = require("..");
+
+var DOC = "{\\rtf1\\ansi{\\info{\\title My \\'e9 Book}{\\subject S}{\\author Jane}{\\keywords k1 k2}" +
+        "{\\company Co}{\\doccomm note}{\\operator op}{\\creatim\\yr2020\\mo3\\dy4\\hr5\\min6}" +
+        "{\\revtim\\yr2021\\mo1\\dy2}{\\version3}{\\nofpages2}{\\nofwords120}{\\nofchars700}{\\edmins9}}" +
+        "{\\*\\userprops{\\propname Status}\\proptype30{\\staticval Draft}" +
+        "{\\propname Rev}\\proptype3{\\staticval 7}}a\\par}";
+
+// times are local, as RTF has no time zone
+var CREATED = new Date(2020, 2, 4, 5, 6);
+var REVISED = new Date(2021, 0, 2);
+
+test("the info is read into the document and the output object", function()
+{
+        var info = { title : "My \u00E9 Book", subject : "S", author : "Jane", keywords : "k1 k2",
+                company : "Co", doccomm : "note", operator : "op", created : CREATED, revised : REVISED,
+                version : 3, pages : 2, words : 120, chars : 700, edmins : 9,
+                props : { Status : "Draft", Rev : 7 } };
+        assert.deepStrictEqual(new rtf2html.RtfParser(DOC).Document().info, info);
+
+        var out = { };
+        assert.strictEqual(rtf2html(DOC, { out : out }), "a<BR>");
+        assert.deepStrictEqual(out.info, info);
+});
+
+test("'meta' starts the output with <META> tags", function()
+{
+        var meta = [ [ "title", "My \u00E9 Book" ], [ "subject", "S" ], [ "author", "Jane" ],
+                [ "company", "Co" ], [ "keywords", "k1 k2" ], [ "description", "note" ],
+                [ "created", CREATED.toISOString() ], [ "revised", REVISED.toISOString() ] ];
+
+        assert.strictEqual(rtf2html(DOC, { meta : true }), meta.map(function(m)
+        {
+                return "<META NAME=\"" + m[0] + "\" CONTENT=\"" + m[1] + "\" />";
+        }).join("") + "a<BR>");
+        assert.strictEqual(rtf2html(DOC, { meta : true, flavor : 5 }), meta.map(function(m)
+        {
+                return "<meta name=\"" + m[0] + "\" content=\"" + m[1] + "\">";
+        }).join("") + "<section><p>a</p></section>");
+});
@@ -0,0 +1,74 @@
+//*[test/lenient.js]*********************************************************
+//
+// Strict and lenient parsing: what throws, what's recovered from and the
+// warnings about it.
+//
+//***************************************************************************
+
+var test = require("node:test");
+var assert = require("assert");
+var rtf2html = require("..");
+
+//-[Lenient_()]---------------------------------------------------------------
+//
+// Converts leniently; returns [ html, warnings ].
+//
+function Lenient_(txt)
+{
+        var out = { };
+        var html = rtf2html(txt, { strict : false, out : out });
+        return [ html, out.warnings ];
+}
+
+test("malformed RTF throws by default", function()
+{
+        assert.throws(function() { rtf2html("{\\rtf1\\ansi a}}b\\par}"); },
+                /Too many closing braces/);
+        assert.throws(function() { rtf2html("{\\rtf1\\ansi {\\xe x}a\\par}"); },
+                /Unhandled Destination "xe"/);
+});
+
+test("unhandled destinations are skipped with a warning", function()
+{
+        var res = Lenient_("{\\rtf1\\ansi {\\xe x}a\\par}");
+        assert.strictEqual(res[0], "a<BR>");
+        assert.deepStrictEqual(res[1], [ { pos : 12, path : ";rtf;xe",
+                reason : "Unhandled destination \"xe\"" } ]);
+
+        // ignorable ones (\*) are skipped quietly, in either mode
+        assert.deepStrictEqual(Lenient_("{\\rtf1\\ansi {\\*\\foo x}a\\par}"),
+                [ "a<BR>", undefined ]);
+        assert.strictEqual(rtf2html("{\\rtf1\\ansi {\\*\\foo x}a\\par}"), "a<BR>");
+});
+
+test("stray and missing braces are recovered from", function()
+{
+        var res = Lenient_("{\\rtf1\\ansi a}}b\\par}");
+        assert.strictEqual(res[0], "a");
+        assert.deepStrictEqual(res[1].map(function(w) { return w.reason; }),
+                [ "Too many closing braces", "Too many closing braces" ]);
+
+        res = Lenient_("{\\rtf1\\ansi a{\\b b\\par");
+        assert.strictEqual(res[0], "a<B>b</B><BR>");
+        assert.deepStrictEqual(res[1].map(function(w) { return w.reason; }),
+                [ "Missing closing braces" ]);
+});
+
+test("theme colors in the color table are read", function()
+{
+        var txt = "{\\rtf1\\ansi{\\colortbl;\\ctint255\\cshade255\\red255\\green0\\blue0;" +
+                "\\cmaindarkone\\red0\\green0\\blue255;}{\\cf1 a}{\\cf2 b}\\par}";
+        assert.strictEqual(rtf2html(txt), "<SPAN STYLE=\"color:#FF0000\">a</SPAN>" +
+                "<SPAN STYLE=\"color:#0000FF\">b</SPAN><BR>");
+});
+
+test("unknown color table words throw or are warned about", function()
+{
+        var txt = "{\\rtf1\\ansi{\\colortbl;\\cfoo\\red0\\green255\\blue0;}{\\cf1 c}\\par}";
+        assert.throws(function() { rtf2html(txt); }, /Unrecognized token in color table: \\cfoo/);
+
+        var res = Lenient_(txt);
+        assert.strictEqual(res[0], "<SPAN STYLE=\"color:#00FF00\">c</SPAN><BR>");
+        assert.deepStrictEqual(res[1], [ { pos : 22, path : ";rtf;colortbl",
+                reason : "Unrecognized token in color table: \\cfoo" } ]);
+});
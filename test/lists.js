@@ -0,0 +1,62 @@
+//*[test/lists.js]***********************************************************
+//
+// Lists: the list table (\listtable, \listoverridetable), paragraphs in them
+// (\ls, \ilvl) and the older paragraph numbering (\pn).
+//
+//***************************************************************************
+
+var test = require("node:test");
+var assert = require("assert");
+var rtf2html = require("..");
+
+var LT = "{\\*\\listtable" +
+        "{\\list\\listtemplateid1{\\listlevel\\levelnfc0\\levelstartat3{\\leveltext\\'02\\'00.;}" +
+        "{\\levelnumbers\\'01;}}{\\listlevel\\levelnfc4{\\leveltext\\'02\\'01.;}{\\levelnumbers\\'01;}}" +
+        "\\listid10}" +
+        "{\\list\\listtemplateid2{\\listlevel\\levelnfc23{\\leveltext\\'01\\u8226 ?;}{\\levelnumbers;}}" +
+        "\\listid20}" +
+        "{\\list\\listtemplateid3{\\listlevel\\levelnfc0{\\leveltext\\'02\\'00.;}{\\levelnumbers\\'01;}}" +
+        "{\\listlevel\\levelnfc0{\\leveltext\\'04\\'00.\\'01.;}{\\levelnumbers\\'01\\'03;}}\\listid30}}" +
+        "{\\*\\listoverridetable{\\listoverride\\listid10\\listoverridecount0\\ls1}" +
+        "{\\listoverride\\listid20\\listoverridecount0\\ls2}" +
+        "{\\listoverride\\listid30\\listoverridecount0\\ls3}}";
+
+test("the list table is read into the document", function()
+{
+        var doc = new rtf2html.RtfParser("{\\rtf1\\ansi" + LT + " a\\par}").Document();
+        assert.strictEqual(doc.lists.length, 3);
+        assert.deepStrictEqual(doc.lists[0].levels[0], { nfc : 0, start : 3, text : "\u0000.", numbers : [ 1 ] });
+        assert.strictEqual(doc.lists[0].id, 10);
+        assert.strictEqual(doc.overrides[2].id, 20);
+});
+
+test("numbered, lettered and bulleted lists nest by level", function()
+{
+        var txt = "{\\rtf1\\ansi" + LT + "\\pard\\ls1\\ilvl0 one\\par\\pard\\ls1\\ilvl1 sub\\par" +
+                "\\pard\\ls1\\ilvl0 two\\par\\pard\\ls2 dot\\par\\pard end\\par}";
+        assert.strictEqual(rtf2html(txt), "<OL START=\"3\" STYLE=\"list-style-type:decimal\"><LI>one" +
+                "<OL STYLE=\"list-style-type:lower-alpha\"><LI>sub</LI></OL></LI><LI>two</LI></OL>" +
+                "<UL STYLE=\"list-style-type:disc\"><LI>dot</LI></UL>end<BR>");
+        assert.strictEqual(rtf2html(txt, { flavor : 5 }), "<section>" +
+                "<ol start=\"3\" style=\"list-style-type:decimal\"><li>one" +
+                "<ol style=\"list-style-type:lower-alpha\"><li>sub</li></ol></li><li>two</li></ol>" +
+                "<ul style=\"list-style-type:disc\"><li>dot</li></ul><p>end</p></section>");
+
+        var list = rtf2html.Rtf2Tree(txt).children[0].children[0];
+        assert.deepStrictEqual(list.props, { ordered : true, start : 3, format : "decimal", level : 0, ls : 1 });
+        assert.deepStrictEqual(list.children.map(function(c) { return c.props.number; }), [ 3, 4 ]);
+});
+
+test("numbers list-style-type can't express are written out", function()
+{
+        var txt = "{\\rtf1\\ansi" + LT + "\\pard\\ls3 a\\par\\pard\\ls3\\ilvl1 b\\par\\pard\\ls3\\ilvl1 c\\par}";
+        assert.strictEqual(rtf2html(txt, { flavor : 5 }), "<section><ol style=\"list-style-type:decimal\">" +
+                "<li>a<ol style=\"list-style-type:none\"><li>1.1. b</li><li>1.2. c</li></ol></li></ol></section>");
+});
+
+test("paragraph numbering (\\pn) is a bulleted list", function()
+{
+        var txt = "{\\rtf1\\ansi{\\pntext\\'b7\\tab}{\\*\\pn\\pnlvlblt{\\pntxtb\\'b7}}a\\par" +
+                "{\\pntext\\'b7\\tab}b\\par\\pard c\\par}";
+        assert.strictEqual(rtf2html(txt, { flavor : 5 }), "<section><ul><li>a</li><li>b</li></ul><p>c</p></section>");
+});
@@ -0,0 +1,57 @@
+//*[test/notes.js]***********************************************************
+//
+// Footnotes and endnotes (\footnote, \ftnalt): references linked to the
+// notes at the end of the document and their numbering.
+//
+//***************************************************************************
+
+var test = require("node:test");
+var assert = require("assert");
+var rtf2html = require("..");
+
+var BACK = "\u21A9";
+
+//-[Note_()]------------------------------------------------------------------
+//
+// Returns RTF for a footnote, or an endnote when 'end' is true.
+//
+function Note_(txt, end)
+{
+        return "{\\super\\chftn}{\\footnote" + (end ? "\\ftnalt" : "") + "\\pard{\\super\\chftn} " +
+                txt + "\\par}";
+}
+
+test("notes are linked to and from a list at the end", function()
+{
+        var txt = "{\\rtf1\\ansi a" + Note_("one") + "b" + Note_("end", true) + "c" + Note_("two") + "\\par}";
+        assert.strictEqual(rtf2html(txt, { flavor : 5 }), "<section><p>" +
+                "a<sup><a href=\"#fn1\" id=\"fnref1\">1</a></sup>" +
+                "b<sup><a href=\"#en1\" id=\"enref1\">1</a></sup>" +
+                "c<sup><a href=\"#fn2\" id=\"fnref2\">2</a></sup></p></section>" +
+                "<ol class=\"footnotes\" style=\"list-style-type:decimal\">" +
+                "<li><p><a id=\"fn1\"></a> one <a href=\"#fnref1\">" + BACK + "</a></p></li>" +
+                "<li><p><a id=\"fn2\"></a> two <a href=\"#fnref2\">" + BACK + "</a></p></li></ol>" +
+                "<ol class=\"endnotes\" style=\"list-style-type:decimal\">" +
+                "<li><p><a id=\"en1\"></a> end <a href=\"#enref1\">" + BACK + "</a></p></li></ol>");
+
+        assert.strictEqual(rtf2html("{\\rtf1\\ansi a" + Note_("one") + "\\par}"),
+                "a<SUP><A HREF=\"#fn1\" NAME=\"fnref1\">1</A></SUP><BR>" +
+                "<OL CLASS=\"footnotes\" STYLE=\"list-style-type:decimal\"><LI><A NAME=\"fn1\"></A> one " +
+                "<A HREF=\"#fnref1\">" + BACK + "</A><BR></LI></OL>");
+});
+
+test("notes are numbered in the document's style", function()
+{
+        var txt = "{\\rtf1\\ansi\\ftnnrlc\\aftnnauc a" + Note_("one") + "b" + Note_("e", true) + "\\par}";
+        assert.strictEqual(rtf2html(txt, { flavor : 5 }), "<section><p>" +
+                "a<sup><a href=\"#fn1\" id=\"fnref1\">i</a></sup>" +
+                "b<sup><a href=\"#en1\" id=\"enref1\">A</a></sup></p></section>" +
+                "<ol class=\"footnotes\" style=\"list-style-type:lower-roman\">" +
+                "<li><p><a id=\"fn1\"></a> one <a href=\"#fnref1\">" + BACK + "</a></p></li></ol>" +
+                "<ol class=\"endnotes\" style=\"list-style-type:upper-alpha\">" +
+                "<li><p><a id=\"en1\"></a> e <a href=\"#enref1\">" + BACK + "</a></p></li></ol>");
+
+        var refs = rtf2html.Rtf2Tree(txt).children[0].children[0].children;
+        assert.deepStrictEqual(refs[1].props, { note : "footnote", number : 1, mark : "i" });
+        assert.deepStrictEqual(refs[3].props, { note : "endnote", number : 1, mark : "A" });
+});
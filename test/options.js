@@ -0,0 +1,58 @@
+//*[test/options.js]*********************************************************
+//
+// Rtf2Html()'s options object: what each toggle keeps or leaves out.
+//
+//***************************************************************************
+
+var test = require("node:test");
+var assert = require("assert");
+var rtf2html = require("..");
+
+var DOC = "{\\rtf1\\ansi{\\fonttbl{\\f0\\fswiss Arial;}}{\\colortbl;\\red255\\green0\\blue0;}" +
+        "{\\stylesheet{\\s1 Quote;}}\\pard\\s1 {\\f0\\fs36\\cf1 a}\\tab b\\par\\pard\\qc c\\par d\\par}";
+var LINK = "{\\rtf1\\ansi{\\field{\\*\\fldinst HYPERLINK \"a.html\"}{\\fldrslt x}}" +
+        "{\\pict\\pngblip\\picw2\\pich2 414243}\\par}";
+var IMG = "<IMG SRC=\"data:image/png;base64,QUJD\" WIDTH=\"2\" HEIGHT=\"2\" />";
+
+test("fonts, colors and sizes can each be left out", function()
+{
+        var span = function(sty) { return "<DIV CLASS=\"quote\"><SPAN STYLE=\"" + sty + "\">a</SPAN>" +
+                "&nbsp;&nbsp;&nbsp;&nbsp;b</DIV><CENTER>c<BR>d<BR></CENTER>"; };
+        assert.strictEqual(rtf2html(DOC, { }), span("font-family:Arial,sans-serif;font-size:18pt;color:#FF0000"));
+        assert.strictEqual(rtf2html(DOC, { fonts : false }), span("font-size:18pt;color:#FF0000"));
+        assert.strictEqual(rtf2html(DOC, { colors : false }), span("font-family:Arial,sans-serif;font-size:18pt"));
+        assert.strictEqual(rtf2html(DOC, { sizes : false }), span("font-family:Arial,sans-serif;color:#FF0000"));
+});
+
+test("tabs, paragraph blocks and class names", function()
+{
+        var a = "<SPAN STYLE=\"font-family:Arial,sans-serif;font-size:18pt;color:#FF0000\">a</SPAN>";
+        assert.strictEqual(rtf2html(DOC, { tab : "\t", classprefix : "x-" }),
+                "<DIV CLASS=\"x-quote\">" + a + "\tb</DIV><CENTER>c<BR>d<BR></CENTER>");
+        assert.strictEqual(rtf2html(DOC, { paragraphs : true }), "<P CLASS=\"quote\">" + a +
+                "&nbsp;&nbsp;&nbsp;&nbsp;b</P><CENTER><P>c</P><P>d</P></CENTER>");
+        assert.strictEqual(rtf2html(DOC, { paragraphs : false }),
+                a + "&nbsp;&nbsp;&nbsp;&nbsp;b<BR><CENTER>c<BR>d<BR></CENTER>");
+        assert.strictEqual(rtf2html(DOC, { flavor : 5, paragraphs : false }), "<section>" +
+                "<span style=\"font-family:Arial,sans-serif;font-size:18pt;color:#FF0000\">a</span>" +
+                "&nbsp;&nbsp;&nbsp;&nbsp;b<br>c<br>d<br></section>");
+});
+
+test("links are relative to 'linkbase', files to 'baseurl'", function()
+{
+        assert.strictEqual(rtf2html(LINK, { linkbase : "http://l/" }),
+                "<A HREF=\"http://l/a.html\">x</A>" + IMG + "<BR>");
+        assert.strictEqual(rtf2html(LINK, { baseurl : "http://b/", out : { } }),
+                "<A HREF=\"http://b/a.html\">x</A><IMG SRC=\"http://b/image1.png\" WIDTH=\"2\" HEIGHT=\"2\" /><BR>");
+        assert.strictEqual(rtf2html(LINK, { baseurl : "http://b/", linkbase : "http://l/", out : { } }),
+                "<A HREF=\"http://l/a.html\">x</A><IMG SRC=\"http://b/image1.png\" WIDTH=\"2\" HEIGHT=\"2\" /><BR>");
+});
+
+test("pictures can be left out or kept inline with an output object", function()
+{
+        assert.strictEqual(rtf2html(LINK, { images : "none" }), "<A HREF=\"a.html\">x</A><BR>");
+
+        var out = { };
+        assert.strictEqual(rtf2html(LINK, { out : out, files : false }), "<A HREF=\"a.html\">x</A>" + IMG + "<BR>");
+        assert.strictEqual(out.files, undefined);
+});
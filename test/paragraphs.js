@@ -0,0 +1,63 @@
+//*[test/paragraphs.js]******************************************************
+//
+// Paragraphs: HTML5 blocks, their formatting and what starts them.
+//
+//***************************************************************************
+
+var test = require("node:test");
+var assert = require("assert");
+var rtf2html = require("..");
+
+var P = "{\\pict\\pngblip\\picw2\\pich2 414243}";
+var IMG = "<img src=\"data:image/png;base64,QUJD\" width=\"2\" height=\"2\">";
+
+test("paragraphs are blocks in HTML5 and separated by <BR> in HTML 2.0", function()
+{
+        var txt = "{\\rtf1\\ansi a\\par b\\par}";
+        assert.strictEqual(rtf2html(txt), "a<BR>b<BR>");
+        assert.strictEqual(rtf2html(txt, { flavor : 5 }), "<section><p>a</p><p>b</p></section>");
+});
+
+test("a picture opens its paragraph's block", function()
+{
+        assert.strictEqual(rtf2html("{\\rtf1\\ansi\\pard " + P + "\\par\\pard b\\par}", { flavor : 5 }),
+                "<section><p>" + IMG + "</p><p>b</p></section>");
+        assert.strictEqual(rtf2html("{\\rtf1\\ansi a\\par\\pard\\qc " + P + "\\par}", { flavor : 5 }),
+                "<section><p>a</p><p style=\"text-align:center\">" + IMG + "</p></section>");
+});
+
+test("paragraph properties given after its text started apply to all of it", function()
+{
+        var txt = "{\\rtf1\\ansi a{\\b b} \\qc center\\par\\pard\\li720 x \\sb120 y\\par}";
+        assert.strictEqual(rtf2html(txt, { flavor : 5 }), "<section>" +
+                "<p style=\"text-align:center\">a<strong>b</strong> center</p>" +
+                "<p style=\"margin-left:36pt;margin-top:6pt\">x y</p></section>");
+
+        var sec = rtf2html.Rtf2Tree(txt).children[0];
+        assert.deepStrictEqual(sec.children[0].props, { align : "center" });
+        assert.deepStrictEqual(sec.children[1].props, { left : 36, before : 6 });
+});
+
+test("paragraph properties given late reach a streamed paragraph", function()
+{
+        var txt = "{\\rtf1\\ansi a\\par b text \\qc center\\par\\pard c\\par}";
+        var cnv = rtf2html.Rtf2HtmlStream({ flavor : 5 });
+        var a = [ ];
+        for (var j = 0; j < txt.length; j++)
+                a.push(cnv.Push(txt.charAt(j)));
+        a.push(cnv.End());
+
+        assert.strictEqual(a.join(""), rtf2html(txt, { flavor : 5 }));
+});
+
+test("a page break stays with the paragraph it's before", function()
+{
+        var txt = "{\\rtf1\\ansi a\\par\\page b \\qc c\\par d\\par}";
+        assert.strictEqual(rtf2html(txt, { flavor : 5 }), "<section><p>a</p>" +
+                "<p style=\"text-align:center;page-break-before:always\">b c</p>" +
+                "<p style=\"text-align:center\">d</p></section>");
+
+        var sec = rtf2html.Rtf2Tree(txt).children[0];
+        assert.strictEqual(sec.children[1].props.pagebreak, true);
+        assert.strictEqual(sec.children[2].props.pagebreak, undefined);
+});
@@ -0,0 +1,131 @@
+//*[test/pict.js]************************************************************
+//
+// Pictures (\pict): \binN data, placement and images in the output.
+//
+//***************************************************************************
+
+var test = require("node:test");
+var assert = require("assert");
+var rtf2html = require("..");
+
+//-[Bin_()]-------------------------------------------------------------------
+//
+// Returns a picture of 'n' raw bytes (\binN), which include braces and
+// backslashes that must not be read as RTF.
+//
+function Bin_(n)
+{
+        var a = [ ];
+        for (var j = 0; j < n; j++)
+                a.push("{}\\ab".charAt(j % 5));
+
+        return "{\\pict\\pngblip\\picw1\\pich1\\bin" + n + " " + a.join("") + "}";
+}
+
+test("\\bin data is skipped by the tokenizer", function()
+{
+        var txt = "\\bin5 {}\\\\x";
+        assert.strictEqual(rtf2html.RtfTkBin(rtf2html.GetRtfTk(txt, 0), txt, 0), 5);
+        assert.strictEqual(rtf2html.RtfSkipB("{" + txt + "}x", 1), 13);
+});
+
+test("\\bin data over 32 KB is read whole", function()
+{
+        [ 33000, 40000, 70000 ].forEach(function(n)
+        {
+                var out = { };
+                var html = rtf2html("{\\rtf1\\ansi a" + Bin_(n) + "b\\par}", { out : out });
+
+                assert.strictEqual(html, "a<IMG SRC=\"image1.png\" WIDTH=\"1\" HEIGHT=\"1\" />b<BR>");
+                assert.strictEqual(out.files[0].data.length, n);
+                assert.strictEqual(out.files[0].data.substr(0, 5), "{}\\ab");
+        });
+});
+
+test("\\bin data over 32 KB is read whole when streamed", function()
+{
+        var txt = "{\\rtf1\\ansi a" + Bin_(40000) + "b\\par}";
+        var cnv = rtf2html.Rtf2HtmlStream({ });
+        var a = [ ];
+        for (var j = 0; j < txt.length; j += 4096)
+                a.push(cnv.Push(txt.substr(j, 4096)));
+        a.push(cnv.End());
+
+        assert.strictEqual(a.join(""), rtf2html(txt));
+});
+
+test("pictures are data URIs without an output object", function()
+{
+        var html = rtf2html("{\\rtf1\\ansi{\\pict\\pngblip\\picwgoal300\\pichgoal150 414243}\\par}");
+        assert.strictEqual(html, "<IMG SRC=\"data:image/png;base64,QUJD\" WIDTH=\"20\" HEIGHT=\"10\" /><BR>");
+});
+
+test("a picture after a table is in the paragraph which follows it", function()
+{
+        var txt = "{\\rtf1\\ansi\\trowd\\cellx1000\\intbl a\\cell\\row\\pard " +
+                "{\\pict\\pngblip\\picw2\\pich2 414243}\\par}";
+
+        assert.strictEqual(rtf2html(txt), "<TABLE CELLSPACING=\"0\"><TR><TD WIDTH=\"67\">a</TD>" +
+                "</TR></TABLE><IMG SRC=\"data:image/png;base64,QUJD\" WIDTH=\"2\" HEIGHT=\"2\" /><BR>");
+
+        var sec = rtf2html.Rtf2Tree(txt).children[0];
+        assert.deepStrictEqual(sec.children.map(function(n) { return n.type; }),
+                [ "table", "paragraph" ]);
+        assert.strictEqual(sec.children[0].children.length, 1);
+        assert.strictEqual(sec.children[1].children[0].type, "image");
+});
+
+test("a picture in a table cell stays in the cell", function()
+{
+        var txt = "{\\rtf1\\ansi\\trowd\\cellx1000\\intbl " +
+                "{\\pict\\pngblip\\picw2\\pich2 414243}\\cell\\row\\pard b\\par}";
+
+        assert.strictEqual(rtf2html(txt), "<TABLE CELLSPACING=\"0\"><TR><TD WIDTH=\"67\">" +
+                "<IMG SRC=\"data:image/png;base64,QUJD\" WIDTH=\"2\" HEIGHT=\"2\" /></TD></TR>" +
+                "</TABLE>b<BR>");
+});
+
+test("pictures stay data URIs with an output object when files are off", function()
+{
+        var out = { };
+        var html = rtf2html("{\\rtf1\\ansi{\\pict\\pngblip\\picw2\\pich2 414243}\\par}",
+                { out : out, files : false });
+        assert.strictEqual(html, "<IMG SRC=\"data:image/png;base64,QUJD\" WIDTH=\"2\" HEIGHT=\"2\" /><BR>");
+        assert.strictEqual(out.files, undefined);
+});
+
+test("metafiles are only written out as files", function()
+{
+        var emf = "{\\pict\\emfblip\\picw2540\\pich2540 414243}";
+        assert.strictEqual(rtf2html("{\\rtf1\\ansi a" + emf + "b\\par}"), "ab<BR>");
+
+        var out = { };
+        assert.strictEqual(rtf2html("{\\rtf1\\ansi a" + emf + "b\\par}", { out : out }),
+                "a<IMG SRC=\"image1.emf\" WIDTH=\"96\" HEIGHT=\"96\" />b<BR>");
+        assert.strictEqual(out.files[0].type, "image/emf");
+});
+
+test("the \\nonshppict picture stands in for a metafile left out", function()
+{
+        var txt = "{\\rtf1\\ansi a{\\*\\shppict{\\pict\\emfblip\\picw2540\\pich2540 414243}}" +
+                "{\\nonshppict{\\pict\\pngblip\\picw2\\pich2 444546}}b\\par}";
+        assert.strictEqual(rtf2html(txt),
+                "a<IMG SRC=\"data:image/png;base64,REVG\" WIDTH=\"2\" HEIGHT=\"2\" />b<BR>");
+
+        // but not for a picture which is shown
+        txt = "{\\rtf1\\ansi a{\\*\\shppict{\\pict\\pngblip\\picw2\\pich2 414243}}" +
+                "{\\nonshppict{\\pict\\pngblip\\picw2\\pich2 444546}}b\\par}";
+        assert.strictEqual(rtf2html(txt),
+                "a<IMG SRC=\"data:image/png;base64,QUJD\" WIDTH=\"2\" HEIGHT=\"2\" />b<BR>");
+});
+
+test("picture sizes past a token's value are read whole and limited", function()
+{
+        var html = rtf2html("{\\rtf1\\ansi{\\pict\\pngblip\\picwgoal40000\\pichgoal600000 41}\\par}");
+        assert.strictEqual(html, "<IMG SRC=\"data:image/png;base64,QQ==\" WIDTH=\"2667\" " +
+                "HEIGHT=\"32767\" /><BR>");
+
+        // ones that aren't positive are left out
+        html = rtf2html("{\\rtf1\\ansi{\\pict\\pngblip\\picw-5\\pich-2\\picscalex0 41}\\par}");
+        assert.strictEqual(html, "<IMG SRC=\"data:image/png;base64,QQ==\" /><BR>");
+});
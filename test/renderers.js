@@ -0,0 +1,60 @@
+//*[test/renderers.js]*******************************************************
+//
+// Renderers: plain text, Markdown, HTML and custom ones, alone or several
+// from one parse.
+//
+//***************************************************************************
+
+var test = require("node:test");
+var assert = require("assert");
+var rtf2html = require("..");
+
+var DOC = "{\\rtf1\\ansi{\\stylesheet{\\s1 heading 1;}}\\pard\\s1 Title\\par\\pard a {\\b bold} {\\i it} " +
+        "{\\field{\\*\\fldinst HYPERLINK \"http://x/\"}{\\fldrslt link}} 5*2_x\\par" +
+        "{\\pntext\\'b7\\tab}{\\*\\pn\\pnlvlblt{\\pntxtb\\'b7}}one\\par{\\pntext\\'b7\\tab}two\\par" +
+        "\\pard\\trowd\\cellx1000\\cellx2000\\intbl c1\\cell c2\\cell\\row\\pard end\\tab x\\par}";
+var LIST = "{\\rtf1\\ansi{\\*\\listtable{\\list\\listtemplateid1" +
+        "{\\listlevel\\levelnfc0{\\leveltext\\'02\\'00.;}{\\levelnumbers\\'01;}}" +
+        "{\\listlevel\\levelnfc23{\\leveltext\\'01\\u8226 ?;}{\\levelnumbers;}}\\listid10}}" +
+        "{\\*\\listoverridetable{\\listoverride\\listid10\\listoverridecount0\\ls1}}" +
+        "\\pard\\ls1 a\\par\\pard\\ls1\\ilvl1 b\\par\\pard\\ls1 c\\par}";
+
+var TEXT = "Title\na bold it link 5*2_x\n- one\n- two\nc1\tc2\nend\tx";
+var MD = "# Title\n\na **bold** *it* [link](http://x/) 5\\*2\\_x\n\n- one\n- two\n\n" +
+        "| c1 | c2 |\n| --- | --- |\n\nend x\n";
+
+test("plain text is paragraphs on lines of their own", function()
+{
+        assert.strictEqual(rtf2html(DOC, { renderer : "text" }), TEXT);
+        assert.strictEqual(rtf2html(LIST, { renderer : "text" }), "1. a\n  - b\n2. c");
+});
+
+test("Markdown has headings, emphasis, links, lists and tables", function()
+{
+        assert.strictEqual(rtf2html(DOC, { renderer : "markdown" }), MD);
+        assert.strictEqual(rtf2html(LIST, { renderer : "markdown" }), "1. a\n   - b\n2. c\n");
+});
+
+test("several renderers are given the same parse", function()
+{
+        var res = rtf2html(DOC, { renderer : [ "text", "markdown", "html" ] });
+        assert.deepStrictEqual(res.slice(0, 2), [ TEXT, MD ]);
+        assert.strictEqual(res[2], rtf2html(DOC, { flavor : 5 }));
+});
+
+test("a custom renderer gets properly nested tags", function()
+{
+        var evs = [ ];
+        var rnd = {
+                Open : function(name) { evs.push("+" + name); return "[" + name + "]"; },
+                Close : function(name) { evs.push("-" + name); return "[/" + name + "]"; },
+                Text : function(txt) { return txt.toUpperCase(); },
+                Done : function(str) { return "<" + str + ">"; } };
+
+        assert.strictEqual(rtf2html("{\\rtf1\\ansi a{\\b b}\\par}", { renderer : rnd }),
+                "<[SECTION][P]A[B]B[/B][/P][/SECTION]>");
+        assert.deepStrictEqual(evs, [ "+SECTION", "+P", "+B", "-B", "-P", "-SECTION" ]);
+
+        assert.strictEqual(rtf2html("{\\rtf1\\ansi a{\\b b}\\par}", { renderer : rtf2html.HtmlRenderer(5) }),
+                "<section><p>a<strong>b</strong></p></section>");
+});
@@ -0,0 +1,64 @@
+//*[test/sections.js]********************************************************
+//
+// Sections (\sect), page breaks (\page, \pagebb) and splitting the output
+// into chapters (the 'chapters' option and Rtf2Chapters()).
+//
+//***************************************************************************
+
+var test = require("node:test");
+var assert = require("assert");
+var rtf2html = require("..");
+
+var BOOK = "{\\rtf1\\ansi{\\stylesheet{\\s1 heading 1;}}\\pard\\s1 One\\par\\pard a\\par" +
+        "\\page b\\par\\sect\\sectd c\\par\\pard\\s1 Two\\par\\pard d\\par}";
+
+test("sections are blocks and page breaks start on a new page", function()
+{
+        assert.strictEqual(rtf2html("{\\rtf1\\ansi a\\par\\sect\\sectd b\\par\\pard\\pagebb c\\par}",
+                { flavor : 5 }), "<section><p>a</p></section>" +
+                "<section style=\"page-break-before:always\"><p>b</p>" +
+                "<p style=\"page-break-before:always\">c</p></section>");
+
+        // how a section starts comes after the \sect
+        assert.strictEqual(rtf2html("{\\rtf1\\ansi a\\par\\sect\\sbknone b\\par}", { flavor : 5 }),
+                "<section><p>a</p></section><section><p>b</p></section>");
+});
+
+test("Rtf2Chapters() splits at sections, page breaks and \"Heading 1\"", function()
+{
+        assert.deepStrictEqual(rtf2html.Rtf2Chapters(BOOK), [ "<H1>One</H1>a<BR>",
+                "<DIV STYLE=\"page-break-before:always\">b</DIV>",
+                "<DIV STYLE=\"page-break-before:always\">c</DIV>", "<H1>Two</H1>d<BR>" ]);
+
+        // but nothing is split off which has nothing in it
+        assert.deepStrictEqual(rtf2html.Rtf2Chapters("{\\rtf1\\ansi \\page a\\par\\page\\page b\\par}"),
+                [ "<DIV STYLE=\"page-break-before:always\">a</DIV>",
+                        "<DIV STYLE=\"page-break-before:always\">b</DIV>" ]);
+});
+
+test("'chapters' splits only where it says", function()
+{
+        assert.deepStrictEqual(rtf2html(BOOK, { flavor : 5, chapters : "section" }), [
+                "<section><h1>One</h1><p>a</p><p style=\"page-break-before:always\">b</p></section>",
+                "<section style=\"page-break-before:always\"><p>c</p><h1>Two</h1><p>d</p></section>" ]);
+        assert.deepStrictEqual(rtf2html(BOOK, { chapters : [ "heading" ] }), [ "<H1>One</H1>a<BR>" +
+                "<DIV STYLE=\"page-break-before:always\">b</DIV>" +
+                "<DIV STYLE=\"page-break-before:always\">c</DIV>", "<H1>Two</H1>d<BR>" ]);
+
+        // footnotes go into the last chapter
+        var chs = rtf2html.Rtf2Chapters("{\\rtf1\\ansi {\\footnote\\chftn x}a\\par\\sect b\\par}",
+                { flavor : 5 });
+        assert.strictEqual(chs.length, 2);
+        assert.ok(/<ol class="footnotes"/.test(chs[1]));
+});
+
+test("an explicit chapters:false isn't split and unknown values throw", function()
+{
+        assert.strictEqual(rtf2html.Rtf2Chapters(BOOK, { chapters : false }), rtf2html(BOOK));
+
+        assert.throws(function() { rtf2html(BOOK, { chapters : "headings" }); },
+                /Unknown chapters option: headings/);
+        assert.throws(function() { rtf2html.Rtf2Chapters(BOOK, { chapters : [ "page", "x" ] }); },
+                /Unknown chapters option: x/);
+        assert.throws(function() { rtf2html(BOOK, { chapters : 1 }); }, /Unknown chapters option: 1/);
+});
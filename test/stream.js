@@ -0,0 +1,78 @@
+//*[test/stream.js]**********************************************************
+//
+// Streaming: Rtf2HtmlStream(), the 'stream' option and createStream().
+//
+//***************************************************************************
+
+var test = require("node:test");
+var assert = require("assert");
+var rtf2html = require("..");
+
+var DOC = "{\\rtf1\\ansi caf\\'e9 {\\b b}\\par{\\pict\\pngblip\\picw2\\pich2 414243}\\par" +
+        "\\trowd\\cellx1000\\intbl c\\cell\\row\\pard d\\par}";
+
+//-[Feed_()]------------------------------------------------------------------
+//
+// Streams RTF in chunks of 'n' characters; returns what each Push() and the
+// End() returned.
+//
+function Feed_(cnv, txt, n)
+{
+        var a = [ ];
+        for (var j = 0; j < txt.length; j += n)
+                a.push(cnv.Push(txt.substr(j, n)));
+        a.push(cnv.End());
+        return a;
+}
+
+test("chunks give the same output as the whole, however they're cut", function()
+{
+        [ 1, 3, 7 ].forEach(function(n)
+        {
+                assert.strictEqual(Feed_(rtf2html.Rtf2HtmlStream(), DOC, n).join(""), rtf2html(DOC));
+                assert.strictEqual(Feed_(rtf2html.Rtf2HtmlStream({ flavor : 5 }), DOC, n).join(""),
+                        rtf2html(DOC, { flavor : 5 }));
+        });
+
+        // the 'stream' option starts with the first chunk
+        var cnv = rtf2html(DOC.substr(0, 10), { stream : true, flavor : 5 });
+        assert.strictEqual(cnv.Push(DOC.substr(10)) + cnv.End(), rtf2html(DOC, { flavor : 5 }));
+});
+
+test("output comes as it's complete, not all at the end", function()
+{
+        var txt = [ "{\\rtf1\\ansi" ];
+        for (var j = 0; j < 200; j++)
+                txt.push("para " + j + "\\par");
+        txt = txt.join(" ") + "}";
+
+        var a = Feed_(rtf2html.Rtf2HtmlStream(), txt, 100);
+        assert.strictEqual(a.join(""), rtf2html(txt));
+        assert.ok(a.slice(0, -1).join("").length > a[a.length - 1].length);
+});
+
+test("the text and Markdown renderers stream too, but the tree doesn't", function()
+{
+        assert.strictEqual(Feed_(rtf2html.Rtf2HtmlStream({ renderer : "markdown" }), DOC, 5).join(""),
+                rtf2html(DOC, { renderer : "markdown" }));
+
+        assert.throws(function() { rtf2html.Rtf2HtmlStream({ renderer : "tree" }); },
+                /Renderer can't be streamed: tree/);
+        assert.throws(function() { rtf2html.Rtf2HtmlStream({ chapters : true }); },
+                /Chapters can't be streamed/);
+});
+
+test("createStream() is a Transform stream of RTF into HTML", function(t, done)
+{
+        var stm = rtf2html.createStream({ flavor : 5 });
+        var out = [ ];
+        stm.on("data", function(d) { out.push(d.toString()); });
+        stm.on("end", function()
+        {
+                assert.strictEqual(out.join(""), rtf2html(DOC, { flavor : 5 }));
+                done();
+        });
+
+        stm.write(Buffer.from(DOC.substr(0, 15), "latin1"));
+        stm.end(Buffer.from(DOC.substr(15), "latin1"));
+});
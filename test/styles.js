@@ -0,0 +1,55 @@
+//*[test/styles.js]**********************************************************
+//
+// The style sheet (\stylesheet): paragraph styles (\s), character styles
+// (\cs), what they're based on and headings.
+//
+//***************************************************************************
+
+var test = require("node:test");
+var assert = require("assert");
+var rtf2html = require("..");
+
+var SS = "{\\rtf1\\ansi{\\stylesheet{\\s0 Normal;}{\\s1\\b\\fs32 heading 1;}" +
+        "{\\s2\\sbasedon0\\i Quote;}{\\s3\\sbasedon2\\qc Centered Quote;}" +
+        "{\\*\\cs10\\additive\\ul Emph;}{\\*\\cs11\\b Strong;}}";
+
+test("\"heading N\" styles are headings", function()
+{
+        assert.strictEqual(rtf2html(SS + "\\pard\\s1 Title\\par}", { flavor : 5 }),
+                "<section><h1><strong><span style=\"font-size:16pt\">Title</span></strong></h1></section>");
+});
+
+test("paragraph styles are classes with the formatting of what they're based on", function()
+{
+        var txt = SS + "\\pard\\s3 q\\par}";
+        assert.strictEqual(rtf2html(txt), "<CENTER><DIV CLASS=\"centered-quote\"><I>q</I></DIV></CENTER>");
+        assert.strictEqual(rtf2html(txt, { flavor : 5, classprefix : "rtf-" }),
+                "<section><p class=\"rtf-centered-quote\" style=\"text-align:center\"><em>q</em></p></section>");
+
+        var par = rtf2html.Rtf2Tree(txt).children[0].children[0];
+        assert.deepStrictEqual(par.props, { align : "center", style : "Centered Quote" });
+        assert.deepStrictEqual(par.children[0].props, { italic : true, size : 12 });
+});
+
+test("character styles are classes, adding to the formatting when \\additive", function()
+{
+        assert.strictEqual(rtf2html(SS + "\\pard\\i x {\\cs10 e} {\\cs11 s}\\par}", { flavor : 5 }),
+                "<section><p><em>x <u><span class=\"emph\">e</span></u> </em>" +
+                "<strong><span class=\"strong\">s</span></strong></p></section>");
+});
+
+test("a paragraph style's character formatting ends with its paragraph", function()
+{
+        var txt = SS + "\\pard\\s1 Title\\par\\pard body\\par\\pard\\s2 quote\\par\\s0 normal\\par}";
+        assert.strictEqual(rtf2html(txt, { flavor : 5 }), "<section>" +
+                "<h1><strong><span style=\"font-size:16pt\">Title</span></strong></h1>" +
+                "<p>body</p><p class=\"quote\"><em>quote</em></p><p>normal</p></section>");
+
+        var body = rtf2html.Rtf2Tree(txt).children[0].children[1];
+        assert.deepStrictEqual(body.children[0].props, { size : 12 });
+
+        // but formatting of the text's own stays
+        assert.strictEqual(rtf2html(SS + "\\pard\\s1\\i T\\par\\pard b\\par}", { flavor : 5 }),
+                "<section><h1><strong><em><span style=\"font-size:16pt\">T</span></em></strong></h1>" +
+                "<p><em>b</em></p></section>");
+});
@@ -0,0 +1,59 @@
+//*[test/tables.js]**********************************************************
+//
+// Tables (\trowd, \cellx, \cell, \row): cells, their widths, merged cells,
+// borders and shading, and nested tables.
+//
+//***************************************************************************
+
+var test = require("node:test");
+var assert = require("assert");
+var rtf2html = require("..");
+
+test("rows of cells are tables with the cells' widths", function()
+{
+        var txt = "{\\rtf1\\ansi\\trowd\\cellx1440\\cellx4320\\intbl a\\cell b\\cell\\row\\pard after\\par}";
+        assert.strictEqual(rtf2html(txt), "<TABLE CELLSPACING=\"0\"><TR><TD WIDTH=\"96\">a</TD>" +
+                "<TD WIDTH=\"192\">b</TD></TR></TABLE>after<BR>");
+        assert.strictEqual(rtf2html(txt, { flavor : 5 }), "<section>" +
+                "<table style=\"border-collapse:collapse\"><tr><td style=\"width:96px\"><p>a</p></td>" +
+                "<td style=\"width:192px\"><p>b</p></td></tr></table><p>after</p></section>");
+
+        var row = rtf2html.Rtf2Tree(txt).children[0].children[0].children[0];
+        assert.strictEqual(row.type, "row");
+        assert.deepStrictEqual(row.children.map(function(c) { return c.props.width; }), [ 72, 144 ]);
+});
+
+test("merged cells span columns and rows", function()
+{
+        var txt = "{\\rtf1\\ansi\\trowd\\clmgf\\cellx1440\\clmrg\\cellx2880\\cellx4320" +
+                "\\intbl a\\cell\\cell c\\cell\\row" +
+                "\\trowd\\clvmgf\\cellx1440\\cellx2880\\cellx4320\\intbl d\\cell e\\cell f\\cell\\row" +
+                "\\trowd\\clvmrg\\cellx1440\\cellx2880\\cellx4320\\intbl \\cell h\\cell i\\cell\\row}";
+        assert.strictEqual(rtf2html(txt, { flavor : 5 }), "<section><table style=\"border-collapse:collapse\">" +
+                "<tr><td colspan=\"2\" style=\"width:192px\"><p>a</p></td><td style=\"width:96px\"><p>c</p></td></tr>" +
+                "<tr><td rowspan=\"2\" style=\"width:96px\"><p>d</p></td><td style=\"width:96px\"><p>e</p></td>" +
+                "<td style=\"width:96px\"><p>f</p></td></tr>" +
+                "<tr><td style=\"width:96px\"><p>h</p></td><td style=\"width:96px\"><p>i</p></td></tr>" +
+                "</table></section>");
+});
+
+test("cell borders and shading are style", function()
+{
+        var txt = "{\\rtf1\\ansi{\\colortbl;\\red255\\green0\\blue0;}\\trowd" +
+                "\\clbrdrt\\brdrs\\brdrw20\\brdrcf1\\clcbpat1\\cellx1440\\intbl a\\cell\\row}";
+        assert.strictEqual(rtf2html(txt), "<TABLE CELLSPACING=\"0\"><TR><TD WIDTH=\"96\" BGCOLOR=\"#FF0000\" " +
+                "STYLE=\"border-top:1px solid #FF0000\">a</TD></TR></TABLE>");
+        assert.strictEqual(rtf2html(txt, { flavor : 5 }), "<section><table style=\"border-collapse:collapse\">" +
+                "<tr><td style=\"width:96px;background-color:#FF0000;border-top:1px solid #FF0000\">" +
+                "<p>a</p></td></tr></table></section>");
+});
+
+test("nested tables are in the cell they're in", function()
+{
+        var txt = "{\\rtf1\\ansi\\trowd\\cellx4320\\intbl x\\par\\itap2 n1\\nestcell n2\\nestcell" +
+                "{\\*\\nesttableprops\\trowd\\cellx1440\\cellx2880\\nestrow}{\\nonesttables\\par}\\cell\\row}";
+        assert.strictEqual(rtf2html(txt, { flavor : 5 }), "<section><table style=\"border-collapse:collapse\">" +
+                "<tr><td style=\"width:288px\"><p>x</p><table style=\"border-collapse:collapse\">" +
+                "<tr><td style=\"width:96px\"><p>n1</p></td><td style=\"width:96px\"><p>n2</p></td></tr>" +
+                "</table></td></tr></table></section>");
+});
@@ -0,0 +1,54 @@
+//*[test/tree.js]************************************************************
+//
+// Rtf2Tree(): the document as nodes of sections, paragraphs, runs and the
+// rest, with their formatting as props.
+//
+//***************************************************************************
+
+var test = require("node:test");
+var assert = require("assert");
+var rtf2html = require("..");
+
+var DOC = "{\\rtf1\\ansi{\\fonttbl{\\f0\\fswiss Arial;}}{\\colortbl;\\red255\\green0\\blue0;}" +
+        "{\\stylesheet{\\s1 heading 1;}}\\pard\\s1 T\\par\\pard\\qc\\li720\\sb120 a {\\b\\cf1 b}\\line" +
+        "{\\field{\\*\\fldinst HYPERLINK \"http://x/\" \\\\o \"tip\"}{\\fldrslt l}}" +
+        "{\\*\\bkmkstart m}{\\*\\bkmkend m}{\\pict\\pngblip\\picw2\\pich2 414243}\\par}";
+
+//-[Run_()]-------------------------------------------------------------------
+//
+// Returns a run node.
+//
+function Run_(text, props)
+{
+        return { type : "run", text : text, props : props };
+}
+
+test("sections hold paragraphs which hold runs, fields and the rest", function()
+{
+        assert.deepStrictEqual(rtf2html.Rtf2Tree(DOC), { type : "document", props : { }, children : [
+                { type : "section", props : { number : 1, start : "page" }, children : [
+                        { type : "paragraph", props : { style : "heading 1", heading : 1 },
+                                children : [ Run_("T", { size : 12 }) ] },
+                        { type : "paragraph", props : { align : "center", left : 36, before : 6 }, children : [
+                                Run_("a ", { size : 12 }),
+                                Run_("b", { bold : true, size : 12, color : "#FF0000" }),
+                                { type : "break" },
+                                { type : "field", props : { type : "HYPERLINK",
+                                        inst : "HYPERLINK \"http://x/\" \\o \"tip\"", href : "http://x/",
+                                        title : "tip" }, children : [ Run_("l", { size : 12 }) ] },
+                                { type : "bookmark", name : "m" },
+                                { type : "image", props : { src : "data:image/png;base64,QUJD",
+                                        type : "image/png", width : 2, height : 2 } } ] } ] } ] });
+});
+
+test("parse() and the \"tree\" renderer are the same", function()
+{
+        var tree = rtf2html.parse(DOC);
+        assert.deepStrictEqual(rtf2html(DOC, { renderer : "tree" }), tree);
+        assert.deepStrictEqual(JSON.parse(JSON.stringify(tree)), tree);
+
+        // alongside the HTML from the same parse
+        var res = rtf2html(DOC, { renderer : [ "tree", "html" ] });
+        assert.deepStrictEqual(res[0], tree);
+        assert.strictEqual(res[1], rtf2html(DOC, { flavor : 5 }));
+});